@@ -0,0 +1,421 @@
+#!/usr/bin/env node
+// Double Pendulum Chaos Map - Headless Renderer
+// Renders an exported session file to a PNG and the raw data grid without a browser.
+// Uses the same tile loop, physics and colouring as the page's CPU render mode,
+// spread over worker threads.
+//
+// Usage:
+//   node cli/render-map.js <session.json> [options]
+//
+// Options:
+//   --out <prefix>          Output path prefix (default: <session>-render)
+//   --resolution <n>        Override params.resolution
+//   --tile-size <n>         Tile edge in pixels (default: 64)
+//   --workers <n>           Worker threads (default: number of CPU cores)
+//   --data <npy|csv|none>   Raw data grid format (default: npy)
+//   --quiet                 Don't print progress
+//
+// Writes <prefix>.png, <prefix>.npy (or .csv) and a <prefix>.json sidecar in the
+// same format as the page's "Export Data" button.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Worker } = require('worker_threads');
+
+// The shared modules are written as browser scripts that read each other's
+// globals; provide the same globals here
+Object.assign(globalThis, require('../js/constants.js'));
+globalThis.CPUPhysics = require('../js/cpu-physics.js');
+globalThis.AxisScale = require('../js/axis-scale.js');
+
+const ColorMapping = require('../js/color-mapping.js');
+const ChaosTile = require('../js/chaos-tile.js');
+const RenderDataFormat = require('../js/render-data-format.js');
+const { SESSION_LIMITS, validateSessionDocument } = require('../js/session-schema.js');
+const { TransformationStack } = require('../js/transform.js');
+
+// Same as ChaosMapRenderer's baseParams, for the optional session fields
+const DEFAULT_PARAMS = {
+    g: 9.81,
+    tolerance: 1e-8,
+    samplesPerPixel: 1,
+    sampleStatistic: 'mean',
+    metric: 'divergence',
+    flipArm: 'either',
+    divergenceMeasure: 'weighted',
+    divergenceWeights: [1, 1, 1, 1],
+    tileSize: 64,
+    perturbFixed: {
+        theta1: 0.00001, theta2: 0.00001, omega1: 0.00001, omega2: 0.00001,
+        l1: 0.00001, l2: 0.00001, m1: 0.00001, m2: 0.00001
+    },
+    perturbRandomStd: 0.00001
+};
+
+const USAGE = `Usage: node cli/render-map.js <session.json> [--out <prefix>] [--resolution <n>]
+       [--tile-size <n>] [--workers <n>] [--data <npy|csv|none>] [--quiet]`;
+
+// Parse command-line arguments
+// Returns { sessionPath, out, resolution, tileSize, workers, data, quiet }
+function parseArgs(argv) {
+    const options = {
+        sessionPath: null,
+        out: null,
+        resolution: null,
+        tileSize: DEFAULT_PARAMS.tileSize,
+        workers: os.cpus().length || 1,
+        data: 'npy',
+        quiet: false
+    };
+    const integer = (flag, value, min, max) => {
+        const n = Number(value);
+        if (!Number.isInteger(n) || n < min || n > max) {
+            throw new Error(`${flag} must be an integer in [${min}, ${max}] (got ${JSON.stringify(value)})`);
+        }
+        return n;
+    };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++i];
+        };
+        
+        switch (arg) {
+            case '--out': options.out = next(); break;
+            case '--resolution': options.resolution = integer(arg, next(), SESSION_LIMITS.resolution.min, SESSION_LIMITS.resolution.max); break;
+            case '--tile-size': options.tileSize = integer(arg, next(), 1, 4096); break;
+            case '--workers': options.workers = integer(arg, next(), 1, 1024); break;
+            case '--data':
+                options.data = next();
+                if (!['npy', 'csv', 'none'].includes(options.data)) {
+                    throw new Error(`--data must be npy, csv or none (got ${JSON.stringify(options.data)})`);
+                }
+                break;
+            case '--quiet': options.quiet = true; break;
+            case '-h':
+            case '--help':
+                console.log(USAGE);
+                process.exit(0);
+                break;
+            default:
+                if (arg.startsWith('--') || options.sessionPath) {
+                    throw new Error(`Unexpected argument ${JSON.stringify(arg)}`);
+                }
+                options.sessionPath = arg;
+        }
+    }
+    
+    if (!options.sessionPath) throw new Error('No session file given');
+    if (!options.out) {
+        const parsed = path.parse(options.sessionPath);
+        options.out = path.join(parsed.dir, `${parsed.name}-render`);
+    }
+    return options;
+}
+
+// Fill in the optional session params the way the page does when loading a session
+function resolveParams(params, resolutionOverride) {
+    const perturbFixed = { ...DEFAULT_PARAMS.perturbFixed, ...(params.perturbFixed || {}) };
+    const perturbRandom = {};
+    Object.keys(DEFAULT_PARAMS.perturbFixed).forEach(dim => {
+        const src = (params.perturbRandom || {})[dim];
+        perturbRandom[dim] = src
+            ? { center: src.center, std: src.std }
+            : { center: 0.0, std: DEFAULT_PARAMS.perturbRandomStd };
+    });
+    
+    return {
+        ...params,
+        resolution: resolutionOverride ?? params.resolution,
+        tolerance: params.tolerance ?? DEFAULT_PARAMS.tolerance,
+        samplesPerPixel: params.samplesPerPixel ?? DEFAULT_PARAMS.samplesPerPixel,
+        sampleStatistic: params.sampleStatistic ?? DEFAULT_PARAMS.sampleStatistic,
+        metric: params.metric ?? DEFAULT_PARAMS.metric,
+        flipArm: params.flipArm ?? DEFAULT_PARAMS.flipArm,
+        divergenceMeasure: params.divergenceMeasure ?? DEFAULT_PARAMS.divergenceMeasure,
+        divergenceWeights: params.divergenceWeights ?? DEFAULT_PARAMS.divergenceWeights,
+        perturbFixed,
+        perturbRandom
+    };
+}
+
+// Worker config in the form used by ChaosTile.renderTileData()
+// Mirrors generateMapCPU(): extra twins only in random mode (none for flip time),
+// statistic only when it matters
+function buildTileConfig(params) {
+    const flip = params.metric === 'flip';
+    const samples = params.perturbMode === 'random' && !flip ? params.samplesPerPixel : 1;
+    const usesStatistic = !flip && (samples > 1 || params.sampleStatistic === 'fraction');
+    return {
+        maxIter: params.maxIter,
+        threshold: params.threshold,
+        dt: params.dt,
+        g: DEFAULT_PARAMS.g,
+        integrator: params.integrator,
+        tolerance: params.tolerance,
+        metric: params.metric,
+        flipArm: params.flipArm,
+        divergenceMeasure: { mode: params.divergenceMeasure, weights: params.divergenceWeights },
+        perturbMode: params.perturbMode,
+        perturbFixed: params.perturbFixed,
+        perturbRandom: params.perturbRandom,
+        samplesPerPixel: samples,
+        sampleStatistic: usesStatistic ? params.sampleStatistic : null,
+        perturbScale: params.perturbScale ?? 1.0
+    };
+}
+
+// Render all tiles across a pool of worker threads
+// onTile(tile) receives { offsetX, offsetY, width, height, divergence, diverged, failed }
+function renderTiles(res, tileSize, workerCount, shaderParams, config, onTile) {
+    const tiles = [];
+    for (let y = 0; y < res; y += tileSize) {
+        for (let x = 0; x < res; x += tileSize) {
+            tiles.push({
+                offsetX: x,
+                offsetY: y,
+                width: Math.min(tileSize, res - x),
+                height: Math.min(tileSize, res - y)
+            });
+        }
+    }
+    
+    return new Promise((resolve, reject) => {
+        const workers = [];
+        let next = 0;
+        let remaining = tiles.length;
+        let failed = false;
+        
+        const stopAll = () => workers.forEach(worker => worker.terminate());
+        const dispatch = (worker) => {
+            if (next < tiles.length) {
+                worker.postMessage(tiles[next++]);
+            } else {
+                worker.terminate();
+            }
+        };
+        
+        const count = Math.max(1, Math.min(workerCount, tiles.length));
+        for (let i = 0; i < count; i++) {
+            const worker = new Worker(path.join(__dirname, 'render-worker.js'), {
+                workerData: { resolution: res, shaderParams, config }
+            });
+            worker.on('message', (tile) => {
+                onTile(tile);
+                remaining--;
+                if (remaining === 0) {
+                    stopAll();
+                    resolve();
+                } else {
+                    dispatch(worker);
+                }
+            });
+            worker.on('error', (e) => {
+                if (failed) return;
+                failed = true;
+                stopAll();
+                reject(e);
+            });
+            workers.push(worker);
+        }
+        workers.forEach(dispatch);
+    });
+}
+
+// CRC-32 (IEEE) as used by PNG chunks
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Encode 8-bit RGBA pixels (row-major, top row first) as a PNG file
+function encodePng(width, height, rgba) {
+    const chunk = (type, data) => {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length);
+        const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+        const crc = Buffer.alloc(4);
+        crc.writeUInt32BE(crc32(body));
+        return Buffer.concat([length, body, crc]);
+    };
+    
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;  // Bit depth
+    header[9] = 6;  // Colour type: RGBA
+    header[10] = 0; // Compression: deflate
+    header[11] = 0; // Filter method
+    header[12] = 0; // No interlace
+    
+    // Each scanline is prefixed with its filter type (0 = none)
+    const stride = width * 4;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw[y * (stride + 1)] = 0;
+        raw.set(rgba.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+    }
+    
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(`${e.message}\n\n${USAGE}`);
+        process.exit(2);
+    }
+    
+    let doc;
+    try {
+        doc = JSON.parse(fs.readFileSync(options.sessionPath, 'utf8'));
+    } catch (e) {
+        console.error(`Could not read "${options.sessionPath}": ${e.message}`);
+        process.exit(1);
+    }
+    
+    const errors = validateSessionDocument(doc);
+    if (errors.length > 0) {
+        console.error(`Could not load "${options.sessionPath}":\n${errors.map(line => `  • ${line}`).join('\n')}`);
+        process.exit(1);
+    }
+    
+    if (options.data !== 'none' && path.resolve(`${options.out}.json`) === path.resolve(options.sessionPath)) {
+        console.error(`--out ${options.out} would overwrite the session file with the data sidecar`);
+        process.exit(2);
+    }
+    
+    const params = resolveParams(doc.params, options.resolution);
+    const color = doc.color;
+    const stack = TransformationStack.deserialize(doc.stack);
+    const shaderParams = stack.getShaderParams();
+    const config = buildTileConfig(params);
+    const res = params.resolution;
+    
+    // Same layout as the page's render data grid (see beginRenderData())
+    const axes = RenderDataFormat.computeAxisValues(res, shaderParams);
+    const grid = {
+        width: res,
+        height: res,
+        renderMode: 'cpu',
+        complete: false,
+        maxIter: params.maxIter,
+        dt: params.dt,
+        integrator: config.integrator,
+        adaptive: CPUPhysics.isAdaptiveIntegrator(config.integrator),
+        metric: config.metric,
+        flipArm: config.metric === 'flip' ? config.flipArm : null,
+        samplesPerPixel: config.samplesPerPixel,
+        sampleStatistic: config.sampleStatistic,
+        valueMax: ChaosTile.getTileValueMax(config),
+        valueMin: ChaosTile.getTileValueMin(config),
+        divergence: new Float32Array(res * res),
+        diverged: new Uint8Array(res * res),
+        toleranceFailures: 0,
+        xValues: axes.xValues,
+        yValues: axes.yValues,
+        dims: shaderParams.layerDims || ['theta1', 'theta2'],
+        deltaMode: !!shaderParams.deltaMode,
+        obliqueDirs: shaderParams.obliqueDirs || null,
+        axisScales: shaderParams.axisScales,
+        energyConstraint: shaderParams.energyConstraint || null,
+        viewState: {
+            stack: stack.serialize(),
+            params,
+            color
+        }
+    };
+    
+    const tileCount = Math.ceil(res / options.tileSize) ** 2;
+    const workerCount = Math.min(options.workers, tileCount);
+    const startTime = Date.now();
+    let done = 0;
+    const log = (text) => { if (!options.quiet) process.stderr.write(text); };
+    
+    log(`Rendering ${res}×${res} ${grid.dims[0]}/${grid.dims[1]} map with ${workerCount} worker thread(s)\n`);
+    await renderTiles(res, options.tileSize, workerCount, shaderParams, config, (tile) => {
+        for (let y = 0; y < tile.height; y++) {
+            const rowStart = (tile.offsetY + y) * res + tile.offsetX;
+            grid.divergence.set(tile.divergence.subarray(y * tile.width, (y + 1) * tile.width), rowStart);
+            grid.diverged.set(tile.diverged.subarray(y * tile.width, (y + 1) * tile.width), rowStart);
+        }
+        grid.toleranceFailures += tile.failed;
+        done++;
+        log(`\r  ${done}/${tileCount} tiles (${Math.round(done / tileCount * 100)}%)`);
+    });
+    grid.complete = true;
+    log(`\n  done in ${((Date.now() - startTime) / 1000).toFixed(1)}s\n`);
+    if (grid.toleranceFailures > 0) {
+        console.warn(`Warning: ${grid.toleranceFailures} pixel(s) could not meet the integrator tolerance ${config.tolerance} and have no value`);
+    }
+    
+    // Colour the whole grid at once, so histogram equalisation sees every pixel
+    const continuous = CPUPhysics.CONTINUOUS_METRICS.includes(config.metric);
+    const table = color.equalize
+        ? ColorMapping.buildEqualizationTable(grid.divergence, grid.diverged, grid.valueMax, color.clipMin, color.clipMax, continuous, grid.valueMin)
+        : null;
+    const rgba = new Uint8Array(res * res * 4);
+    ColorMapping.colorizeDivergenceData(grid.divergence, grid.diverged, rgba, grid.valueMax, {
+        colorMapping: color.colorMapping,
+        hueMapping: color.hueMapping,
+        cyclePeriod: color.cyclePeriod,
+        clipMin: color.clipMin,
+        clipMax: color.clipMax,
+        valueMin: grid.valueMin,
+        equalizationTable: table,
+        continuous
+    });
+    
+    const pngFile = `${options.out}.png`;
+    fs.mkdirSync(path.dirname(path.resolve(pngFile)), { recursive: true });
+    fs.writeFileSync(pngFile, encodePng(res, res, rgba));
+    log(`Wrote ${pngFile}\n`);
+    
+    if (options.data !== 'none') {
+        const dataFile = `${options.out}.${options.data}`;
+        const sidecarFile = `${options.out}.json`;
+        const parts = options.data === 'csv'
+            ? RenderDataFormat.buildRenderDataCsvChunks(grid).map(text => Buffer.from(text, 'utf8'))
+            : RenderDataFormat.buildRenderDataNpyParts(grid).map(bytes => Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength));
+        const sidecar = RenderDataFormat.buildRenderDataSidecar(grid, {
+            data: path.basename(dataFile),
+            sidecar: path.basename(sidecarFile),
+            image: path.basename(pngFile)
+        });
+        
+        fs.writeFileSync(dataFile, Buffer.concat(parts));
+        fs.writeFileSync(sidecarFile, JSON.stringify(sidecar, null, 2));
+        log(`Wrote ${dataFile} and ${sidecarFile}\n`);
+    }
+}
+
+main().catch(e => {
+    console.error(e);
+    process.exit(1);
+});
@@ -0,0 +1,19 @@
+// Double Pendulum Chaos Map - Headless Renderer Worker Thread
+// Renders tiles posted by cli/render-map.js with the shared CPU tile loop
+
+const { parentPort, workerData } = require('worker_threads');
+const ChaosTile = require('../js/chaos-tile.js');
+
+const { resolution, shaderParams, config } = workerData;
+
+parentPort.on('message', (tile) => {
+    const { offsetX, offsetY, width, height } = tile;
+    const { divergence, diverged, failed } = ChaosTile.renderTileData(
+        offsetX, offsetY, width, height, resolution, shaderParams, config
+    );
+    
+    parentPort.postMessage(
+        { offsetX, offsetY, width, height, divergence, diverged, failed },
+        [divergence.buffer, diverged.buffer]
+    );
+});
@@ -0,0 +1,67 @@
+// Double Pendulum Chaos Map - Layer Axis Scaling
+// A layer axis is linear in a scaled coordinate w = toScaled(value): linear (w = value),
+// log (w = ln value) or symlog (w = sign(value) * ln(1 + |value| / threshold), linear
+// within ±threshold). The transformation stack, the shader and the CPU tile loop all
+// interpolate w across the screen and map it back with fromScaled().
+
+const AXIS_SCALES = ['linear', 'log', 'symlog'];
+
+// Values of the shader's u_axisScale
+const AXIS_SCALE_INDEX = { linear: 0, log: 1, symlog: 2 };
+
+const DEFAULT_SYMLOG_THRESHOLD = 1;
+
+// Value -> scaled coordinate (unknown scales are linear)
+function toScaled(value, scale, threshold = DEFAULT_SYMLOG_THRESHOLD) {
+    if (scale === 'log') return Math.log(value);
+    if (scale === 'symlog') return Math.sign(value) * Math.log1p(Math.abs(value) / threshold);
+    return value;
+}
+
+// Scaled coordinate -> value
+function fromScaled(w, scale, threshold = DEFAULT_SYMLOG_THRESHOLD) {
+    if (scale === 'log') return Math.exp(w);
+    if (scale === 'symlog') return Math.sign(w) * threshold * Math.expm1(Math.abs(w));
+    return w;
+}
+
+// Whether [min, max] can be shown on the given scale (log needs positive values)
+function isRangeValidForScale(min, max, scale) {
+    return scale !== 'log' || (min > 0 && max > 0);
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AXIS_SCALES,
+        AXIS_SCALE_INDEX,
+        DEFAULT_SYMLOG_THRESHOLD,
+        toScaled,
+        fromScaled,
+        isRangeValidForScale
+    };
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.AxisScale = {
+        AXIS_SCALES,
+        AXIS_SCALE_INDEX,
+        DEFAULT_SYMLOG_THRESHOLD,
+        toScaled,
+        fromScaled,
+        isRangeValidForScale
+    };
+}
+
+// For WebWorker
+if (typeof self !== 'undefined' && !self.window) {
+    self.AxisScale = {
+        AXIS_SCALES,
+        AXIS_SCALE_INDEX,
+        DEFAULT_SYMLOG_THRESHOLD,
+        toScaled,
+        fromScaled,
+        isRangeValidForScale
+    };
+}
@@ -0,0 +1,364 @@
+// Double Pendulum Chaos Map - Integrator Comparison Methods (Part 10)
+// These methods extend ChaosMapRenderer
+
+// Bins of the comparison histogram, spread evenly over [-range, range]
+const COMPARISON_HISTOGRAM_BINS = 48;
+
+// Whether a grid holds times (in steps or seconds) that stop at the render's horizon
+// when the flag never got set, rather than fractions or continuous values
+function isTimeLikeGrid(grid) {
+    return !!METRIC_INFO[grid.metric].timeChannel && grid.sampleStatistic !== 'fraction';
+}
+
+// Factor from a grid's values to the units renders are compared in: step counts
+// become seconds so renders with different dt line up; adaptive times, fractions
+// and the continuous metrics are compared as they are
+function getComparisonScale(grid) {
+    return isTimeLikeGrid(grid) && !grid.adaptive ? grid.dt : 1;
+}
+
+// Unit of the values compared for a grid (see getComparisonScale)
+function getComparisonUnit(grid) {
+    if (grid.sampleStatistic === 'fraction') return '';
+    const info = METRIC_INFO[grid.metric];
+    return info.timeChannel ? 's' : info.unit;
+}
+
+// Compare two render grids of the same size and metric pixel by pixel
+// Returns { difference, censoredIn, valid, compared, censored, agreeing, agreeFraction,
+// flagChanged, meanDelta, meanAbsDelta, maxAbsDelta, range, histogram }: difference
+// holds B - A in the units of getComparisonUnit() (NaN where either render has no
+// value), and the histogram counts the valid differences over [-range, range].
+// Times of pixels whose flag never got set are only the render's horizon, so those
+// pixels have no difference: censoredIn marks them per pixel (1 in A, 2 in B, 3 in both).
+// A pixel censored in only one render reached the flag in the other, so it counts as
+// disagreeing in agreeFraction (over the compared pixels); only pixels censored in both
+// are left out of it, and censored counts those.
+function compareRenderGrids(gridA, gridB, tolerance, bins = COMPARISON_HISTOGRAM_BINS) {
+    const n = gridA.width * gridA.height;
+    const scaleA = getComparisonScale(gridA);
+    const scaleB = getComparisonScale(gridB);
+    const censorsA = isTimeLikeGrid(gridA);
+    const censorsB = isTimeLikeGrid(gridB);
+    const difference = new Float32Array(n);
+    const censoredIn = new Uint8Array(n);
+    
+    let valid = 0;
+    let compared = 0;
+    let censored = 0;
+    let agreeing = 0;
+    let flagChanged = 0;
+    let sum = 0;
+    let sumAbs = 0;
+    let maxAbs = 0;
+    
+    for (let i = 0; i < n; i++) {
+        const a = gridA.divergence[i];
+        const b = gridB.divergence[i];
+        if (!gridA.rendered[i] || !gridB.rendered[i] || Number.isNaN(a) || Number.isNaN(b)) {
+            difference[i] = NaN;
+            continue;
+        }
+        if (gridA.diverged[i] !== gridB.diverged[i]) flagChanged++;
+        
+        censoredIn[i] = (censorsA && !gridA.diverged[i] ? 1 : 0) | (censorsB && !gridB.diverged[i] ? 2 : 0);
+        if (censoredIn[i]) {
+            difference[i] = NaN;
+            if (censoredIn[i] === 3) censored++;
+            else compared++;
+            continue;
+        }
+        
+        const d = b * scaleB - a * scaleA;
+        difference[i] = d;
+        valid++;
+        compared++;
+        if (Math.abs(d) <= tolerance) agreeing++;
+        sum += d;
+        sumAbs += Math.abs(d);
+        maxAbs = Math.max(maxAbs, Math.abs(d));
+    }
+    
+    // Symmetric range so zero sits in the middle; a tolerance-wide one when the renders agree exactly
+    const range = maxAbs > 0 ? maxAbs : (tolerance > 0 ? tolerance : 1);
+    const histogram = new Uint32Array(bins);
+    for (let i = 0; i < n; i++) {
+        const d = difference[i];
+        if (Number.isNaN(d)) continue;
+        const bin = Math.floor((d + range) / (2 * range) * bins);
+        histogram[Math.min(bins - 1, Math.max(0, bin))]++;
+    }
+    
+    return {
+        difference,
+        censoredIn,
+        valid,
+        compared,
+        censored,
+        agreeing,
+        agreeFraction: compared > 0 ? agreeing / compared : 0,
+        flagChanged,
+        meanDelta: valid > 0 ? sum / valid : 0,
+        meanAbsDelta: valid > 0 ? sumAbs / valid : 0,
+        maxAbsDelta: maxAbs,
+        range,
+        histogram
+    };
+}
+
+// Wire up the comparison panel
+ChaosMapRenderer.prototype.setupComparisonControls = function() {
+    const runBtn = document.getElementById('runComparisonBtn');
+    if (runBtn) {
+        runBtn.addEventListener('click', () => this.runComparison());
+    }
+    
+    document.querySelectorAll('.comparison-view-btn').forEach(btn => {
+        btn.addEventListener('click', () => this.showComparisonView(btn.dataset.view));
+    });
+    
+    // A new tolerance only needs the statistics recomputed, not the renders
+    const agreementInput = document.getElementById('compareAgreementInput');
+    if (agreementInput) {
+        agreementInput.addEventListener('change', () => {
+            const cmp = this.comparison;
+            if (!cmp) return;
+            cmp.result = compareRenderGrids(cmp.a.grid, cmp.b.grid, this.getComparisonTolerance());
+            this.recolorMap();
+            this.updateLegend();
+            this.updateComparisonUI();
+        });
+    }
+};
+
+// Agreement tolerance from the panel (0 when unset)
+ChaosMapRenderer.prototype.getComparisonTolerance = function() {
+    const tolerance = parseFloat(document.getElementById('compareAgreementInput').value);
+    return isFinite(tolerance) && tolerance >= 0 ? tolerance : 0;
+};
+
+// Settings that render B differs in (everything else is shared with A)
+// Its step count is scaled by A's dt over B's, so both renders cover the same time.
+ChaosMapRenderer.prototype.getComparisonSettings = function() {
+    const p = this.baseParams;
+    const input = parseFloat(document.getElementById('compareDtInput').value);
+    const dt = input > 0 ? input : p.dt;
+    const { min, max } = SESSION_LIMITS.maxIter;
+    return {
+        integrator: document.getElementById('compareIntegratorSelect').value || 'rk4',
+        dt,
+        maxIter: Math.max(min, Math.min(max, Math.round(p.maxIter * p.dt / dt)))
+    };
+};
+
+// Short description of an integrator setting, e.g. "verlet, dt=0.002, 20000 steps"
+function describeComparisonSettings(settings) {
+    return `${settings.integrator}, dt=${settings.dt}, ${settings.maxIter} steps`;
+}
+
+// Render the view with the current settings (A) and with the panel's settings (B),
+// then show their difference. Both renders go through generateMap(), so each uses
+// the GPU or CPU path it would on its own. Stopping either render abandons the comparison.
+ChaosMapRenderer.prototype.runComparison = async function() {
+    if (this.isRendering || this.comparisonRunning) return;
+    
+    const p = this.baseParams;
+    const settingsA = { integrator: p.integrator, dt: p.dt, maxIter: p.maxIter };
+    const settingsB = this.getComparisonSettings();
+    this.clearComparison();
+    this.comparisonRunning = true;
+    
+    let comparison = null;
+    try {
+        await this.generateMap();
+        const gridA = this.renderData;
+        if (!gridA || !gridA.complete) return;
+        
+        Object.assign(p, settingsB);
+        await this.generateMap();
+        const gridB = this.renderData;
+        if (!gridB || !gridB.complete || gridB === gridA) return;
+        
+        comparison = {
+            a: { grid: gridA, settings: settingsA },
+            b: { grid: gridB, settings: settingsB },
+            result: compareRenderGrids(gridA, gridB, this.getComparisonTolerance()),
+            view: 'diff'
+        };
+    } finally {
+        // The controls were never changed, so only baseParams and the URL need restoring
+        Object.assign(p, settingsA);
+        this.comparisonRunning = false;
+        this.updateUrlHash();
+    }
+    
+    this.comparison = comparison;
+    this.showComparisonView('diff');
+};
+
+// Forget the last comparison (a new render replaces what it showed)
+ChaosMapRenderer.prototype.clearComparison = function() {
+    this.comparison = null;
+    this.updateComparisonUI();
+};
+
+// Show render A, render B or their difference ('a', 'b' or 'diff') on the map
+// Hover readout, recolouring and data export follow the shown render; the
+// difference view keeps render B's grid underneath.
+ChaosMapRenderer.prototype.showComparisonView = function(view) {
+    const cmp = this.comparison;
+    if (!cmp) {
+        this.updateComparisonUI();
+        return;
+    }
+    
+    cmp.view = view;
+    this.renderData = view === 'a' ? cmp.a.grid : cmp.b.grid;
+    this.recolorMap();
+    this.updateLegend();
+    this.updateComparisonUI();
+};
+
+// Whether the map currently shows a comparison difference
+ChaosMapRenderer.prototype.isShowingComparisonDifference = function() {
+    return !!this.comparison && this.comparison.view === 'diff';
+};
+
+// Draw the difference B - A on the map with the diverging difference scale
+// Returns false if the comparison does not match the current canvas
+ChaosMapRenderer.prototype.drawComparisonDifference = function() {
+    const cmp = this.comparison;
+    const grid = cmp.b.grid;
+    if (grid.width !== this.canvas.width || grid.height !== this.canvas.height) return false;
+    
+    const { difference, range } = cmp.result;
+    const imageData = new ImageData(grid.width, grid.height);
+    const data = imageData.data;
+    for (let i = 0; i < difference.length; i++) {
+        const rgb = ColorMapping.differenceToRGB(difference[i], range);
+        data[i * 4] = rgb[0];
+        data[i * 4 + 1] = rgb[1];
+        data[i * 4 + 2] = rgb[2];
+        data[i * 4 + 3] = 255;
+    }
+    
+    this.mainCtx.putImageData(imageData, 0, 0);
+    return true;
+};
+
+// Legend of the difference view: the diverging scale from -range to +range
+ChaosMapRenderer.prototype.updateComparisonLegend = function() {
+    const cmp = this.comparison;
+    const unit = getComparisonUnit(cmp.b.grid);
+    const range = parseFloat(cmp.result.range.toPrecision(3));
+    
+    const gradient = document.getElementById('legendGradient');
+    if (gradient) {
+        gradient.style.background = ColorMapping.differenceToCSSGradient();
+        gradient.title = `Change B − A in ${METRIC_INFO[cmp.b.grid.metric].label}${unit ? ` (${unit})` : ''}`;
+    }
+    const left = document.getElementById('legendSlow');
+    const right = document.getElementById('legendFast');
+    if (left) left.textContent = `−${range}${unit ? ` ${unit}` : ''}`;
+    if (right) right.textContent = `+${range}${unit ? ` ${unit}` : ''}`;
+};
+
+// Hover readout of the difference view at pixel index i
+ChaosMapRenderer.prototype.describeComparisonDifference = function(i) {
+    const cmp = this.comparison;
+    const d = cmp.result.difference[i];
+    const censoredIn = cmp.result.censoredIn[i];
+    const flagLabel = METRIC_INFO[cmp.b.grid.metric].flagLabel;
+    if (censoredIn === 3) {
+        return `<span style="color: #8cf;">Not compared: ${flagLabel} never in A and B</span>`;
+    }
+    if (censoredIn) {
+        return `<span style="color: #8cf;">Disagree: ${flagLabel} only in ${censoredIn === 1 ? 'B' : 'A'}</span>`;
+    }
+    if (Number.isNaN(d)) return '';
+    
+    const unit = getComparisonUnit(cmp.b.grid);
+    const agrees = Math.abs(d) <= this.getComparisonTolerance();
+    const text = `B − A = ${d >= 0 ? '+' : ''}${d.toPrecision(3)}${unit ? ` ${unit}` : ''}${agrees ? ' (agree)' : ''}`;
+    return `<span style="color: #8cf;">${text}</span>`;
+};
+
+// Show the comparison results, the active view button and the histogram
+ChaosMapRenderer.prototype.updateComparisonUI = function() {
+    const results = document.getElementById('comparisonResults');
+    if (!results) return;
+    
+    const cmp = this.comparison;
+    results.style.display = cmp ? 'block' : 'none';
+    if (!cmp) return;
+    
+    document.querySelectorAll('.comparison-view-btn').forEach(btn => {
+        const active = btn.dataset.view === cmp.view;
+        btn.style.background = active ? 'rgba(100, 150, 255, 0.3)' : '';
+        btn.style.borderColor = active ? 'rgba(100, 150, 255, 0.6)' : '';
+    });
+    
+    const r = cmp.result;
+    const unit = getComparisonUnit(cmp.b.grid);
+    const withUnit = (v) => `${v.toPrecision(3)}${unit ? ` ${unit}` : ''}`;
+    const stats = document.getElementById('comparisonStats');
+    if (stats) {
+        stats.innerHTML = `
+            <div>A: ${describeComparisonSettings(cmp.a.settings)}</div>
+            <div>B: ${describeComparisonSettings(cmp.b.settings)}</div>
+            <div style="color: #8f8;">Agree within ${withUnit(this.getComparisonTolerance())}: ${(r.agreeFraction * 100).toFixed(1)}% of ${r.compared} pixels</div>
+            <div>Mean B − A: ${withUnit(r.meanDelta)} · mean |B − A|: ${withUnit(r.meanAbsDelta)}</div>
+            <div>Max |B − A|: ${withUnit(r.maxAbsDelta)} · ${METRIC_INFO[cmp.b.grid.metric].flagLabel} flag changed: ${r.flagChanged} pixels</div>
+            ${r.censored > 0 ? `<div>Not compared (never ${METRIC_INFO[cmp.b.grid.metric].flagLabel} in A or B): ${r.censored} pixels</div>` : ''}
+        `;
+    }
+    
+    this.drawComparisonHistogram();
+};
+
+// Histogram of B - A, bars coloured by the difference scale, with the agreement
+// band shaded and zero marked
+ChaosMapRenderer.prototype.drawComparisonHistogram = function() {
+    const canvas = document.getElementById('comparisonHistogramCanvas');
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const w = canvas.width;
+    const h = canvas.height;
+    const { histogram, range } = this.comparison.result;
+    const bins = histogram.length;
+    
+    ctx.fillStyle = '#0a0a0a';
+    ctx.fillRect(0, 0, w, h);
+    
+    const toX = (d) => (d + range) / (2 * range) * w;
+    const tolerance = Math.min(this.getComparisonTolerance(), range);
+    ctx.fillStyle = 'rgba(100, 255, 100, 0.12)';
+    ctx.fillRect(toX(-tolerance), 0, toX(tolerance) - toX(-tolerance), h);
+    
+    // Square-root heights keep the small tails visible next to the central peak
+    const peak = Math.sqrt(Math.max(1, ...histogram));
+    const barW = w / bins;
+    for (let b = 0; b < bins; b++) {
+        if (!histogram[b]) continue;
+        const barH = Math.max(1, Math.sqrt(histogram[b]) / peak * (h - 14));
+        const centre = ((b + 0.5) / bins * 2 - 1) * range;
+        ctx.fillStyle = `rgb(${ColorMapping.differenceToRGB(centre, range).join(',')})`;
+        ctx.fillRect(b * barW + 0.5, h - 12 - barH, Math.max(1, barW - 1), barH);
+    }
+    
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+    ctx.beginPath();
+    ctx.moveTo(toX(0), 0);
+    ctx.lineTo(toX(0), h - 12);
+    ctx.stroke();
+    
+    const label = parseFloat(range.toPrecision(3));
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.font = '9px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.fillText(`−${label}`, 2, h - 2);
+    ctx.textAlign = 'center';
+    ctx.fillText('0', w / 2, h - 2);
+    ctx.textAlign = 'right';
+    ctx.fillText(`+${label}`, w - 2, h - 2);
+};
@@ -8,16 +8,26 @@ class CPUChaosMapRenderer {
         this.threshold = 0.05;
         this.dt = 0.002;
         this.g = 9.81;
-        this.integrator = 'rk4'; // 'rk4' or 'verlet'
+        this.integrator = 'rk4'; // One of CPUPhysics.INTEGRATORS
+        this.tolerance = 1e-8;   // Error tolerance of adaptive integrators
+        this.metric = 'divergence'; // One of CPUPhysics.CHAOS_METRICS
+        this.flipArm = 'either';    // One of CPUPhysics.FLIP_ARMS
+        this.divergenceMeasure = null; // { mode, weights } for CPUPhysics.measureDivergence(), null = default
         this.perturbMode = 'fixed'; // 'fixed' or 'random'
-        this.colorMapping = 0; // 0=rainbow, 1=heatmap, 2=viridis, 3=grayscale, 4=cyclic
+        // Colour settings, interpreted by the shared ColorMapping module
+        this.colorMapping = 0; // Tone curve (see colorMappingSelect)
         this.cyclePeriod = 500;
-        this.hueMapping = 0;
+        this.hueMapping = 0;   // Palette (see hueMappingSelect)
+        this.clipMin = null;
+        this.clipMax = null;
         
         this.perturbFixed = {
             theta1: 0.00001, theta2: 0.00001, omega1: 0.00001, omega2: 0.00001,
             l1: 0.00001, l2: 0.00001, m1: 0.00001, m2: 0.00001
         };
+        this.perturbRandom = {};
+        this.samplesPerPixel = 1;
+        this.sampleStatistic = null; // null = single twin used as-is
         this.perturbScale = 1.0;
         
         this.shouldStop = false;
@@ -105,7 +115,8 @@ class CPUChaosMapRenderer {
                         params.offsetX === offsetX && 
                         params.offsetY === offsetY) {
                         worker.removeEventListener('message', handler);
-                        resolve(params.imageData);
+                        // { imageData, divergence, diverged, failed }
+                        resolve(params);
                     }
                 };
                 worker.addEventListener('message', handler);
@@ -123,9 +134,20 @@ class CPUChaosMapRenderer {
                             dt: this.dt,
                             g: this.g,
                             integrator: this.integrator,
+                            tolerance: this.tolerance,
+                            metric: this.metric,
+                            flipArm: this.flipArm,
+                            divergenceMeasure: this.divergenceMeasure,
                             colorMapping: this.colorMapping,
+                            hueMapping: this.hueMapping,
                             cyclePeriod: this.cyclePeriod,
+                            clipMin: this.clipMin,
+                            clipMax: this.clipMax,
+                            perturbMode: this.perturbMode,
                             perturbFixed: this.perturbFixed,
+                            perturbRandom: this.perturbRandom,
+                            samplesPerPixel: this.samplesPerPixel,
+                            sampleStatistic: this.sampleStatistic,
                             perturbScale: this.perturbScale ?? 1.0
                         }
                     }
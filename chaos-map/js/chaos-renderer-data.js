@@ -0,0 +1,208 @@
+// Double Pendulum Chaos Map - Raw Data Grid, Recolouring and Export Methods (Part 9)
+// These methods extend ChaosMapRenderer
+
+// Start a new per-pixel data grid for a render
+// The view state is snapshotted so later UI changes don't mislabel the export
+ChaosMapRenderer.prototype.beginRenderData = function(res, renderMode) {
+    const shaderParams = this.stack.getShaderParams();
+    const axes = computeAxisValues(res, shaderParams);
+    
+    this.renderData = {
+        width: res,
+        height: res,
+        renderMode,
+        complete: false,
+        maxIter: this.baseParams.maxIter,
+        dt: this.baseParams.dt,
+        integrator: this.baseParams.integrator,
+        // Adaptive integrators report divergence and flip times in seconds
+        adaptive: this.isAdaptiveIntegrator(),
+        metric: this.baseParams.metric,
+        flipArm: this.baseParams.metric === 'flip' ? this.baseParams.flipArm : null,
+        samplesPerPixel: this.getEffectiveSamples(),
+        sampleStatistic: this.usesSampleStatistic() ? this.baseParams.sampleStatistic : null,
+        valueMax: null,
+        valueMin: CPUPhysics.getMetricValueMin(this.baseParams.metric, this.usesSampleStatistic() ? this.baseParams.sampleStatistic : null),
+        divergence: new Float32Array(res * res),
+        diverged: new Uint8Array(res * res),
+        rendered: new Uint8Array(res * res),
+        toleranceFailures: 0, // Pixels the adaptive integrator could not resolve (NaN)
+        xValues: axes.xValues,
+        yValues: axes.yValues,
+        dims: shaderParams.layerDims || ['theta1', 'theta2'],
+        deltaMode: !!shaderParams.deltaMode,
+        obliqueDirs: shaderParams.obliqueDirs || null,
+        axisScales: shaderParams.axisScales,
+        energyConstraint: shaderParams.energyConstraint || null,
+        viewState: this.getViewState()
+    };
+    const horizon = CPUPhysics.getAdaptiveHorizon(this.renderData.integrator, this.renderData.maxIter, this.renderData.dt);
+    this.renderData.valueMax = CPUPhysics.getMetricValueMax(this.renderData.metric, this.renderData.maxIter, this.renderData.sampleStatistic, horizon);
+    this.colorsChangedDuringRender = false;
+    this.updateLegend();
+};
+
+// Copy a rendered tile's raw values into the grid
+ChaosMapRenderer.prototype.storeTileData = function(offsetX, offsetY, width, height, divergence, diverged) {
+    const grid = this.renderData;
+    if (!grid || !divergence || !diverged) return;
+    
+    for (let y = 0; y < height; y++) {
+        const rowStart = (offsetY + y) * grid.width + offsetX;
+        grid.divergence.set(divergence.subarray(y * width, (y + 1) * width), rowStart);
+        grid.diverged.set(diverged.subarray(y * width, (y + 1) * width), rowStart);
+        grid.rendered.fill(1, rowStart, rowStart + width);
+    }
+};
+
+ChaosMapRenderer.prototype.finishRenderData = function(complete) {
+    if (!this.renderData) return;
+    this.renderData.complete = complete;
+    if (this.renderData.toleranceFailures > 0) {
+        console.warn(`${this.renderData.toleranceFailures} pixel(s) could not meet the integrator tolerance and have no value`);
+    }
+    this.updateZoomIndicator();
+    
+    // Tiles are streamed without equalisation since the histogram needs the whole map,
+    // and CPU tiles queued before a colour change were coloured by the worker with the old settings
+    if (this.equalizeHistogram || this.colorsChangedDuringRender) this.recolorMap();
+};
+
+// Current colour settings in the form used by ColorMapping
+ChaosMapRenderer.prototype.getColorOptions = function(equalizationTable = null) {
+    return {
+        colorMapping: this.colorMapping,
+        hueMapping: this.hueMapping,
+        cyclePeriod: this.cyclePeriod,
+        clipMin: this.colorClipMin,
+        clipMax: this.colorClipMax,
+        valueMin: this.getSampleValueMin(),
+        equalizationTable,
+        continuous: this.isContinuousMetric()
+    };
+};
+
+// Colour one tile of divergence data with the current settings
+ChaosMapRenderer.prototype.colorizeTile = function(divergence, diverged, width, height) {
+    const imageData = new ImageData(width, height);
+    ColorMapping.colorizeDivergenceData(divergence, diverged, imageData.data, this.getSampleValueMax(), this.getColorOptions());
+    return imageData;
+};
+
+// Re-colour the last render from its stored data without re-simulating
+// Returns false if there is no data matching the current canvas
+ChaosMapRenderer.prototype.recolorMap = function() {
+    if (this.isShowingComparisonDifference()) return this.drawComparisonDifference();
+    
+    const grid = this.renderData;
+    if (!grid || grid.width !== this.canvas.width || grid.height !== this.canvas.height) return false;
+    
+    const table = this.equalizeHistogram
+        ? ColorMapping.buildEqualizationTable(grid.divergence, grid.diverged, grid.valueMax, this.colorClipMin, this.colorClipMax, this.isContinuousMetric(), grid.valueMin)
+        : null;
+    
+    const imageData = new ImageData(grid.width, grid.height);
+    const data = imageData.data;
+    ColorMapping.colorizeDivergenceData(grid.divergence, grid.diverged, data, grid.valueMax, this.getColorOptions(table));
+    
+    // Keep tiles that have not been rendered yet at the background colour
+    for (let i = 0; i < grid.rendered.length; i++) {
+        if (grid.rendered[i]) continue;
+        data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = 10;
+    }
+    
+    this.mainCtx.putImageData(imageData, 0, 0);
+    return true;
+};
+
+// Apply changed colour settings: re-colour the stored data, or re-render if there is none
+ChaosMapRenderer.prototype.refreshColors = function() {
+    this.updateLegend();
+    this.updateUrlHash();
+    if (this.isRendering) this.colorsChangedDuringRender = true;
+    if (!this.recolorMap() && !this.isRendering) this.generateMap();
+};
+
+// Download the raw data grid of the last render ('npy' or 'csv') plus a JSON sidecar
+ChaosMapRenderer.prototype.exportRenderData = function(format = 'npy') {
+    const grid = this.renderData;
+    if (!grid) {
+        alert('Nothing to export yet - render a map first');
+        return;
+    }
+    if (!grid.complete && !confirm('The last render did not finish. Export the partial data anyway?')) {
+        return;
+    }
+    
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+    const baseName = `chaos-map-data_${grid.dims[0]}_${grid.dims[1]}_${timestamp}`;
+    const dataFile = `${baseName}.${format === 'csv' ? 'csv' : 'npy'}`;
+    const sidecarFile = `${baseName}.json`;
+    
+    const dataBlob = format === 'csv'
+        ? new Blob(buildRenderDataCsvChunks(grid), { type: 'text/csv' })
+        : new Blob(buildRenderDataNpyParts(grid), { type: 'application/octet-stream' });
+    const sidecar = buildRenderDataSidecar(grid, { data: dataFile, sidecar: sidecarFile });
+    const sidecarBlob = new Blob([JSON.stringify(sidecar, null, 2)], { type: 'application/json' });
+    
+    this.downloadBlob(dataBlob, dataFile);
+    this.downloadBlob(sidecarBlob, sidecarFile);
+};
+
+// Integrate a pinned simulation's pair from its initial conditions and download the
+// trajectory, using the export settings of the Pendulum Simulation panel
+ChaosMapRenderer.prototype.exportPinnedTrajectory = function(sim) {
+    const duration = parseFloat(document.getElementById('trajectoryDurationInput').value);
+    const sampleInterval = parseFloat(document.getElementById('trajectoryIntervalInput').value);
+    const format = document.getElementById('trajectoryFormatSelect').value === 'json' ? 'json' : 'csv';
+    if (!(duration > 0) || !(sampleInterval > 0)) {
+        alert('Trajectory duration and sample interval must be positive');
+        return;
+    }
+    if (duration / sampleInterval > TRAJECTORY_MAX_SAMPLES &&
+        !confirm(`That is more than ${TRAJECTORY_MAX_SAMPLES} samples. Export only the first ${TRAJECTORY_MAX_SAMPLES}?`)) {
+        return;
+    }
+    
+    const options = this.getPinnedSimulationOptions(sim);
+    let trajectory;
+    try {
+        trajectory = computeTrajectory(sim.state, sim.perturbedState, {
+            duration,
+            sampleInterval,
+            dt: options.dt,
+            integrator: options.integrator,
+            tolerance: options.tolerance,
+            threshold: options.threshold,
+            divergenceMeasure: options.divergenceMeasure
+        });
+    } catch (e) {
+        if (!(e instanceof CPUPhysics.ToleranceError)) throw e;
+        alert(`Could not export the trajectory: ${e.message}`);
+        return;
+    }
+    trajectory.header.pin = { nx: sim.nx, ny: sim.ny };
+    
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+    const filename = `pendulum-trajectory_${sim.nx.toFixed(3)}_${sim.ny.toFixed(3)}_${timestamp}.${format}`;
+    const blob = format === 'json'
+        ? new Blob([buildTrajectoryJson(trajectory)], { type: 'application/json' })
+        : new Blob(buildTrajectoryCsvChunks(trajectory), { type: 'text/csv' });
+    
+    this.downloadBlob(blob, filename);
+};
+
+// Trigger a browser download of a Blob
+ChaosMapRenderer.prototype.downloadBlob = function(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href = url;
+    
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    // Give the browser a moment to start the download before releasing the URL
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,273 @@
+// Double Pendulum Chaos Map - Ensemble Cloud Methods (Part 13)
+// These methods extend ChaosMapRenderer
+
+// Largest ensemble that can be launched
+const ENSEMBLE_MAX_MEMBERS = 5000;
+
+// Spread samples kept for the plot; older halves are thinned out beyond this
+const ENSEMBLE_SPREAD_HISTORY = 1000;
+
+// Lowest spread shown on the logarithmic spread plot
+const ENSEMBLE_SPREAD_FLOOR = 1e-8;
+
+// Series of the spread plot: key in each sample, label and colour
+const ENSEMBLE_SPREAD_SERIES = [
+    { key: 'theta1', label: 'σθ₁', color: 'rgb(100, 200, 255)' },
+    { key: 'theta2', label: 'σθ₂', color: 'rgb(255, 150, 50)' },
+    { key: 'position', label: 'σ bob 2', color: 'rgb(120, 230, 120)' }
+];
+
+// Wire up the Ensemble Cloud panel
+ChaosMapRenderer.prototype.setupEnsembleControls = function() {
+    const pickBtn = document.getElementById('ensemblePickBtn');
+    if (pickBtn) {
+        pickBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleEnsemblePickMode();
+        });
+    }
+    
+    const stopBtn = document.getElementById('ensembleStopBtn');
+    if (stopBtn) {
+        stopBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.stopEnsemble();
+        });
+    }
+};
+
+// Toggle pick mode - when active, clicking on the map launches an ensemble there
+ChaosMapRenderer.prototype.toggleEnsemblePickMode = function(forceState = null) {
+    this.ensemblePickMode = forceState !== null ? forceState : !this.ensemblePickMode;
+    
+    const btn = document.getElementById('ensemblePickBtn');
+    if (btn) btn.textContent = this.ensemblePickMode ? '☁ Click on map...' : '☁ Pick Point';
+    
+    if (this.ensemblePickMode) {
+        if (this.pinMode) this.togglePinMode(false);
+        this.canvas.style.cursor = 'crosshair';
+    } else {
+        this.canvas.style.cursor = 'default';
+    }
+};
+
+// Launch an ensemble at a map position: the reference state plus members whose
+// Gaussian perturbations are drawn from the random perturbation settings (whatever
+// the current mode), seeded per pixel and member like the map's samples
+ChaosMapRenderer.prototype.startEnsemble = function(nx, ny) {
+    const state = this.stack.computeState(nx, 1 - ny);
+    if (CPUPhysics.isForbiddenState(state)) {
+        alert('No real initial state at this energy here (forbidden region).');
+        return;
+    }
+    
+    const sizeInput = document.getElementById('ensembleSizeInput');
+    const requested = parseInt(sizeInput ? sizeInput.value : '') || 200;
+    const count = Math.max(2, Math.min(ENSEMBLE_MAX_MEMBERS, requested));
+    if (sizeInput) sizeInput.value = count;
+    
+    const perturb = { ...this.getPerturbConfig(), mode: 'random' };
+    const members = [];
+    for (let k = 0; k < count; k++) {
+        members.push(this.computePerturbedState(state, nx, 1 - ny, k, perturb));
+    }
+    
+    this.stopEnsemble();
+    
+    // The reference pendulum and its first member draw as in a pinned pane; the
+    // cloud and spread come from the worker
+    const canvas = document.getElementById('ensembleCanvas');
+    let refSim;
+    try {
+        refSim = new CPUPendulumSimulation(canvas, this.getPinnedSimulationOptions({ state, perturbedState: members[0] }));
+    } catch (e) {
+        console.error('Failed to create ensemble reference simulation:', e);
+        return;
+    }
+    
+    let worker;
+    try {
+        worker = new Worker('js/ensemble-worker.js');
+    } catch (e) {
+        console.error('Failed to start ensemble worker:', e);
+        alert('Could not start the ensemble worker (pages opened from file:// may not run workers).');
+        return;
+    }
+    
+    this.ensemble = {
+        worker,
+        nx,
+        ny,
+        count,
+        refSim,
+        positions: null,
+        spread: [],
+        time: 0,
+        waiting: true,
+        animationId: null
+    };
+    
+    worker.onmessage = (e) => {
+        if (e.data.action === 'frame') this.handleEnsembleFrame(e.data.params);
+    };
+    worker.onerror = (e) => {
+        console.error('Ensemble worker error:', e.message);
+        this.stopEnsemble();
+    };
+    worker.postMessage({
+        action: 'start',
+        params: {
+            states: members,
+            integrator: this.baseParams.integrator,
+            dt: this.baseParams.dt,
+            tolerance: this.baseParams.tolerance
+        }
+    });
+    
+    this.animateEnsemble();
+};
+
+// Stop the running ensemble, if any (the last frame stays on screen)
+ChaosMapRenderer.prototype.stopEnsemble = function() {
+    const ensemble = this.ensemble;
+    if (!ensemble) return;
+    
+    if (ensemble.animationId) cancelAnimationFrame(ensemble.animationId);
+    ensemble.worker.terminate();
+    ensemble.refSim.destroy();
+    this.ensemble = null;
+};
+
+// Ask the worker for the next frame once it has delivered the last one, so it never
+// falls behind
+ChaosMapRenderer.prototype.animateEnsemble = function() {
+    const ensemble = this.ensemble;
+    if (!ensemble) return;
+    
+    if (!ensemble.waiting) {
+        ensemble.waiting = true;
+        ensemble.worker.postMessage({ action: 'advance', params: { steps: this.pendulumSimSpeed } });
+    }
+    
+    ensemble.animationId = requestAnimationFrame(() => this.animateEnsemble());
+};
+
+// Draw a frame from the worker, stepping the reference pendulum by as much
+ChaosMapRenderer.prototype.handleEnsembleFrame = function(frame) {
+    const ensemble = this.ensemble;
+    if (!ensemble) return;
+    
+    ensemble.waiting = false;
+    ensemble.positions = frame.positions;
+    ensemble.time = frame.time;
+    if (frame.advanced > 0) ensemble.refSim.step(frame.advanced);
+    
+    ensemble.spread.push({ time: frame.time, ...frame.spread });
+    if (ensemble.spread.length > ENSEMBLE_SPREAD_HISTORY) {
+        // Keep every other sample so the plot still covers the whole run
+        ensemble.spread = ensemble.spread.filter((_, i) => i % 2 === 0);
+    }
+    
+    ensemble.refSim.render();
+    this.drawEnsembleCloud();
+    this.drawEnsembleSpread();
+    this.updateEnsembleInfo();
+};
+
+// Overlay every member's lower bob on the reference pendulum
+ChaosMapRenderer.prototype.drawEnsembleCloud = function() {
+    const { refSim, positions } = this.ensemble;
+    if (!positions) return;
+    
+    const ctx = refSim.ctx;
+    ctx.fillStyle = 'rgba(255, 220, 120, 0.6)';
+    for (let i = 0; i < positions.length; i += 2) {
+        const x = refSim.centerX + positions[i] * refSim.scale;
+        const y = refSim.centerY + positions[i + 1] * refSim.scale;
+        ctx.fillRect(x - 1, y - 1, 2, 2);
+    }
+};
+
+// Plot the ensemble spread over time on a logarithmic axis
+ChaosMapRenderer.prototype.drawEnsembleSpread = function() {
+    const canvas = document.getElementById('ensembleSpreadCanvas');
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const w = canvas.width;
+    const h = canvas.height;
+    const spread = this.ensemble.spread;
+    
+    ctx.fillStyle = '#0a0a0a';
+    ctx.fillRect(0, 0, w, h);
+    if (spread.length === 0) return;
+    
+    // Decades from the floor (or the smallest spread) up to the largest spread
+    let minValue = Infinity;
+    let maxValue = 0;
+    spread.forEach(sample => ENSEMBLE_SPREAD_SERIES.forEach(({ key }) => {
+        minValue = Math.min(minValue, Math.max(sample[key], ENSEMBLE_SPREAD_FLOOR));
+        maxValue = Math.max(maxValue, sample[key]);
+    }));
+    const logMin = Math.floor(Math.log10(minValue));
+    const logMax = Math.max(logMin + 1, Math.ceil(Math.log10(Math.max(maxValue, ENSEMBLE_SPREAD_FLOOR))));
+    const tMax = Math.max(spread[spread.length - 1].time, 1e-9);
+    
+    const left = 30;
+    const bottom = h - 14;
+    const mapX = t => left + (t / tMax) * (w - left - 4);
+    const mapY = v => bottom - (Math.log10(Math.max(v, ENSEMBLE_SPREAD_FLOOR)) - logMin) / (logMax - logMin) * (bottom - 4);
+    
+    // Decade grid lines and labels
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.font = '9px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.lineWidth = 1;
+    const stride = Math.ceil((logMax - logMin) / 5);
+    for (let d = logMin; d <= logMax; d += stride) {
+        const y = mapY(Math.pow(10, d));
+        ctx.beginPath();
+        ctx.moveTo(left, y);
+        ctx.lineTo(w - 4, y);
+        ctx.stroke();
+        ctx.fillText(`1e${d}`, left - 3, y + 3);
+    }
+    ctx.textAlign = 'left';
+    ctx.fillText('0', left, h - 3);
+    ctx.textAlign = 'right';
+    ctx.fillText(`${tMax.toFixed(1)} s`, w - 4, h - 3);
+    
+    // One line per series, with its label
+    ctx.lineWidth = 1.5;
+    ENSEMBLE_SPREAD_SERIES.forEach(({ key, label, color }, i) => {
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        spread.forEach((sample, j) => {
+            const x = mapX(sample.time);
+            const y = mapY(sample[key]);
+            if (j === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+        
+        ctx.fillStyle = color;
+        ctx.textAlign = 'left';
+        ctx.fillText(label, left + 4 + i * 48, 12);
+    });
+};
+
+// Summarise the running ensemble under the plots
+ChaosMapRenderer.prototype.updateEnsembleInfo = function() {
+    const info = document.getElementById('ensembleInfo');
+    const ensemble = this.ensemble;
+    if (!info || !ensemble) return;
+    
+    const last = ensemble.spread[ensemble.spread.length - 1];
+    info.innerHTML = `
+        <span>${ensemble.count} members at (${ensemble.nx.toFixed(2)}, ${ensemble.ny.toFixed(2)})</span>
+        <span>t=${ensemble.time.toFixed(2)} s</span>
+        <span>σθ₁=${last.theta1.toExponential(2)}</span>
+        <span>σθ₂=${last.theta2.toExponential(2)}</span>
+        <span>σ bob 2=${last.position.toExponential(2)} m</span>
+    `;
+};
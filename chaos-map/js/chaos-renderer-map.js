@@ -65,41 +65,10 @@ ChaosMapRenderer.prototype.renderPreview = function(nx, ny) {
     // Flip Y to match shader coordinate system
     const basisState = this.stack.computeState(nx, 1 - ny);
     
-    // Determine mode and fixed state based on which dimensions are being mapped
-    // fixedState always contains the FULL basis state - the shader uses it as base values
+    // fixedState always contains the FULL basis state - the shader overwrites (or in
+    // delta mode offsets) the two mapped dimensions
     // Index 0=theta1, 1=theta2, 2=omega1, 3=omega2
-    let mode = 0;
-    let fixedState = [basisState.theta1, basisState.theta2, basisState.omega1, basisState.omega2];
-    let outL1 = basisState.l1;
-    let outL2 = basisState.l2;
-    let outM1 = basisState.m1;
-    let outM2 = basisState.m2;
-    
-    // Check which dimensions are being mapped
-    const xIsTheta = xDim === 'theta1' || xDim === 'theta2';
-    const xIsOmega = xDim === 'omega1' || xDim === 'omega2';
-    const xIsL = xDim === 'l1' || xDim === 'l2';
-    const xIsM = xDim === 'm1' || xDim === 'm2';
-    
-    const yIsTheta = yDim === 'theta1' || yDim === 'theta2';
-    const yIsOmega = yDim === 'omega1' || yDim === 'omega2';
-    const yIsL = yDim === 'l1' || yDim === 'l2';
-    const yIsM = yDim === 'm1' || yDim === 'm2';
-    
-    // Determine mode - this affects the shader's logic but fixedState always has full basis
-    if (xIsTheta || yIsTheta) {
-        mode = 0; // Position mode
-    } else if (xIsOmega || yIsOmega) {
-        mode = 1; // Velocity mode
-    } else if (xIsL || yIsL) {
-        mode = 2; // Length mode
-        if (xDim === 'l1' || yDim === 'l1') outL1 = basisState.l1;
-        if (xDim === 'l2' || yDim === 'l2') outL2 = basisState.l2;
-    } else if (xIsM || yIsM) {
-        mode = 3; // Mass mode
-        if (xDim === 'm1' || yDim === 'm1') outM1 = basisState.m1;
-        if (xDim === 'm2' || yDim === 'm2') outM2 = basisState.m2;
-    }
+    const fixedState = [basisState.theta1, basisState.theta2, basisState.omega1, basisState.omega2];
     
     // Calculate scale and center from ranges
     const scaleX = (state.xMax - state.xMin) / 2;
@@ -119,11 +88,13 @@ ChaosMapRenderer.prototype.renderPreview = function(nx, ny) {
     setUniform('u_resolution', gl.uniform2f, width, height);
     setUniform('u_tileOffset', gl.uniform2f, 0, 0);
     setUniform('u_tileSize', gl.uniform2f, width, height);
-    setUniform('u_l1', gl.uniform1f, outL1 ?? 1.0);
-    setUniform('u_l2', gl.uniform1f, outL2 ?? 1.0);
-    setUniform('u_m1', gl.uniform1f, outM1 ?? 1.0);
-    setUniform('u_m2', gl.uniform1f, outM2 ?? 1.0);
-    setUniform('u_g', gl.uniform1f, this.baseParams.g);
+    setUniform('u_l1', gl.uniform1f, basisState.l1 ?? 1.0);
+    setUniform('u_l2', gl.uniform1f, basisState.l2 ?? 1.0);
+    setUniform('u_m1', gl.uniform1f, basisState.m1 ?? 1.0);
+    setUniform('u_m2', gl.uniform1f, basisState.m2 ?? 1.0);
+    setUniform('u_g', gl.uniform1f, basisState.g);
+    setUniform('u_forcing', gl.uniform4f,
+        basisState.damping1, basisState.damping2, basisState.torqueAmp, basisState.torqueFreq);
     setUniform('u_dt', gl.uniform1f, this.baseParams.dt);
     setUniform('u_maxIter', gl.uniform1i, this.baseParams.maxIter);
     setUniform('u_threshold', gl.uniform1f, this.baseParams.threshold);
@@ -145,15 +116,14 @@ ChaosMapRenderer.prototype.renderPreview = function(nx, ny) {
     setUniform('u_perturbStdCD', gl.uniform4f, 
         pRand.l1.std * s, pRand.l2.std * s, pRand.m1.std * s, pRand.m2.std * s);
     setUniform('u_perturbMode', gl.uniform1i, this.baseParams.perturbMode === 'random' ? 1 : 0);
-    setUniform('u_integrator', gl.uniform1i, this.baseParams.integrator === 'verlet' ? 1 : 0);
-    setUniform('u_seed', gl.uniform1f, 0);
     setUniform('u_colorMapping', gl.uniform1i, this.colorMapping);
     setUniform('u_cyclePeriod', gl.uniform1f, this.cyclePeriod);
     setUniform('u_hueMapping', gl.uniform1i, this.hueMapping);
     
-    // Generate and bind per-render noise texture for truly independent random perturbations
-    // Preview is always 256x256
-    const noiseTex = this.updateNoiseTexture(gl, width, height);
+    // Bind the twin draws of the preview's pixels (it is one 256x256 tile); fixed offsets need none
+    const noiseTex = this.baseParams.perturbMode === 'random'
+        ? this.updateNoiseTexture(gl, 0, 0, width, height, width, 0)
+        : null;
     if (noiseTex) {
         gl.activeTexture(gl.TEXTURE0);
         gl.bindTexture(gl.TEXTURE_2D, noiseTex);
@@ -161,7 +131,6 @@ ChaosMapRenderer.prototype.renderPreview = function(nx, ny) {
     }
     
     // Layer-based uniforms
-    setUniform('u_layerMode', gl.uniform1i, mode);
     setUniform('u_fixedState', gl.uniform4f, 
         fixedState[0] ?? 0, fixedState[1] ?? 0, fixedState[2] ?? 0, fixedState[3] ?? 0);
     setUniform('u_scaleX', gl.uniform1f, scaleX);
@@ -170,11 +139,23 @@ ChaosMapRenderer.prototype.renderPreview = function(nx, ny) {
     setUniform('u_centerY', gl.uniform1f, centerY);
     
     // Which dimensions are being mapped
-    const dimToIndex = { theta1: 0, theta2: 1, omega1: 2, omega2: 3, l1: 4, l2: 5, m1: 6, m2: 7 };
-    setUniform('u_mappedDims', gl.uniform2i, dimToIndex[xDim] ?? 0, dimToIndex[yDim] ?? 1);
+    setUniform('u_mappedDims', gl.uniform2i, DIM_TO_INDEX[xDim] ?? 0, DIM_TO_INDEX[yDim] ?? 1);
+    
+    // New layers start with linear axes
+    setUniform('u_axisScale', gl.uniform2i, AxisScale.AXIS_SCALE_INDEX.linear, AxisScale.AXIS_SCALE_INDEX.linear);
     
     // Delta mode: add to basis state instead of replacing
-    setUniform('u_deltaMode', gl.uniform1i, state.deltaMode ? 1 : 0);
+    // Oblique layers move along their plane from the basis instead
+    const oblique = state.kind === 'oblique';
+    setUniform('u_deltaMode', gl.uniform1i, state.deltaMode && !oblique ? 1 : 0);
+    setObliqueUniforms(gl, setUniform, oblique
+        ? [OBLIQUE_DIMS.map(dim => state.dir1[dim]), OBLIQUE_DIMS.map(dim => state.dir2[dim])]
+        : null);
+    
+    // Fixed energy, once the solved velocity is not one of the mapped dimensions
+    const energy = state.kind === 'energy' && TransformLayer.canSolveFor(xDim, yDim, state.solveFor);
+    setEnergyUniforms(gl, setUniform, energy ? { energy: state.targetEnergy, solveFor: state.solveFor } : null);
+    setMetricUniforms(gl, setUniform, this.baseParams);
     
     // Ensure vertex buffer is bound and attribute is enabled before drawing
     if (this.previewPositionBuffer) {
@@ -189,12 +170,13 @@ ChaosMapRenderer.prototype.renderPreview = function(nx, ny) {
     // Update preview info text
     const previewInfo = document.getElementById('previewInfo');
     if (previewInfo) {
-        const xDimInfo = DIM_INFO[xDim];
-        const yDimInfo = DIM_INFO[yDim];
-        const deltaBadge = state.deltaMode ? '<span style="color: #fc8;"> [Δ mode]</span>' : '';
+        const xDimInfo = oblique ? { label: 'u' } : DIM_INFO[xDim];
+        const yDimInfo = oblique ? { label: 'v' } : DIM_INFO[yDim];
+        const deltaBadge = state.deltaMode && !oblique ? '<span style="color: #fc8;"> [Δ mode]</span>' : '';
+        const energyBadge = energy ? `<span style="color: #fc8;"> [E=${state.targetEnergy}, ${DIM_INFO[state.solveFor].label} solved]</span>` : '';
         previewInfo.innerHTML = `
             <span>Pin at (${nx.toFixed(2)}, ${ny.toFixed(2)})</span>
-            <span style="color: #8af;">${xDimInfo.label}: [${state.xMin.toFixed(1)}, ${state.xMax.toFixed(1)}] ${yDimInfo.label}: [${state.yMin.toFixed(1)}, ${state.yMax.toFixed(1)}]${deltaBadge}</span>
+            <span style="color: #8af;">${xDimInfo.label}: [${state.xMin.toFixed(1)}, ${state.xMax.toFixed(1)}] ${yDimInfo.label}: [${state.yMin.toFixed(1)}, ${state.yMax.toFixed(1)}]${deltaBadge}${energyBadge}</span>
         `;
     }
 };
@@ -238,6 +220,13 @@ ChaosMapRenderer.prototype.handleMapClick = function(e) {
         this.togglePinMode(false); // Exit pin mode after placing
         return;
     }
+    
+    // If picking a point for an ensemble cloud, launch it there
+    if (this.ensemblePickMode) {
+        this.startEnsemble(nx, ny);
+        this.toggleEnsemblePickMode(false);
+        return;
+    }
 };
 
 // Zoom/Pan handling - independent of layer transformation stack
@@ -387,6 +376,143 @@ ChaosMapRenderer.prototype.removeZoomOverlay = function() {
     }
 };
 
+// Deep zoom precision
+// A view is resolvable when one pixel spans at least this many units in the last
+// place of the largest initial-condition value on its axis
+const DEEP_ZOOM_MIN_ULPS_PER_PIXEL = 4;
+const FLOAT32_MANTISSA_BITS = 23; // GPU shader
+const FLOAT64_MANTISSA_BITS = 52; // CPU worker
+
+// Spacing between adjacent floating-point numbers around a value
+function unitInLastPlace(value, mantissaBits) {
+    const magnitude = Math.abs(value);
+    if (magnitude === 0 || !isFinite(magnitude)) return 0;
+    return Math.pow(2, Math.floor(Math.log2(magnitude)) - mantissaBits);
+}
+
+// Set the oblique-layer uniforms from getShaderParams().obliqueDirs
+// (null for axis-aligned layers, which turns the oblique mapping off)
+function setObliqueUniforms(gl, setUniform, obliqueDirs) {
+    const [dir1, dir2] = obliqueDirs || [new Array(8).fill(0), new Array(8).fill(0)];
+    setUniform('u_oblique', gl.uniform1i, obliqueDirs ? 1 : 0);
+    setUniform('u_dir1AB', gl.uniform4f, dir1[0], dir1[1], dir1[2], dir1[3]);
+    setUniform('u_dir1CD', gl.uniform4f, dir1[4], dir1[5], dir1[6], dir1[7]);
+    setUniform('u_dir2AB', gl.uniform4f, dir2[0], dir2[1], dir2[2], dir2[3]);
+    setUniform('u_dir2CD', gl.uniform4f, dir2[4], dir2[5], dir2[6], dir2[7]);
+}
+
+// Set the integrator, chaos metric and divergence measure uniforms from baseParams; the
+// colour scale is the single-sample one (sample statistics are combined on the CPU from
+// raw output). Adaptive integrators have no shader version and preview with RK4.
+function setMetricUniforms(gl, setUniform, params) {
+    setUniform('u_integrator', gl.uniform1i, Math.max(0, CPUPhysics.GPU_INTEGRATORS.indexOf(params.integrator)));
+    setUniform('u_metric', gl.uniform1i, Math.max(0, CPUPhysics.CHAOS_METRICS.indexOf(params.metric)));
+    setUniform('u_valueMax', gl.uniform1f, CPUPhysics.getMetricValueMax(params.metric, params.maxIter));
+    setUniform('u_valueMin', gl.uniform1f, CPUPhysics.getMetricValueMin(params.metric));
+    setUniform('u_flipArm', gl.uniform1i, Math.max(0, CPUPhysics.FLIP_ARMS.indexOf(params.flipArm)));
+    setUniform('u_divergenceMode', gl.uniform1i, Math.max(0, CPUPhysics.DIVERGENCE_MEASURES.indexOf(params.divergenceMeasure)));
+    setUniform('u_divergenceWeights', gl.uniform4f, ...params.divergenceWeights);
+}
+
+// Set the fixed-energy uniforms from getShaderParams().energyConstraint
+// (null for unconstrained layers)
+function setEnergyUniforms(gl, setUniform, energyConstraint) {
+    setUniform('u_energyConstraint', gl.uniform1i, energyConstraint ? 1 : 0);
+    setUniform('u_targetEnergy', gl.uniform1f, energyConstraint ? energyConstraint.energy : 0);
+    setUniform('u_solveFor', gl.uniform1i, DIM_TO_INDEX[energyConstraint ? energyConstraint.solveFor : 'omega2']);
+}
+
+// Default [min, max] of a layer axis; log axes keep three decades below a positive
+// maximum when the dimension's default range reaches zero or below
+function defaultAxisRange(dim, scale) {
+    const min = DIM_DEFAULTS[dim]?.min ?? -3.14;
+    const max = DIM_DEFAULTS[dim]?.max ?? 3.14;
+    if (AxisScale.isRangeValidForScale(min, max, scale)) return [min, max];
+    return max > 0 ? [max / 1000, max] : [0.001, 1];
+}
+
+// Whether every pixel of a view maps to a distinct initial condition at the given precision
+// view defaults to the last layer's current view
+ChaosMapRenderer.prototype.canResolveView = function(mantissaBits, view = null) {
+    const layer = this.stack.getLastLayer();
+    if (!layer) return true;
+    
+    view = view || layer.getView();
+    const res = this.baseParams.resolution;
+    const basis = this.stack.getLastSampledPoint().state;
+    
+    const axisOk = (dim, center, span, scale, threshold) => {
+        const offset = layer.deltaMode ? Math.abs(basis[dim] ?? 0) : 0;
+        const pixel = span / res;
+        const lo = center - span / 2;
+        const hi = center + span / 2;
+        
+        // Neighbouring pixels must differ in the scaled coordinate that is interpolated...
+        if (pixel < DEEP_ZOOM_MIN_ULPS_PER_PIXEL * unitInLastPlace(Math.max(Math.abs(lo), Math.abs(hi)), mantissaBits)) {
+            return false;
+        }
+        // ...and in the initial-condition value. Checked at both ends, and at zero where
+        // symlog axes are flattest; linear axes have the same step everywhere.
+        const samples = [lo, hi - pixel, Math.min(Math.max(0, lo), hi - pixel)];
+        return samples.every(w => {
+            const v0 = AxisScale.fromScaled(w, scale, threshold);
+            const v1 = AxisScale.fromScaled(w + pixel, scale, threshold);
+            const magnitude = offset + Math.max(Math.abs(v0), Math.abs(v1));
+            return Math.abs(v1 - v0) >= DEEP_ZOOM_MIN_ULPS_PER_PIXEL * unitInLastPlace(magnitude, mantissaBits);
+        });
+    };
+    if (!axisOk(layer.dim1, view.center1, view.span1, layer.scale1, layer.threshold1) ||
+        !axisOk(layer.dim2, view.center2, view.span2, layer.scale2, layer.threshold2)) {
+        return false;
+    }
+    if (layer.kind !== 'oblique') return true;
+    
+    // Oblique layers also add u * dir1 + v * dir2 onto the basis: each screen axis needs
+    // some state dimension whose per-pixel step survives that addition
+    const planeAxisOk = (dir, center, span) => OBLIQUE_DIMS.some(dim => {
+        const c = Math.abs(dir[dim]);
+        if (c === 0) return false;
+        const magnitude = Math.abs(basis[dim] ?? 0) + c * (Math.abs(center) + span / 2);
+        return c * span / res >= DEEP_ZOOM_MIN_ULPS_PER_PIXEL * unitInLastPlace(magnitude, mantissaBits);
+    });
+    return planeAxisOk(layer.dir1, view.center1, view.span1) && planeAxisOk(layer.dir2, view.center2, view.span2);
+};
+
+// Show the current magnification relative to the default ranges, and whether
+// the render has fallen back to the CPU for precision or an adaptive integrator
+ChaosMapRenderer.prototype.updateZoomIndicator = function() {
+    const label = document.getElementById('zoomLevelLabel');
+    const layer = this.stack.getLastLayer();
+    if (!label || !layer) return;
+    
+    // Default spans in the same scaled coordinates as the view
+    const view = layer.getView();
+    const defaultSpan = (dim, scale, threshold) => {
+        const [min, max] = defaultAxisRange(dim, scale);
+        return AxisScale.toScaled(max, scale, threshold) - AxisScale.toScaled(min, scale, threshold);
+    };
+    const mag = Math.sqrt((defaultSpan(layer.dim1, layer.scale1, layer.threshold1) / view.span1) *
+        (defaultSpan(layer.dim2, layer.scale2, layer.threshold2) / view.span2));
+    const magText = mag < 1000 ? mag.toFixed(mag < 10 ? 1 : 0) : mag.toExponential(1);
+    
+    let suffix = '';
+    let title = 'Magnification relative to the default layer ranges';
+    if (this.deepZoomFallback) {
+        suffix = ' · CPU float64';
+        title = 'Beyond float32 precision: this view is rendered with the 64-bit CPU workers';
+    } else if (this.adaptiveFallback) {
+        suffix = ' · CPU adaptive';
+        title = 'The adaptive integrator only runs on the CPU: this view is rendered with the CPU workers';
+    }
+    const failures = this.renderData ? this.renderData.toleranceFailures : 0;
+    if (failures > 0) {
+        suffix += ` · ${failures} px unresolved`;
+        title += `\n${failures} pixel(s) could not meet the integrator tolerance and are drawn without a value; try a looser tolerance`;
+    }
+    label.textContent = `×${magText}${suffix}`;
+    label.title = title;
+};
+
 ChaosMapRenderer.prototype.applyZoomRectangle = function() {
     const layer = this.stack.getLastLayer();
     if (!layer) return;
@@ -397,11 +523,24 @@ ChaosMapRenderer.prototype.applyZoomRectangle = function() {
     const ny1 = Math.max(0, Math.min(1, Math.min(this.zoomState.dragStart.y, this.zoomState.dragCurrent.y) / this.canvas.height));
     const ny2 = Math.max(0, Math.min(1, Math.max(this.zoomState.dragStart.y, this.zoomState.dragCurrent.y) / this.canvas.height));
     
-    // Calculate data values at the rectangle corners
-    const dataX1 = layer.min1 + nx1 * (layer.max1 - layer.min1);
-    const dataX2 = layer.min1 + nx2 * (layer.max1 - layer.min1);
-    const dataY1 = layer.min2 + ny1 * (layer.max2 - layer.min2);
-    const dataY2 = layer.min2 + ny2 * (layer.max2 - layer.min2);
+    // New centre and span, computed as offsets from the current centre so that
+    // precision is not lost to min + n * (max - min) cancellation.
+    // Screen y runs downwards while the map's top row is the layer maximum.
+    // The view is in the axes' scaled coordinates, so log/symlog axes zoom to
+    // exactly the dragged rectangle.
+    const view = layer.getView();
+    const newView = {
+        center1: view.center1 + (nx1 + nx2 - 1) * view.span1 / 2,
+        span1: (nx2 - nx1) * view.span1,
+        center2: view.center2 + (1 - ny1 - ny2) * view.span2 / 2,
+        span2: (ny2 - ny1) * view.span2
+    };
+    if (!(newView.span1 > 0 && newView.span2 > 0)) return;
+    
+    if (!this.canResolveView(FLOAT64_MANTISSA_BITS, newView)) {
+        alert('Maximum zoom reached: even 64-bit floats cannot tell neighbouring pixels apart at this magnification.');
+        return;
+    }
     
     // Save current view to history for zoom out
     this.zoomState.zoomHistory.push({
@@ -412,10 +551,7 @@ ChaosMapRenderer.prototype.applyZoomRectangle = function() {
     });
     
     // Apply new bounds
-    layer.min1 = Math.min(dataX1, dataX2);
-    layer.max1 = Math.max(dataX1, dataX2);
-    layer.min2 = Math.min(dataY1, dataY2);
-    layer.max2 = Math.max(dataY1, dataY2);
+    layer.setView(newView);
     
     // Update UI and regenerate
     this.updateStackUI();
@@ -435,10 +571,8 @@ ChaosMapRenderer.prototype.zoomOut = function() {
         layer.max2 = prev.max2;
     } else {
         // Reset to default based on dimension types
-        layer.min1 = DIM_DEFAULTS[layer.dim1]?.min ?? -3.14;
-        layer.max1 = DIM_DEFAULTS[layer.dim1]?.max ?? 3.14;
-        layer.min2 = DIM_DEFAULTS[layer.dim2]?.min ?? -3.14;
-        layer.max2 = DIM_DEFAULTS[layer.dim2]?.max ?? 3.14;
+        [layer.min1, layer.max1] = defaultAxisRange(layer.dim1, layer.scale1);
+        [layer.min2, layer.max2] = defaultAxisRange(layer.dim2, layer.scale2);
     }
     
     this.updateStackUI();
@@ -449,14 +583,67 @@ ChaosMapRenderer.prototype.updateHoverInfo = function(state) {
     const info = document.getElementById('hoverInfo');
     if (!info || !state) return;
     
-    info.innerHTML = `
-        <span>θ₁=${state.theta1.toFixed(2)}</span>
-        <span>θ₂=${state.theta2.toFixed(2)}</span>
-        <span>ω₁=${state.omega1.toFixed(2)}</span>
-        <span>ω₂=${state.omega2.toFixed(2)}</span>
-        <span>L₁=${state.l1.toFixed(2)}</span>
-        <span>L₂=${state.l2.toFixed(2)}</span>
-        <span>m₁=${state.m1.toFixed(2)}</span>
-        <span>m₂=${state.m2.toFixed(2)}</span>
+    // Dimensions on a log/symlog axis of the current layer can be far below 0.01,
+    // so show them with significant digits instead
+    const layer = this.stack.getLastLayer();
+    const scaledDims = [];
+    if (layer && layer.scale1 && layer.scale1 !== 'linear') scaledDims.push(layer.dim1);
+    if (layer && layer.scale2 && layer.scale2 !== 'linear') scaledDims.push(layer.dim2);
+    const fmt = (dim) => scaledDims.includes(dim) ? state[dim].toPrecision(3) : state[dim].toFixed(2);
+    
+    // Fixed-energy layers have no real solved velocity here
+    const forbidden = CPUPhysics.isForbiddenState(state)
+        ? `<span style="color: #f88;">Forbidden: no real ${DIM_INFO[layer.solveFor].label} at E=${layer.energy}</span>`
+        : '';
+    const value = this.hoverPosition ? this.describeRenderedValue(this.hoverPosition.nx, this.hoverPosition.ny) : '';
+    
+    info.innerHTML = `${forbidden}${value}
+        <span>θ₁=${fmt('theta1')}</span>
+        <span>θ₂=${fmt('theta2')}</span>
+        <span>ω₁=${fmt('omega1')}</span>
+        <span>ω₂=${fmt('omega2')}</span>
+        <span>L₁=${fmt('l1')}</span>
+        <span>L₂=${fmt('l2')}</span>
+        <span>m₁=${fmt('m1')}</span>
+        <span>m₂=${fmt('m2')}</span>
+        <span>g=${fmt('g')}</span>
+        <span>b₁=${fmt('damping1')}</span>
+        <span>b₂=${fmt('damping2')}</span>
+        <span>τ₀=${fmt('torqueAmp')}</span>
+        <span>Ω=${fmt('torqueFreq')}</span>
     `;
 };
+
+// Readout of the last render's value at a map position, in the units of its metric
+// Returns '' where nothing has been rendered or the pixel is forbidden
+ChaosMapRenderer.prototype.describeRenderedValue = function(nx, ny) {
+    const grid = this.renderData;
+    if (!grid || grid.width !== this.canvas.width || grid.height !== this.canvas.height) return '';
+    
+    const px = Math.min(grid.width - 1, Math.floor(nx * grid.width));
+    const py = Math.min(grid.height - 1, Math.floor(ny * grid.height));
+    const i = py * grid.width + px;
+    const v = grid.divergence[i];
+    if (!grid.rendered[i] || Number.isNaN(v)) return '';
+    if (this.isShowingComparisonDifference()) return this.describeComparisonDifference(i);
+    
+    const info = METRIC_INFO[grid.metric];
+    // Adaptive integrators already report seconds
+    const seconds = (steps) => grid.adaptive ? `${steps.toFixed(2)} s` : `${Math.round(steps)} steps (${(steps * grid.dt).toFixed(2)} s)`;
+    let text;
+    if (grid.sampleStatistic === 'fraction') {
+        text = `${(v * 100).toFixed(0)}% of twins ${info.flagLabel}`;
+    } else if (grid.metric === 'lyapunov') {
+        text = `λ=${v.toFixed(3)} 1/s`;
+    } else if (grid.metric === 'maxSeparation' || grid.metric === 'finalSeparation') {
+        text = `${info.symbol}=${v.toPrecision(3)}${grid.diverged[i] ? ' (past threshold)' : ''}`;
+    } else if (grid.sampleStatistic) {
+        text = `${grid.sampleStatistic} ${grid.metric === 'flip' ? 'flip' : 'divergence'} time ${seconds(v)}`;
+    } else if (grid.diverged[i]) {
+        const arm = { arm1: 'Arm 1 flipped', arm2: 'Arm 2 flipped' }[grid.flipArm] || 'Flipped';
+        text = `${grid.metric === 'flip' ? arm : 'Diverged'} after ${seconds(v)}`;
+    } else {
+        text = `No ${grid.metric === 'flip' ? 'flip' : 'divergence'} within ${seconds(v)}`;
+    }
+    return `<span style="color: #8cf;">${text}</span>`;
+};
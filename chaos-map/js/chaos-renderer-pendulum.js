@@ -1,6 +1,6 @@
 // Double Pendulum Chaos Map - Pendulum Simulation Methods (Part 5)
 // Uses CPU-based simulation with 2D Canvas rendering
-// Always uses Velocity Verlet symplectic integrator for accuracy
+// Uses the selected integrator in 64-bit precision (adaptive ones advance dt per frame)
 
 // Hover debounce timer - shared across all preview updates
 ChaosMapRenderer.prototype.hoverDebounceTimer = null;
@@ -26,6 +26,14 @@ ChaosMapRenderer.prototype.updateHoverPreview = function(nx, ny) {
     // Compute state and perturbed state ONCE for consistency
     // Pass normalized coordinates for deterministic perturbation (matches GPU)
     const state = this.stack.computeState(nx, 1 - ny);
+    
+    // Nothing to simulate in the forbidden region of a fixed-energy layer
+    if (CPUPhysics.isForbiddenState(state)) {
+        this.stopHoverSimulation();
+        if (title) title.textContent += ' - forbidden';
+        return;
+    }
+    
     const perturbedState = this.computePerturbedState(state, nx, 1 - ny);
     
     // Show static preview immediately
@@ -50,14 +58,20 @@ ChaosMapRenderer.prototype.renderStaticHoverPreview = function(state, perturbedS
     try {
         // Create a temporary simulation just for one frame
         const tempSim = new CPUPendulumSimulation(this.pendulumPreviewCanvas, {
-            g: this.baseParams.g,
+            g: state.g,
             dt: this.baseParams.dt,
             l1: state.l1,
             l2: state.l2,
             m1: state.m1,
             m2: state.m2,
+            damping1: state.damping1,
+            damping2: state.damping2,
+            torqueAmp: state.torqueAmp,
+            torqueFreq: state.torqueFreq,
             threshold: this.baseParams.threshold,
             integrator: this.baseParams.integrator,
+            tolerance: this.baseParams.tolerance,
+            divergenceMeasure: this.getDivergenceMeasure(),
             initialState1: state,
             initialState2: perturbedState
         });
@@ -100,16 +114,23 @@ ChaosMapRenderer.prototype.initHoverCPUSim = function(state, perturbedState) {
         
         // Create CPU-based simulation (using pre-computed states)
         this.hoverCPUSim = new CPUPendulumSimulation(this.pendulumPreviewCanvas, {
-            g: this.baseParams.g,
+            g: state.g,
             dt: this.baseParams.dt,
             l1: state.l1,
             l2: state.l2,
             m1: state.m1,
             m2: state.m2,
+            damping1: state.damping1,
+            damping2: state.damping2,
+            torqueAmp: state.torqueAmp,
+            torqueFreq: state.torqueFreq,
             energyCanvas: energyCanvas,
             energyTimeCanvas: energyTimeCanvas,
             threshold: this.baseParams.threshold,
             integrator: this.baseParams.integrator,
+            tolerance: this.baseParams.tolerance,
+            divergenceMeasure: this.getDivergenceMeasure(),
+            poincareSection: this.poincareSection,
             initialState1: state,
             initialState2: perturbedState
         });
@@ -135,6 +156,7 @@ ChaosMapRenderer.prototype.animateHoverCPUSim = function() {
     try {
         this.hoverCPUSim.step(this.pendulumSimSpeed);
         this.hoverCPUSim.render();
+        this.updatePoincarePlot();
     } catch (e) {
         console.error('Error in hover simulation:', e);
         this.hoverCPUSim = null;
@@ -162,10 +184,13 @@ ChaosMapRenderer.prototype.togglePinMode = function(forceState = null) {
         }
         if (title) title.textContent = 'Click on map to pin simulation';
         this.canvas.style.cursor = 'crosshair';
-        // Cancel any layer creation mode
+        // Cancel any layer creation mode or ensemble pick
         if (this.layerCreationState.active || this.layerCreationState.isPlacingPin) {
             this.cancelLayerCreation();
         }
+        if (this.ensemblePickMode) {
+            this.toggleEnsemblePickMode(false);
+        }
     } else {
         if (btn) {
             btn.style.background = 'rgba(100, 200, 100, 0.2)';
@@ -187,34 +212,43 @@ ChaosMapRenderer.prototype.clearAllPinnedSimulations = function() {
     this.updatePinnedSimulationTitle();
 };
 
-// Create a new pinned simulation (max 3)
-ChaosMapRenderer.prototype.createPinnedSimulation = function(nx, ny) {
-    // Check if we already have a simulation at this exact position
+// Create a new pinned simulation
+// states: optional { state, perturbedState } to restore exact initial conditions (e.g. from a saved session)
+// name: optional label shown instead of the pin's map position
+ChaosMapRenderer.prototype.createPinnedSimulation = function(nx, ny, states = null, name = null) {
+    // Check if we already have a simulation at this exact position of this view
+    const viewKey = this.getPinViewKey();
     const existing = this.pinnedSimulations.find(s => 
-        Math.abs(s.nx - nx) < 0.01 && Math.abs(s.ny - ny) < 0.01
+        s.viewKey === viewKey && Math.abs(s.nx - nx) < 0.01 && Math.abs(s.ny - ny) < 0.01
     );
     if (existing) return;
     
-    // If at max capacity, remove the oldest one
-    if (this.pinnedSimulations.length >= this.maxPinnedSimulations) {
-        this.removePinnedSimulation(this.pinnedSimulations[0].id);
+    // Compute state (flip Y to match shader coordinate system)
+    const state = states ? states.state : this.stack.computeState(nx, 1 - ny);
+    if (CPUPhysics.isForbiddenState(state)) {
+        alert('No real initial state at this energy here (forbidden region).');
+        return;
     }
     
-    // Compute state (flip Y to match shader coordinate system)
-    const state = this.stack.computeState(nx, 1 - ny);
-    const perturbedState = this.computePerturbedState(state);
+    // Same seeded twin as the map pixel and the hover preview there
+    const perturbedState = states ? states.perturbedState : this.computePerturbedState(state, nx, 1 - ny);
     
     // Create simulation object
     const sim = {
         id: Date.now() + Math.random().toString(36).substr(2, 9),
         nx,
         ny,
+        name,
         state: { ...state },
         perturbedState: { ...perturbedState },
-        animationId: null,
+        viewKey,          // View the pin was placed in (its marker only shows there)
+        visible: true,    // Whether the pane is on screen (off-screen panes are paused)
+        failed: false,
         canvas: null,
         element: null,
-        cpuSim: null
+        marker: null,
+        cpuSim: null,
+        recording: null
     };
     
     // Create DOM element for this simulation
@@ -228,36 +262,63 @@ ChaosMapRenderer.prototype.createPinnedSimulation = function(nx, ny) {
     
     // Get canvas and create CPU simulation
     sim.canvas = sim.element.querySelector('canvas');
+    this.initPinnedCPUSim(sim);
+    
+    // Add to array
+    this.pinnedSimulations.push(sim);
+    
+    // Mark it on the map and let the shared clock bring it up to the current time
+    this.createPinMarker(sim);
+    this.observePinnedSimulation(sim);
+    this.updatePinnedSimulationLabels();
+    this.startPinnedAnimation();
+    
+    // Update title
+    this.updatePinnedSimulationTitle();
+};
+
+// (Re)create a pinned simulation's CPU simulation at t = 0 from its initial conditions
+ChaosMapRenderer.prototype.initPinnedCPUSim = function(sim) {
+    if (sim.cpuSim) {
+        sim.cpuSim.destroy();
+        sim.cpuSim = null;
+    }
+    sim.failed = false;
     
     try {
         // Create CPU-based simulation
-        sim.cpuSim = new CPUPendulumSimulation(sim.canvas, {
-            g: this.baseParams.g,
-            dt: this.baseParams.dt,
-            l1: state.l1,
-            l2: state.l2,
-            m1: state.m1,
-            m2: state.m2,
-            threshold: this.baseParams.threshold,
-            integrator: this.baseParams.integrator,
-            initialState1: state,
-            initialState2: perturbedState
-        });
+        sim.cpuSim = new CPUPendulumSimulation(sim.canvas, this.getPinnedSimulationOptions(sim));
 
         // Initial render
         sim.cpuSim.render();
     } catch (e) {
         console.error('Failed to create CPU simulation:', e);
     }
-    
-    // Add to array
-    this.pinnedSimulations.push(sim);
-    
-    // Start animation
-    this.animatePinnedSimulation(sim);
-    
-    // Update title
-    this.updatePinnedSimulationTitle();
+};
+
+// CPUPendulumSimulation options for a pinned simulation's initial conditions
+// (shared by the live pane and its recordings)
+ChaosMapRenderer.prototype.getPinnedSimulationOptions = function(sim) {
+    const state = sim.state;
+    return {
+        g: state.g,
+        dt: this.baseParams.dt,
+        l1: state.l1,
+        l2: state.l2,
+        m1: state.m1,
+        m2: state.m2,
+        damping1: state.damping1,
+        damping2: state.damping2,
+        torqueAmp: state.torqueAmp,
+        torqueFreq: state.torqueFreq,
+        threshold: this.baseParams.threshold,
+        integrator: this.baseParams.integrator,
+        tolerance: this.baseParams.tolerance,
+        divergenceMeasure: this.getDivergenceMeasure(),
+        poincareSection: this.poincareSection,
+        initialState1: state,
+        initialState2: sim.perturbedState
+    };
 };
 
 // Create DOM element for a pinned simulation
@@ -268,8 +329,10 @@ ChaosMapRenderer.prototype.createPinnedSimulationElement = function(sim) {
     
     div.innerHTML = `
         <div class="sim-pane-header">
-            <span class="sim-pane-title">Pinned (${sim.nx.toFixed(2)}, ${sim.ny.toFixed(2)})</span>
+            <span class="sim-pane-title" title="Double-click to rename • Drag to reorder"></span>
             <span class="sim-pane-status" id="status-${sim.id}">Running...</span>
+            <button class="sim-pane-export" data-sim-id="${sim.id}" title="Export the trajectory as data">⤓</button>
+            <button class="sim-pane-record" data-sim-id="${sim.id}" title="Record a video of this simulation">⏺</button>
             <button class="sim-pane-delete" data-sim-id="${sim.id}" title="Remove simulation">×</button>
         </div>
         <div class="preview-canvas-container">
@@ -283,6 +346,28 @@ ChaosMapRenderer.prototype.createPinnedSimulationElement = function(sim) {
         this.removePinnedSimulation(sim.id);
     });
     
+    // Add trajectory export handler
+    const exportBtn = div.querySelector('.sim-pane-export');
+    exportBtn.addEventListener('click', () => {
+        this.exportPinnedTrajectory(sim);
+    });
+    
+    // Add record handler (clicking again while recording cancels)
+    const recordBtn = div.querySelector('.sim-pane-record');
+    recordBtn.addEventListener('click', () => {
+        if (sim.recording) {
+            sim.recording.cancelled = true;
+        } else {
+            this.recordPinnedSimulation(sim);
+        }
+    });
+    
+    // Rename on double-click, reorder by dragging the header
+    div.querySelector('.sim-pane-title').addEventListener('dblclick', () => {
+        this.renamePinnedSimulation(sim);
+    });
+    this.setupPinnedPaneReordering(sim, div);
+    
     return div;
 };
 
@@ -293,9 +378,17 @@ ChaosMapRenderer.prototype.removePinnedSimulation = function(id) {
     
     const sim = this.pinnedSimulations[index];
     
-    // Stop animation
-    if (sim.animationId) {
-        cancelAnimationFrame(sim.animationId);
+    // Stop watching its pane and take it off the map
+    if (this.pinVisibilityObserver && sim.element) {
+        this.pinVisibilityObserver.unobserve(sim.element);
+    }
+    if (sim.marker) {
+        sim.marker.remove();
+    }
+    
+    // Abandon any recording in progress
+    if (sim.recording) {
+        sim.recording.cancelled = true;
     }
     
     // Clean up CPU simulation
@@ -311,6 +404,14 @@ ChaosMapRenderer.prototype.removePinnedSimulation = function(id) {
     // Remove from array
     this.pinnedSimulations.splice(index, 1);
     
+    // Renumber the rest; the shared clock starts over once nothing is pinned
+    this.updatePinnedSimulationLabels();
+    if (this.pinnedSimulations.length === 0) {
+        this.stopPinnedAnimation();
+        this.pinClock.steps = 0;
+        this.updatePinClockUI();
+    }
+    
     // Update title
     this.updatePinnedSimulationTitle();
 };
@@ -325,51 +426,9 @@ ChaosMapRenderer.prototype.updatePinnedSimulationTitle = function() {
         } else if (count === 0) {
             title.textContent = 'Hover map to preview • Click Pin to save';
         } else {
-            title.textContent = `${count} pinned simulation${count > 1 ? 's' : ''} (max 3)`;
-        }
-    }
-};
-
-// Animate a pinned simulation
-ChaosMapRenderer.prototype.animatePinnedSimulation = function(sim) {
-    // Check if simulation still exists
-    const stillExists = this.pinnedSimulations.find(s => s.id === sim.id);
-    if (!stillExists) {
-        sim.animationId = null;
-        return;
-    }
-    
-    const steps = this.pendulumSimSpeed;
-    
-    // Use CPU-based simulation
-    if (sim.cpuSim) {
-        try {
-            // Step simulation
-            sim.cpuSim.step(steps);
-            
-            // Render
-            sim.cpuSim.render();
-            
-            // Update status
-            const statusEl = document.getElementById(`status-${sim.id}`);
-            if (statusEl) {
-                if (sim.cpuSim.diverged) {
-                    statusEl.textContent = `Diverged at t=${sim.cpuSim.divergenceTime}`;
-                    statusEl.style.color = '#f88';
-                } else {
-                    statusEl.textContent = `t=${sim.cpuSim.frameCount}`;
-                    statusEl.style.color = '#8f8';
-                }
-            }
-        } catch (e) {
-            console.error(`Error in pinned simulation ${sim.id}:`, e);
-            // Stop animation on error
-            return;
+            title.textContent = `${count} pinned simulation${count > 1 ? 's' : ''}`;
         }
     }
-    
-    // Continue animation
-    sim.animationId = requestAnimationFrame(() => this.animatePinnedSimulation(sim));
 };
 
 // Stop hover simulation when mouse leaves
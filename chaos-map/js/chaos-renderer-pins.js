@@ -0,0 +1,325 @@
+// Double Pendulum Chaos Map - Pinned Simulation Dashboard Methods (Part 12)
+// These methods extend ChaosMapRenderer
+
+// step() calls a pinned simulation may make per frame while catching up with the
+// shared clock (after a scrub, or when its pane comes back on screen)
+const PIN_CATCH_UP_CALLS = 100;
+
+// Wire up the shared play/pause button and scrub slider
+ChaosMapRenderer.prototype.setupPinDashboardControls = function() {
+    const playBtn = document.getElementById('pinPlayBtn');
+    if (playBtn) {
+        playBtn.addEventListener('click', () => {
+            this.pinClock.playing = !this.pinClock.playing;
+            this.updatePinClockUI();
+        });
+    }
+    
+    const scrubSlider = document.getElementById('pinScrubSlider');
+    if (scrubSlider) {
+        scrubSlider.addEventListener('input', (e) => {
+            this.pinClock.steps = parseInt(e.target.value) || 0;
+            this.updatePinClockUI();
+        });
+    }
+    
+    this.updatePinClockUI();
+};
+
+// Identifies the view pins are placed in; a pin's nx, ny only mean something there
+ChaosMapRenderer.prototype.getPinViewKey = function() {
+    return JSON.stringify(this.stack.serialize());
+};
+
+// Pause a pinned simulation while its pane is scrolled away or its panel is collapsed
+ChaosMapRenderer.prototype.observePinnedSimulation = function(sim) {
+    if (typeof IntersectionObserver === 'undefined') return;
+    
+    if (!this.pinVisibilityObserver) {
+        this.pinVisibilityObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                const pinned = this.pinnedSimulations.find(s => s.element === entry.target);
+                if (pinned) pinned.visible = entry.isIntersecting;
+            });
+        });
+    }
+    this.pinVisibilityObserver.observe(sim.element);
+};
+
+// Run the shared animation loop unless it is already running
+ChaosMapRenderer.prototype.startPinnedAnimation = function() {
+    if (this.pinAnimationId === null) {
+        this.pinAnimationId = requestAnimationFrame(() => this.animatePinnedSimulations());
+    }
+};
+
+ChaosMapRenderer.prototype.stopPinnedAnimation = function() {
+    if (this.pinAnimationId !== null) {
+        cancelAnimationFrame(this.pinAnimationId);
+        this.pinAnimationId = null;
+    }
+};
+
+// Advance the shared clock and bring every visible pinned simulation up to it
+ChaosMapRenderer.prototype.animatePinnedSimulations = function() {
+    this.pinAnimationId = null;
+    if (this.pinnedSimulations.length === 0) return;
+    
+    if (this.pinClock.playing) {
+        this.pinClock.steps += this.pendulumSimSpeed;
+    }
+    
+    this.pinnedSimulations.forEach(sim => {
+        if (!sim.visible || sim.failed || !sim.cpuSim) return;
+        
+        try {
+            if (this.syncPinnedSimulation(sim)) {
+                sim.cpuSim.render();
+            }
+            this.updatePinnedSimulationStatus(sim);
+        } catch (e) {
+            console.error(`Error in pinned simulation ${sim.id}:`, e);
+            // Stop animating this one on error
+            sim.failed = true;
+            const statusEl = document.getElementById(`status-${sim.id}`);
+            if (statusEl) {
+                statusEl.textContent = e instanceof CPUPhysics.ToleranceError ? 'Tolerance not met' : 'Failed';
+                statusEl.title = e.message;
+                statusEl.style.color = '#f88';
+            }
+        }
+    });
+    
+    this.updatePinClockUI();
+    this.updatePoincarePlot();
+    this.pinAnimationId = requestAnimationFrame(() => this.animatePinnedSimulations());
+};
+
+// Step a pinned simulation towards the shared clock, restarting it if the clock was
+// scrubbed back past it. Steps in chunks of the sim speed so trails look the same
+// however it got there. Returns whether anything changed.
+ChaosMapRenderer.prototype.syncPinnedSimulation = function(sim) {
+    let behind = this.pinClock.steps - sim.cpuSim.frameCount;
+    if (behind === 0) return false;
+    
+    if (behind < 0) {
+        this.initPinnedCPUSim(sim);
+        if (!sim.cpuSim) return false;
+        behind = this.pinClock.steps;
+    }
+    
+    const chunk = Math.max(1, this.pendulumSimSpeed);
+    for (let calls = 0; behind > 0 && calls < PIN_CATCH_UP_CALLS; calls++) {
+        const steps = Math.min(chunk, behind);
+        sim.cpuSim.step(steps);
+        behind -= steps;
+    }
+    return true;
+};
+
+// Show a pinned simulation's time or divergence in its header
+ChaosMapRenderer.prototype.updatePinnedSimulationStatus = function(sim) {
+    // A recording in progress shows its own
+    const statusEl = document.getElementById(`status-${sim.id}`);
+    if (!statusEl || sim.recording) return;
+    statusEl.title = '';
+    
+    if (sim.cpuSim.frameCount < this.pinClock.steps) {
+        statusEl.textContent = `Catching up… t=${sim.cpuSim.frameCount}`;
+        statusEl.style.color = '#fc8';
+    } else if (sim.cpuSim.diverged) {
+        statusEl.textContent = `Diverged at t=${sim.cpuSim.divergenceTime}`;
+        statusEl.style.color = '#f88';
+    } else {
+        statusEl.textContent = `t=${sim.cpuSim.frameCount}`;
+        statusEl.style.color = '#8f8';
+    }
+};
+
+// Reflect the shared clock in the play button, scrub slider and time readout
+ChaosMapRenderer.prototype.updatePinClockUI = function() {
+    const steps = this.pinClock.steps;
+    
+    const playBtn = document.getElementById('pinPlayBtn');
+    if (playBtn) {
+        playBtn.textContent = this.pinClock.playing ? '⏸' : '▶';
+        playBtn.title = this.pinClock.playing ? 'Pause all pinned simulations' : 'Play all pinned simulations';
+    }
+    
+    // The slider spans the map's iteration count, growing if the clock runs past it
+    const scrubSlider = document.getElementById('pinScrubSlider');
+    if (scrubSlider) {
+        scrubSlider.max = Math.max(this.baseParams.maxIter, steps);
+        scrubSlider.value = steps;
+    }
+    
+    const timeValue = document.getElementById('pinTimeValue');
+    if (timeValue) {
+        timeValue.textContent = `t=${steps} (${(steps * this.baseParams.dt).toFixed(2)} s)`;
+    }
+};
+
+// Header label of a pinned simulation: its number on the map, then its name or position
+ChaosMapRenderer.prototype.getPinnedSimulationLabel = function(sim) {
+    const number = this.pinnedSimulations.indexOf(sim) + 1;
+    const name = sim.name || `Pinned (${sim.nx.toFixed(2)}, ${sim.ny.toFixed(2)})`;
+    return `#${number} ${name}`;
+};
+
+// Refresh pane titles, map markers and the Poincaré source list after pins were added,
+// removed, moved or reordered
+ChaosMapRenderer.prototype.updatePinnedSimulationLabels = function() {
+    this.pinnedSimulations.forEach(sim => {
+        const title = sim.element && sim.element.querySelector('.sim-pane-title');
+        if (title) title.textContent = this.getPinnedSimulationLabel(sim);
+    });
+    this.updatePinMarkers();
+    this.updatePoincareSourceOptions();
+};
+
+// Ask for a new name for a pinned simulation (empty restores the default)
+ChaosMapRenderer.prototype.renamePinnedSimulation = function(sim) {
+    const name = prompt('Name this pinned simulation (leave empty for its position):', sim.name || '');
+    if (name === null) return;
+    
+    sim.name = name.trim() || null;
+    this.updatePinnedSimulationLabels();
+};
+
+// Create the numbered marker of a pinned simulation on top of the map
+ChaosMapRenderer.prototype.createPinMarker = function(sim) {
+    const container = document.getElementById('mapContainer');
+    if (!container) return;
+    
+    const marker = document.createElement('div');
+    marker.className = 'pin-marker';
+    marker.addEventListener('pointerdown', (e) => this.startPinMarkerDrag(sim, e));
+    marker.addEventListener('dblclick', () => this.renamePinnedSimulation(sim));
+    
+    container.appendChild(marker);
+    sim.marker = marker;
+};
+
+// Position, number and show or hide every pin marker for the current view
+ChaosMapRenderer.prototype.updatePinMarkers = function() {
+    const viewKey = this.getPinViewKey();
+    
+    this.pinnedSimulations.forEach((sim, i) => {
+        const marker = sim.marker;
+        if (!marker) return;
+        
+        marker.textContent = i + 1;
+        marker.title = `${this.getPinnedSimulationLabel(sim)} • Drag to move • Double-click to rename`;
+        marker.style.left = `${sim.nx * 100}%`;
+        marker.style.top = `${sim.ny * 100}%`;
+        marker.style.display = sim.viewKey === viewKey ? 'block' : 'none';
+    });
+};
+
+// Drag a pin marker to a new map position; a click without moving shows the pin's pane
+ChaosMapRenderer.prototype.startPinMarkerDrag = function(sim, e) {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+    
+    const marker = sim.marker;
+    marker.setPointerCapture(e.pointerId);
+    marker.classList.add('dragging');
+    
+    const startX = e.clientX;
+    const startY = e.clientY;
+    let target = null;
+    
+    const onMove = (ev) => {
+        // Ignore jitter so clicks stay clicks
+        if (!target && Math.hypot(ev.clientX - startX, ev.clientY - startY) < 4) return;
+        target = this.getMapCoordinates(ev);
+        marker.style.left = `${target.nx * 100}%`;
+        marker.style.top = `${target.ny * 100}%`;
+    };
+    
+    const onUp = () => {
+        marker.removeEventListener('pointermove', onMove);
+        marker.removeEventListener('pointerup', onUp);
+        marker.removeEventListener('pointercancel', onUp);
+        marker.classList.remove('dragging');
+        
+        if (target) {
+            this.movePinnedSimulation(sim, target.nx, target.ny);
+        } else if (sim.element) {
+            sim.element.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        }
+    };
+    
+    marker.addEventListener('pointermove', onMove);
+    marker.addEventListener('pointerup', onUp);
+    marker.addEventListener('pointercancel', onUp);
+};
+
+// Move a pinned simulation to a new map position of the current view
+// Its initial conditions and twin are recomputed and it restarts, catching up with the shared clock.
+ChaosMapRenderer.prototype.movePinnedSimulation = function(sim, nx, ny) {
+    const state = this.stack.computeState(nx, 1 - ny);
+    if (CPUPhysics.isForbiddenState(state)) {
+        alert('No real initial state at this energy here (forbidden region).');
+        this.updatePinMarkers();
+        return;
+    }
+    
+    sim.nx = nx;
+    sim.ny = ny;
+    sim.viewKey = this.getPinViewKey();
+    sim.state = { ...state };
+    sim.perturbedState = { ...this.computePerturbedState(state, nx, 1 - ny) };
+    
+    this.initPinnedCPUSim(sim);
+    this.updatePinnedSimulationLabels();
+};
+
+// Let a pinned pane be dragged by its header onto another pane to reorder the pins
+ChaosMapRenderer.prototype.setupPinnedPaneReordering = function(sim, div) {
+    const header = div.querySelector('.sim-pane-header');
+    header.draggable = true;
+    
+    header.addEventListener('dragstart', (e) => {
+        this.draggedPinId = sim.id;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', sim.id);
+    });
+    header.addEventListener('dragend', () => {
+        this.draggedPinId = null;
+    });
+    
+    div.addEventListener('dragover', (e) => {
+        if (!this.draggedPinId || this.draggedPinId === sim.id) return;
+        e.preventDefault();
+        div.classList.add('drop-target');
+    });
+    div.addEventListener('dragleave', () => {
+        div.classList.remove('drop-target');
+    });
+    div.addEventListener('drop', (e) => {
+        e.preventDefault();
+        div.classList.remove('drop-target');
+        const dragged = this.pinnedSimulations.find(s => s.id === this.draggedPinId);
+        this.draggedPinId = null;
+        if (dragged && dragged !== sim) {
+            this.movePinnedSimulationTo(dragged, this.pinnedSimulations.indexOf(sim));
+        }
+    });
+};
+
+// Move a pinned simulation to position index of the list, renumbering the others
+ChaosMapRenderer.prototype.movePinnedSimulationTo = function(sim, index) {
+    const list = this.pinnedSimulations;
+    list.splice(list.indexOf(sim), 1);
+    list.splice(index, 0, sim);
+    
+    // Re-append the panes in list order (after the hover pane)
+    const container = document.getElementById('simulationContainer');
+    if (container) {
+        list.forEach(s => container.appendChild(s.element));
+    }
+    
+    this.updatePinnedSimulationLabels();
+};
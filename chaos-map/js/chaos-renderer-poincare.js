@@ -0,0 +1,179 @@
+// Double Pendulum Chaos Map - Poincaré Section Methods (Part 14)
+// These methods extend ChaosMapRenderer
+
+// Point colours of the reference and perturbed pendulums (as in the preview)
+const POINCARE_COLORS = ['rgba(100, 200, 255, 0.8)', 'rgba(255, 150, 50, 0.8)'];
+
+// Wire up the Poincaré Section panel
+ChaosMapRenderer.prototype.setupPoincareControls = function() {
+    ['poincareVariableSelect', 'poincareValueInput', 'poincareDirectionSelect'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.addEventListener('change', () => this.applyPoincareSection());
+    });
+    
+    const sourceSelect = document.getElementById('poincareSourceSelect');
+    if (sourceSelect) {
+        sourceSelect.addEventListener('change', () => this.updatePoincarePlot(true));
+    }
+    
+    const clearBtn = document.getElementById('poincareClearBtn');
+    if (clearBtn) {
+        clearBtn.addEventListener('click', () => {
+            const sim = this.getPoincareSourceSim();
+            if (sim) sim.setPoincareSection(sim.poincareSection);
+            this.updatePoincarePlot(true);
+        });
+    }
+    
+    this.updatePoincareSourceOptions();
+    this.updatePoincarePlot(true);
+};
+
+// Read the section from the panel: variable, value (rad) and direction
+ChaosMapRenderer.prototype.getPoincareSectionFromUI = function() {
+    const variable = document.getElementById('poincareVariableSelect').value === 'theta1' ? 'theta1' : 'theta2';
+    const value = parseFloat(document.getElementById('poincareValueInput').value);
+    const direction = parseInt(document.getElementById('poincareDirectionSelect').value);
+    return {
+        variable,
+        value: isFinite(value) ? value : 0,
+        direction: [1, -1, 0].includes(direction) ? direction : 1
+    };
+};
+
+// Give the hover and every pinned simulation the panel's section (which restarts
+// their sections from no points)
+ChaosMapRenderer.prototype.applyPoincareSection = function() {
+    this.poincareSection = this.getPoincareSectionFromUI();
+    
+    if (this.hoverCPUSim) this.hoverCPUSim.setPoincareSection(this.poincareSection);
+    this.pinnedSimulations.forEach(sim => {
+        if (sim.cpuSim) sim.cpuSim.setPoincareSection(this.poincareSection);
+    });
+    this.updatePoincarePlot(true);
+};
+
+// List the hover preview and every pinned simulation in the source select, keeping
+// the selection if its pin still exists
+ChaosMapRenderer.prototype.updatePoincareSourceOptions = function() {
+    const select = document.getElementById('poincareSourceSelect');
+    if (!select) return;
+    
+    const selected = select.value;
+    select.innerHTML = '';
+    const options = [['hover', 'Hover preview'], ...this.pinnedSimulations.map(sim => [sim.id, this.getPinnedSimulationLabel(sim)])];
+    options.forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+    select.value = options.some(([value]) => value === selected) ? selected : 'hover';
+    
+    this.updatePoincarePlot(true);
+};
+
+// Simulation whose section is shown, or null if it is not running
+ChaosMapRenderer.prototype.getPoincareSourceSim = function() {
+    const select = document.getElementById('poincareSourceSelect');
+    const source = select ? select.value : 'hover';
+    if (source === 'hover') return this.hoverCPUSim;
+    
+    const sim = this.pinnedSimulations.find(s => s.id === source);
+    return sim ? sim.cpuSim : null;
+};
+
+// Redraw the section if the shown simulation recorded new points (or always when
+// force is set); called from the hover and pinned animation loops
+ChaosMapRenderer.prototype.updatePoincarePlot = function(force = false) {
+    const canvas = document.getElementById('poincareCanvas');
+    // Nothing to do while the panel is collapsed
+    if (!canvas || (!force && canvas.offsetParent === null)) return;
+    
+    const sim = this.getPoincareSourceSim();
+    const key = sim ? `${sim.poincare1.length},${sim.poincare2.length}` : '';
+    if (force || sim !== this.poincarePlotted.sim || key !== this.poincarePlotted.key) {
+        this.poincarePlotted = { sim, key };
+        this.drawPoincarePlot(canvas, sim);
+    }
+    this.updatePoincareInfo(sim);
+};
+
+// Plot the other arm's (theta, omega) at each crossing: angle across, velocity up
+ChaosMapRenderer.prototype.drawPoincarePlot = function(canvas, sim) {
+    const ctx = canvas.getContext('2d');
+    const w = canvas.width;
+    const h = canvas.height;
+    
+    ctx.fillStyle = '#0a0a0a';
+    ctx.fillRect(0, 0, w, h);
+    
+    const section = sim ? sim.poincareSection : this.poincareSection;
+    const other = section.variable === 'theta2' ? '₁' : '₂';
+    const sets = sim ? [sim.poincare1, sim.poincare2] : [[], []];
+    
+    // Symmetric velocity range covering every point, in whole rad/s
+    let maxOmega = 0;
+    sets.forEach(points => {
+        for (let i = 1; i < points.length; i += 2) maxOmega = Math.max(maxOmega, Math.abs(points[i]));
+    });
+    const omegaRange = Math.max(1, Math.ceil(maxOmega));
+    
+    const left = 24;
+    const bottom = h - 14;
+    const mapX = theta => left + (theta + Math.PI) / (2 * Math.PI) * (w - left - 4);
+    const mapY = omega => bottom - (omega + omegaRange) / (2 * omegaRange) * (bottom - 4);
+    
+    // Zero axes and labels
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(mapX(0), 4);
+    ctx.lineTo(mapX(0), bottom);
+    ctx.moveTo(left, mapY(0));
+    ctx.lineTo(w - 4, mapY(0));
+    ctx.stroke();
+    
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.font = '9px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.fillText(`${omegaRange}`, left - 3, mapY(omegaRange) + 7);
+    ctx.fillText(`-${omegaRange}`, left - 3, mapY(-omegaRange));
+    ctx.fillText(`ω${other}`, left - 3, mapY(0) + 3);
+    ctx.textAlign = 'left';
+    ctx.fillText('-π', left, h - 3);
+    ctx.textAlign = 'center';
+    ctx.fillText(`θ${other}`, mapX(0), h - 3);
+    ctx.textAlign = 'right';
+    ctx.fillText('π', w - 4, h - 3);
+    
+    // Perturbed first so the reference stays visible where they overlap
+    for (let s = sets.length - 1; s >= 0; s--) {
+        const points = sets[s];
+        ctx.fillStyle = POINCARE_COLORS[s];
+        for (let i = 0; i < points.length; i += 2) {
+            ctx.fillRect(mapX(points[i]) - 0.75, mapY(points[i + 1]) - 0.75, 1.5, 1.5);
+        }
+    }
+};
+
+// Describe the section and point counts under the plot
+ChaosMapRenderer.prototype.updatePoincareInfo = function(sim) {
+    const info = document.getElementById('poincareInfo');
+    if (!info) return;
+    
+    if (!sim) {
+        info.textContent = 'Hover over the map or pin a simulation to record its section';
+        return;
+    }
+    
+    const { variable, value, direction } = sim.poincareSection;
+    const arrow = direction > 0 ? '↑' : direction < 0 ? '↓' : '↕';
+    const name = variable === 'theta2' ? 'θ₂' : 'θ₁';
+    info.innerHTML = `
+        <span>${name} = ${value} ${arrow}</span>
+        <span style="color: ${POINCARE_COLORS[0]}">Reference: ${sim.poincare1.length / 2}</span>
+        <span style="color: ${POINCARE_COLORS[1]}">Perturbed: ${sim.poincare2.length / 2}</span>
+        <span>t=${(sim.frameCount * sim.dt).toFixed(1)} s</span>
+    `;
+};
@@ -0,0 +1,168 @@
+// Double Pendulum Chaos Map - Pinned Simulation Recording Methods (Part 11)
+// These methods extend ChaosMapRenderer
+
+// Video bitrate requested from MediaRecorder, per pixel per frame
+const RECORDING_BITS_PER_PIXEL = 0.15;
+
+// WebM codecs to try, in order of preference
+const WEBM_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// Physics steps taken before each frame so that frame k shows time k / fps,
+// whatever dt is (the count is rounded per frame, never accumulated)
+function getRecordingStepCounts(frames, fps, dt) {
+    const stepsPerFrame = 1 / (fps * dt);
+    const counts = new Array(frames);
+    for (let k = 0; k < frames; k++) {
+        counts[k] = k === 0 ? 0 : Math.round(k * stepsPerFrame) - Math.round((k - 1) * stepsPerFrame);
+    }
+    return counts;
+}
+
+// GIF frame delays in hundredths of a second, rounded so the total stays in step with fps
+function getGifFrameDelay(k, fps) {
+    return Math.round((k + 1) * 100 / fps) - Math.round(k * 100 / fps);
+}
+
+// Read the recording controls of the Pendulum Simulation panel
+ChaosMapRenderer.prototype.getRecordingSettings = function() {
+    const duration = parseFloat(document.getElementById('recordDurationInput').value);
+    return {
+        duration: isFinite(duration) && duration > 0 ? Math.min(duration, 120) : 10,
+        size: parseInt(document.getElementById('recordSizeSelect').value) || 512,
+        fps: parseInt(document.getElementById('recordFpsSelect').value) || 30,
+        format: document.getElementById('recordFormatSelect').value === 'gif' ? 'gif' : 'webm'
+    };
+};
+
+// Record a pinned simulation from its initial conditions and download it
+// A fresh simulation is stepped a fixed number of physics steps per frame, so the
+// frames depend only on the settings, not on how fast the browser animates.
+ChaosMapRenderer.prototype.recordPinnedSimulation = async function(sim) {
+    if (sim.recording) return;
+    
+    const settings = this.getRecordingSettings();
+    const canvas = document.createElement('canvas');
+    canvas.width = settings.size;
+    canvas.height = settings.size;
+    
+    if (settings.format === 'webm' && (typeof MediaRecorder === 'undefined' || !canvas.captureStream)) {
+        alert('This browser cannot record WebM video. Choose GIF instead.');
+        return;
+    }
+    
+    let recordSim;
+    try {
+        recordSim = new CPUPendulumSimulation(canvas, this.getPinnedSimulationOptions(sim));
+    } catch (e) {
+        console.error('Failed to create recording simulation:', e);
+        return;
+    }
+    
+    const frames = Math.max(1, Math.round(settings.duration * settings.fps));
+    const stepCounts = getRecordingStepCounts(frames, settings.fps, recordSim.dt);
+    const recording = { cancelled: false };
+    sim.recording = recording;
+    this.updateRecordingUI(sim, 0);
+    
+    // Advance to frame k and draw it
+    const drawFrame = (k) => {
+        if (stepCounts[k] > 0) recordSim.step(stepCounts[k]);
+        recordSim.render();
+    };
+    const onProgress = (k) => this.updateRecordingUI(sim, (k + 1) / frames);
+    
+    try {
+        const blob = settings.format === 'gif'
+            ? await recordGif(canvas, frames, settings.fps, drawFrame, onProgress, recording)
+            : await recordWebm(canvas, frames, settings.fps, drawFrame, onProgress, recording);
+        
+        if (blob && !recording.cancelled) {
+            const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+            const filename = `pendulum_${sim.nx.toFixed(3)}_${sim.ny.toFixed(3)}_${timestamp}.${settings.format}`;
+            this.downloadBlob(blob, filename);
+        }
+    } catch (e) {
+        console.error(`Recording of pinned simulation ${sim.id} failed:`, e);
+        alert('Recording failed: ' + e.message);
+    } finally {
+        recordSim.destroy();
+        sim.recording = null;
+        this.updateRecordingUI(sim, null);
+    }
+};
+
+// Show recording progress (0-1) on a pinned pane, or null when done
+ChaosMapRenderer.prototype.updateRecordingUI = function(sim, progress) {
+    if (!sim.element) return;
+    
+    const btn = sim.element.querySelector('.sim-pane-record');
+    if (btn) {
+        btn.classList.toggle('recording', progress !== null);
+        btn.textContent = progress !== null ? '⏹' : '⏺';
+        btn.title = progress !== null ? 'Cancel recording' : 'Record a video of this simulation';
+    }
+    
+    // The live animation rewrites the status once recording is over
+    const statusEl = document.getElementById(`status-${sim.id}`);
+    if (statusEl && progress !== null) {
+        statusEl.textContent = `● Rec ${Math.round(progress * 100)}%`;
+        statusEl.style.color = '#f88';
+    }
+};
+
+// Encode frames into a GIF as fast as they can be drawn, yielding to the page between frames
+async function recordGif(canvas, frames, fps, drawFrame, onProgress, recording) {
+    const ctx = canvas.getContext('2d');
+    const encoder = new GifEncoder(canvas.width, canvas.height);
+    
+    for (let k = 0; k < frames; k++) {
+        if (recording.cancelled) return null;
+        drawFrame(k);
+        encoder.addFrame(ctx.getImageData(0, 0, canvas.width, canvas.height).data, getGifFrameDelay(k, fps));
+        onProgress(k);
+        await new Promise(r => setTimeout(r, 0));
+    }
+    
+    return new Blob(encoder.finish(), { type: 'image/gif' });
+}
+
+// Feed frames to a MediaRecorder one at a time
+// MediaRecorder timestamps frames by wall clock, so frames are paced at 1/fps; the
+// frame contents do not depend on that timing.
+async function recordWebm(canvas, frames, fps, drawFrame, onProgress, recording) {
+    const stream = canvas.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const mimeType = WEBM_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    const recorder = new MediaRecorder(stream, {
+        mimeType,
+        videoBitsPerSecond: Math.round(canvas.width * canvas.height * fps * RECORDING_BITS_PER_PIXEL)
+    });
+    
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) chunks.push(e.data);
+    };
+    const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+    
+    recorder.start();
+    const frameInterval = 1000 / fps;
+    const start = performance.now();
+    try {
+        for (let k = 0; k < frames && !recording.cancelled; k++) {
+            drawFrame(k);
+            track.requestFrame();
+            onProgress(k);
+            
+            // Wait for the next frame's slot, catching up rather than drifting
+            const wait = start + (k + 1) * frameInterval - performance.now();
+            await new Promise(r => setTimeout(r, Math.max(0, wait)));
+        }
+    } finally {
+        recorder.stop();
+        await stopped;
+        track.stop();
+    }
+    
+    if (recording.cancelled) return null;
+    return new Blob(chunks, { type: recorder.mimeType || 'video/webm' });
+}
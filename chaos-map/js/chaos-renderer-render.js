@@ -196,14 +196,16 @@ ChaosMapRenderer.prototype.drawCircleInGL = function(gl, program, positionBuffer
 
 // Clean up all pinned simulations when leaving page
 ChaosMapRenderer.prototype.cleanup = function() {
-    // Stop hover simulation
+    // Stop hover simulation and any ensemble
     this.stopHoverSimulation();
+    this.stopEnsemble();
     
     // Clean up all pinned simulations
+    this.stopPinnedAnimation();
+    if (this.pinVisibilityObserver) {
+        this.pinVisibilityObserver.disconnect();
+    }
     this.pinnedSimulations.forEach(sim => {
-        if (sim.animationId) {
-            cancelAnimationFrame(sim.animationId);
-        }
         if (sim.cpuSim) {
             sim.cpuSim.destroy();
         }
@@ -221,15 +223,32 @@ ChaosMapRenderer.prototype.generateMap = async function() {
     this.isRendering = true;
     this.shouldStop = false;
     
+    // A new render replaces whatever a comparison was showing
+    if (!this.comparisonRunning) this.clearComparison();
+    
+    // Pin markers only show in the view their pins were placed in
+    this.updatePinMarkers();
+    
+    // Keep the URL hash in sync with what is being rendered
+    this.updateUrlHash();
+    
     const loading = document.getElementById('loadingIndicator');
     const progressFill = document.getElementById('progressFill');
     if (loading) loading.style.display = 'flex';
     
     const res = this.baseParams.resolution;
     
+    // Deep zooms beyond float32 resolution fall back to the float64 CPU path
+    this.deepZoomFallback = this.renderMode !== 'cpu' && !this.canResolveView(FLOAT32_MANTISSA_BITS);
+    // Adaptive integrators have no shader version
+    this.adaptiveFallback = this.renderMode !== 'cpu' && this.isAdaptiveIntegrator();
+    this.updateZoomIndicator();
+    
     // Use CPU or GPU rendering based on renderMode
-    if (this.renderMode === 'cpu') {
+    if (this.renderMode === 'cpu' || this.deepZoomFallback || this.adaptiveFallback) {
         await this.generateMapCPU(res, loading, progressFill);
+    } else if (this.progressiveRender) {
+        await this.generateMapGPUProgressive(res, loading, progressFill);
     } else {
         await this.generateMapGPU(res, loading, progressFill);
     }
@@ -251,6 +270,9 @@ ChaosMapRenderer.prototype.generateMapGPU = async function(res, loading, progres
     this.mainCtx.fillStyle = '#0a0a0a';
     this.mainCtx.fillRect(0, 0, this.canvas.width, this.canvas.height);
     
+    // Per-pixel data grid for export
+    this.beginRenderData(res, 'gpu');
+    
     // Generate tiles with streaming display
     let tileCount = 0;
     
@@ -296,6 +318,169 @@ ChaosMapRenderer.prototype.generateMapGPU = async function(res, loading, progres
             // await new Promise(r => setTimeout(r, 10));
         }
     }
+    
+    this.finishRenderData(!this.shouldStop);
+};
+
+// Progressive GPU map generation
+// A coarse pass (1/PROGRESSIVE_COARSE_FACTOR resolution) covers the whole map first,
+// then full-resolution tiles are rendered in order of how strongly the coarse
+// samples around them disagree, so fractal boundaries sharpen before smooth regions.
+const PROGRESSIVE_COARSE_FACTOR = 8;
+
+ChaosMapRenderer.prototype.generateMapGPUProgressive = async function(res, loading, progressFill) {
+    const tileSize = this.baseParams.tileSize;
+    const coarseRes = Math.max(1, Math.ceil(res / PROGRESSIVE_COARSE_FACTOR));
+    const coarseTilesX = Math.ceil(coarseRes / tileSize);
+    const tilesX = Math.ceil(res / tileSize);
+    const totalTiles = coarseTilesX * coarseTilesX + tilesX * tilesX;
+    let tileCount = 0;
+    
+    const advance = async () => {
+        tileCount++;
+        if (progressFill) progressFill.style.width = (tileCount / totalTiles) * 100 + '%';
+        
+        // Force browser paint by waiting for next animation frame
+        await new Promise(r => requestAnimationFrame(r));
+    };
+    
+    // Clear main canvas at start
+    this.mainCtx.fillStyle = '#0a0a0a';
+    this.mainCtx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    
+    // Per-pixel data grid for export
+    this.beginRenderData(res, 'gpu');
+    
+    // Coarse pass
+    const coarse = {
+        divergence: new Float32Array(coarseRes * coarseRes),
+        diverged: new Uint8Array(coarseRes * coarseRes)
+    };
+    for (let ty = 0; ty < coarseTilesX; ty++) {
+        for (let tx = 0; tx < coarseTilesX; tx++) {
+            if (this.shouldStop) {
+                this.finishRenderData(false);
+                return;
+            }
+            
+            const offsetX = tx * tileSize;
+            const offsetY = ty * tileSize;
+            const w = Math.min(tileSize, coarseRes - offsetX);
+            const h = Math.min(tileSize, coarseRes - offsetY);
+            
+            const tile = this.renderTileSamples(offsetX, offsetY, w, h, coarseRes);
+            if (!tile) continue;
+            
+            for (let y = 0; y < h; y++) {
+                const row = (offsetY + y) * coarseRes + offsetX;
+                coarse.divergence.set(tile.divergence.subarray(y * w, (y + 1) * w), row);
+                coarse.diverged.set(tile.diverged.subarray(y * w, (y + 1) * w), row);
+            }
+            
+            // Draw the coarse tile blown up to its full-resolution footprint
+            const scale = this.canvas.width / coarseRes;
+            const tempCanvas = document.createElement('canvas');
+            tempCanvas.width = w;
+            tempCanvas.height = h;
+            tempCanvas.getContext('2d').putImageData(this.colorizeTile(tile.divergence, tile.diverged, w, h), 0, 0);
+            this.mainCtx.imageSmoothingEnabled = false;
+            this.mainCtx.drawImage(tempCanvas, offsetX * scale, offsetY * scale, w * scale, h * scale);
+            this.mainCtx.imageSmoothingEnabled = true;
+            
+            await advance();
+        }
+    }
+    
+    // Until refined, each pixel holds its coarse sample (so re-colouring keeps the preview)
+    this.fillRenderDataFromCoarse(coarse, coarseRes);
+    
+    // Refinement, most disputed tiles first
+    const order = this.rankRefinementTiles(coarse, coarseRes, res, tileSize);
+    for (const { tx, ty } of order) {
+        if (this.shouldStop) break;
+        
+        const tileOffsetX = tx * tileSize;
+        const tileOffsetY = ty * tileSize;
+        const actualTileW = Math.min(tileSize, res - tileOffsetX);
+        const actualTileH = Math.min(tileSize, res - tileOffsetY);
+        
+        const imageData = await this.renderTileToImageData(tileOffsetX, tileOffsetY, actualTileW, actualTileH);
+        if (!imageData) continue;
+        
+        // The canvas is sized to the resolution, so tiles map 1:1
+        this.mainCtx.putImageData(imageData, tileOffsetX, tileOffsetY);
+        
+        await advance();
+    }
+    
+    this.finishRenderData(!this.shouldStop);
+};
+
+// Fill the render data grid with nearest coarse samples
+ChaosMapRenderer.prototype.fillRenderDataFromCoarse = function(coarse, coarseRes) {
+    const grid = this.renderData;
+    if (!grid) return;
+    
+    for (let y = 0; y < grid.height; y++) {
+        const cy = Math.min(coarseRes - 1, Math.floor(y * coarseRes / grid.height));
+        for (let x = 0; x < grid.width; x++) {
+            const cx = Math.min(coarseRes - 1, Math.floor(x * coarseRes / grid.width));
+            const i = y * grid.width + x;
+            grid.divergence[i] = coarse.divergence[cy * coarseRes + cx];
+            grid.diverged[i] = coarse.diverged[cy * coarseRes + cx];
+        }
+    }
+    grid.rendered.fill(1);
+};
+
+// Order full-resolution tiles by how much neighbouring coarse samples disagree
+// Each tile is scored over its own coarse samples plus a one-sample border, using
+// log-scaled values so that differences between short divergence times count as
+// much as those between long ones. Returns [{tx, ty}], highest score first.
+ChaosMapRenderer.prototype.rankRefinementTiles = function(coarse, coarseRes, res, tileSize) {
+    const valueMax = this.getSampleValueMax();
+    const valueMin = this.getSampleValueMin();
+    const isFraction = valueMax === 1;
+    const continuous = this.isContinuousMetric();
+    const level = new Float32Array(coarseRes * coarseRes);
+    for (let i = 0; i < level.length; i++) {
+        if (Number.isNaN(coarse.divergence[i])) {
+            // Forbidden pixels sit below every real level, so the region's edge counts as a boundary
+            level[i] = -1;
+        } else if (isFraction) {
+            level[i] = coarse.divergence[i];
+        } else if (continuous) {
+            // Continuous metrics are compared on their colour scale
+            level[i] = Math.min(1, Math.max(0, (coarse.divergence[i] - valueMin) / (valueMax - valueMin)));
+        } else {
+            const v = coarse.diverged[i] ? coarse.divergence[i] : valueMax;
+            level[i] = Math.log1p(v) / Math.log1p(valueMax);
+        }
+    }
+    
+    const tilesX = Math.ceil(res / tileSize);
+    const tiles = [];
+    for (let ty = 0; ty < tilesX; ty++) {
+        for (let tx = 0; tx < tilesX; tx++) {
+            const x0 = Math.max(0, Math.floor(tx * tileSize * coarseRes / res) - 1);
+            const y0 = Math.max(0, Math.floor(ty * tileSize * coarseRes / res) - 1);
+            const x1 = Math.min(coarseRes - 1, Math.ceil(Math.min(res, (tx + 1) * tileSize) * coarseRes / res));
+            const y1 = Math.min(coarseRes - 1, Math.ceil(Math.min(res, (ty + 1) * tileSize) * coarseRes / res));
+            
+            let score = 0;
+            for (let y = y0; y <= y1; y++) {
+                for (let x = x0; x <= x1; x++) {
+                    const v = level[y * coarseRes + x];
+                    if (x < x1) score += Math.abs(v - level[y * coarseRes + x + 1]);
+                    if (y < y1) score += Math.abs(v - level[(y + 1) * coarseRes + x]);
+                }
+            }
+            tiles.push({ tx, ty, score });
+        }
+    }
+    
+    // Stable sort keeps row-major order among equally smooth tiles
+    return tiles.sort((a, b) => b.score - a.score);
 };
 
 // CPU-based map generation (64-bit double precision via WebWorkers)
@@ -315,12 +500,21 @@ ChaosMapRenderer.prototype.generateMapCPU = async function(res, loading, progres
     this.cpuChaosRenderer.maxIter = this.baseParams.maxIter;
     this.cpuChaosRenderer.threshold = this.baseParams.threshold;
     this.cpuChaosRenderer.dt = this.baseParams.dt;
-    this.cpuChaosRenderer.g = this.baseParams.g;
     this.cpuChaosRenderer.integrator = this.baseParams.integrator;
+    this.cpuChaosRenderer.tolerance = this.baseParams.tolerance;
+    this.cpuChaosRenderer.metric = this.baseParams.metric;
+    this.cpuChaosRenderer.flipArm = this.baseParams.flipArm;
+    this.cpuChaosRenderer.divergenceMeasure = this.getDivergenceMeasure();
     this.cpuChaosRenderer.colorMapping = this.colorMapping;
     this.cpuChaosRenderer.cyclePeriod = this.cyclePeriod;
     this.cpuChaosRenderer.hueMapping = this.hueMapping;
+    this.cpuChaosRenderer.clipMin = this.colorClipMin;
+    this.cpuChaosRenderer.clipMax = this.colorClipMax;
+    this.cpuChaosRenderer.perturbMode = this.baseParams.perturbMode;
     this.cpuChaosRenderer.perturbFixed = this.baseParams.perturbFixed;
+    this.cpuChaosRenderer.perturbRandom = this.baseParams.perturbRandom;
+    this.cpuChaosRenderer.samplesPerPixel = this.getEffectiveSamples();
+    this.cpuChaosRenderer.sampleStatistic = this.usesSampleStatistic() ? this.baseParams.sampleStatistic : null;
     this.cpuChaosRenderer.perturbScale = this.baseParams.perturbScale;
     
     // Initialize worker pool
@@ -335,6 +529,9 @@ ChaosMapRenderer.prototype.generateMapCPU = async function(res, loading, progres
     // Get shader parameters from stack
     const shaderParams = this.stack.getShaderParams();
     
+    // Per-pixel data grid for export
+    this.beginRenderData(res, 'cpu');
+    
     // Queue all tiles for rendering
     const tilePromises = [];
     let tileCount = 0;
@@ -351,9 +548,11 @@ ChaosMapRenderer.prototype.generateMapCPU = async function(res, loading, progres
             // Create promise for each tile
             const tilePromise = this.cpuChaosRenderer.renderTile(
                 tileOffsetX, tileOffsetY, actualTileW, actualTileH, shaderParams
-            ).then(imageData => {
+            ).then(tile => {
                 // Put image data to offscreen canvas
-                offCtx.putImageData(imageData, tileOffsetX, tileOffsetY);
+                offCtx.putImageData(tile.imageData, tileOffsetX, tileOffsetY);
+                this.storeTileData(tileOffsetX, tileOffsetY, actualTileW, actualTileH, tile.divergence, tile.diverged);
+                if (this.renderData) this.renderData.toleranceFailures += tile.failed;
                 
                 tileCount++;
                 const progress = (tileCount / totalTiles) * 100;
@@ -378,6 +577,8 @@ ChaosMapRenderer.prototype.generateMapCPU = async function(res, loading, progres
     
     // Cleanup workers
     this.cpuChaosRenderer.terminateWorkers();
+    
+    this.finishRenderData(!this.shouldStop);
 };
 
 // Download the current chaos map as an image
@@ -403,114 +604,67 @@ ChaosMapRenderer.prototype.downloadImage = function() {
     document.body.removeChild(link);
 };
 
-ChaosMapRenderer.prototype.renderTile = function(offsetX, offsetY, width, height) {
-    const gl = this.tileGl;
-    const program = this.tileProgram;
-    if (!gl || !program) return;
+// Render a tile and return ImageData for streaming display
+ChaosMapRenderer.prototype.renderTileToImageData = async function(offsetX, offsetY, width, height) {
+    const tile = this.renderTileSamples(offsetX, offsetY, width, height);
+    if (!tile) return null;
     
-    // Check for context loss
-    if (gl.isContextLost()) {
-        console.warn('WebGL context lost, skipping tile render');
-        return;
-    }
+    this.storeTileData(offsetX, offsetY, width, height, tile.divergence, tile.diverged);
     
-    // Helper to safely set uniforms
-    const setUniform = (name, setter, ...values) => {
-        const loc = gl.getUniformLocation(program, name);
-        if (loc !== null) {
-            setter.call(gl, loc, ...values);
-        }
-    };
-    
-    // Resize tile canvas if needed
-    if (this.tileCanvas.width !== width || this.tileCanvas.height !== height) {
-        this.tileCanvas.width = width;
-        this.tileCanvas.height = height;
-        gl.viewport(0, 0, width, height);
+    // Colour with the same tone mapping and palette as the shader
+    return this.colorizeTile(tile.divergence, tile.diverged, width, height);
+};
+
+// Per-pixel divergence data of a tile, combining all samples per pixel
+// With several samples the tile is rendered once per sample (pass k draws the
+// pixels' k-th twins, as the CPU renderer does) and the per-pixel results are
+// combined on the CPU.
+// resolution: size of the full pixel grid the tile belongs to (default: the map resolution)
+ChaosMapRenderer.prototype.renderTileSamples = function(offsetX, offsetY, width, height, resolution) {
+    if (!this.usesSampleStatistic()) {
+        return this.renderTileData(offsetX, offsetY, width, height, resolution);
     }
     
-    gl.useProgram(program);
-    
-    // Get shader parameters from stack
-    const shaderParams = this.stack.getShaderParams();
-    const res = this.baseParams.resolution;
-    
-    // Set uniforms using helper
-    setUniform('u_resolution', gl.uniform2f, res, res);
-    setUniform('u_tileOffset', gl.uniform2f, offsetX, offsetY);
-    setUniform('u_tileSize', gl.uniform2f, width, height);
-    setUniform('u_l1', gl.uniform1f, shaderParams.l1 ?? 1.0);
-    setUniform('u_l2', gl.uniform1f, shaderParams.l2 ?? 1.0);
-    setUniform('u_m1', gl.uniform1f, shaderParams.m1 ?? 1.0);
-    setUniform('u_m2', gl.uniform1f, shaderParams.m2 ?? 1.0);
-    setUniform('u_g', gl.uniform1f, this.baseParams.g);
-    setUniform('u_dt', gl.uniform1f, this.baseParams.dt);
-    setUniform('u_maxIter', gl.uniform1i, this.baseParams.maxIter);
-    setUniform('u_threshold', gl.uniform1f, this.baseParams.threshold);
-    
-    // Perturbation uniforms - scaled by master scalar
-    const pFixed = this.baseParams.perturbFixed;
-    const pRand = this.baseParams.perturbRandom;
-    const s = this.baseParams.perturbScale;
-    setUniform('u_perturbFixedAB', gl.uniform4f, 
-        pFixed.theta1 * s, pFixed.theta2 * s, pFixed.omega1 * s, pFixed.omega2 * s);
-    setUniform('u_perturbFixedCD', gl.uniform4f, 
-        pFixed.l1 * s, pFixed.l2 * s, pFixed.m1 * s, pFixed.m2 * s);
-    setUniform('u_perturbCenterAB', gl.uniform4f, 
-        pRand.theta1.center * s, pRand.theta2.center * s, pRand.omega1.center * s, pRand.omega2.center * s);
-    setUniform('u_perturbCenterCD', gl.uniform4f, 
-        pRand.l1.center * s, pRand.l2.center * s, pRand.m1.center * s, pRand.m2.center * s);
-    setUniform('u_perturbStdAB', gl.uniform4f, 
-        pRand.theta1.std * s, pRand.theta2.std * s, pRand.omega1.std * s, pRand.omega2.std * s);
-    setUniform('u_perturbStdCD', gl.uniform4f, 
-        pRand.l1.std * s, pRand.l2.std * s, pRand.m1.std * s, pRand.m2.std * s);
-    setUniform('u_perturbMode', gl.uniform1i, this.baseParams.perturbMode === 'random' ? 1 : 0);
-    setUniform('u_integrator', gl.uniform1i, this.baseParams.integrator === 'verlet' ? 1 : 0);
-    setUniform('u_seed', gl.uniform1f, 0);
-    setUniform('u_colorMapping', gl.uniform1i, this.colorMapping);
-    setUniform('u_cyclePeriod', gl.uniform1f, this.cyclePeriod);
-    setUniform('u_hueMapping', gl.uniform1i, this.hueMapping);
-    
-    // Generate and bind per-tile noise texture for truly independent random perturbations
-    const noiseTex = this.updateNoiseTexture(gl, width, height);
-    if (noiseTex) {
-        gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, noiseTex);
-        setUniform('u_noiseTexture', gl.uniform1i, 0);
+    const samples = this.getEffectiveSamples();
+    const statistic = this.baseParams.sampleStatistic;
+    const passes = [];
+    for (let k = 0; k < samples; k++) {
+        if (this.shouldStop) return null;
+        const tile = this.renderTileData(offsetX, offsetY, width, height, resolution, k);
+        if (!tile) return null;
+        passes.push(tile);
     }
     
-    // Layer-based uniforms
-    setUniform('u_layerMode', gl.uniform1i, shaderParams.mode ?? 0);
-    setUniform('u_fixedState', gl.uniform4f, 
-        shaderParams.fixedState?.[0] ?? 0, shaderParams.fixedState?.[1] ?? 0,
-        shaderParams.fixedState?.[2] ?? 0, shaderParams.fixedState?.[3] ?? 0);
-    setUniform('u_scaleX', gl.uniform1f, shaderParams.scaleX ?? 3.14);
-    setUniform('u_scaleY', gl.uniform1f, shaderParams.scaleY ?? 3.14);
-    setUniform('u_centerX', gl.uniform1f, shaderParams.centerX ?? 0);
-    setUniform('u_centerY', gl.uniform1f, shaderParams.centerY ?? 0);
-    
-    // Which dimensions are being mapped
-    const dim1 = shaderParams.layerDims ? shaderParams.layerDims[0] : 'theta1';
-    const dim2 = shaderParams.layerDims ? shaderParams.layerDims[1] : 'theta2';
-    const dimToIndex = { theta1: 0, theta2: 1, omega1: 2, omega2: 3, l1: 4, l2: 5, m1: 6, m2: 7 };
-    setUniform('u_mappedDims', gl.uniform2i, dimToIndex[dim1] ?? 0, dimToIndex[dim2] ?? 1);
-    
-    // Delta mode: add to basis state instead of replacing
-    setUniform('u_deltaMode', gl.uniform1i, shaderParams.deltaMode ? 1 : 0);
-    
-    // Ensure vertex buffer is bound and attribute is enabled before drawing
-    if (this.tilePositionBuffer) {
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.tilePositionBuffer);
+    const divergence = new Float32Array(width * height);
+    const diverged = new Uint8Array(width * height);
+    const steps = new Float32Array(samples);
+    const flags = new Uint8Array(samples);
+    for (let i = 0; i < width * height; i++) {
+        for (let k = 0; k < samples; k++) {
+            steps[k] = passes[k].divergence[i];
+            flags[k] = passes[k].diverged[i];
+        }
+        const combined = CPUPhysics.combineSamples(steps, flags, statistic);
+        divergence[i] = combined.value;
+        diverged[i] = combined.diverged ? 1 : 0;
     }
-    const positionLocation = gl.getAttribLocation(program, 'a_position');
-    gl.enableVertexAttribArray(positionLocation);
-    gl.vertexAttribPointer(positionLocation, 2, gl.FLOAT, false, 0, 0);
     
-    gl.drawArrays(gl.TRIANGLES, 0, 6);
+    return { divergence, diverged };
 };
 
-// Render a tile and return ImageData for streaming display
-ChaosMapRenderer.prototype.renderTileToImageData = async function(offsetX, offsetY, width, height) {
+// Value of one pixel of the shader's raw output (q = the 23 packed bits)
+// Step metrics are stored as steps; the Lyapunov exponent and log2 of the
+// separations as (v + 64) * 65536
+function decodeRawMetric(q, metric) {
+    if (!CPUPhysics.CONTINUOUS_METRICS.includes(metric)) return q;
+    const v = q / 65536 - 64;
+    return metric === 'lyapunov' ? v : Math.pow(2, v);
+}
+
+// Run one GPU pass over a tile and decode the raw divergence data
+// sample: which of each pixel's random twins to simulate (see generateTwinNoiseData)
+// Returns { divergence, diverged } in row-major order from the top, or null
+ChaosMapRenderer.prototype.renderTileData = function(offsetX, offsetY, width, height, resolution = this.baseParams.resolution, sample = 0) {
     const gl = this.tileGl;
     const program = this.tileProgram;
     if (!gl || !program) return null;
@@ -540,7 +694,7 @@ ChaosMapRenderer.prototype.renderTileToImageData = async function(offsetX, offse
     
     // Get shader parameters from stack
     const shaderParams = this.stack.getShaderParams();
-    const res = this.baseParams.resolution;
+    const res = resolution;
     
     // Set uniforms
     setUniform('u_resolution', gl.uniform2f, res, res);
@@ -550,7 +704,10 @@ ChaosMapRenderer.prototype.renderTileToImageData = async function(offsetX, offse
     setUniform('u_l2', gl.uniform1f, shaderParams.l2 ?? 1.0);
     setUniform('u_m1', gl.uniform1f, shaderParams.m1 ?? 1.0);
     setUniform('u_m2', gl.uniform1f, shaderParams.m2 ?? 1.0);
-    setUniform('u_g', gl.uniform1f, this.baseParams.g);
+    setUniform('u_g', gl.uniform1f, shaderParams.g ?? NULL_STATE.g);
+    setUniform('u_forcing', gl.uniform4f,
+        shaderParams.damping1 ?? 0, shaderParams.damping2 ?? 0,
+        shaderParams.torqueAmp ?? 0, shaderParams.torqueFreq ?? 0);
     setUniform('u_dt', gl.uniform1f, this.baseParams.dt);
     setUniform('u_maxIter', gl.uniform1i, this.baseParams.maxIter);
     setUniform('u_threshold', gl.uniform1f, this.baseParams.threshold);
@@ -572,14 +729,14 @@ ChaosMapRenderer.prototype.renderTileToImageData = async function(offsetX, offse
     setUniform('u_perturbStdCD', gl.uniform4f, 
         pRand.l1.std * s, pRand.l2.std * s, pRand.m1.std * s, pRand.m2.std * s);
     setUniform('u_perturbMode', gl.uniform1i, this.baseParams.perturbMode === 'random' ? 1 : 0);
-    setUniform('u_integrator', gl.uniform1i, this.baseParams.integrator === 'verlet' ? 1 : 0);
-    setUniform('u_seed', gl.uniform1f, 0);
     setUniform('u_colorMapping', gl.uniform1i, this.colorMapping);
     setUniform('u_cyclePeriod', gl.uniform1f, this.cyclePeriod);
     setUniform('u_hueMapping', gl.uniform1i, this.hueMapping);
     
-    // Generate and bind per-tile noise texture
-    const noiseTex = this.updateNoiseTexture(gl, width, height);
+    // Bind the tile's twin draws; fixed offsets need none
+    const noiseTex = this.baseParams.perturbMode === 'random'
+        ? this.updateNoiseTexture(gl, offsetX, offsetY, width, height, res, sample)
+        : null;
     if (noiseTex) {
         gl.activeTexture(gl.TEXTURE0);
         gl.bindTexture(gl.TEXTURE_2D, noiseTex);
@@ -587,7 +744,6 @@ ChaosMapRenderer.prototype.renderTileToImageData = async function(offsetX, offse
     }
     
     // Layer-based uniforms
-    setUniform('u_layerMode', gl.uniform1i, shaderParams.mode ?? 0);
     setUniform('u_fixedState', gl.uniform4f, 
         shaderParams.fixedState?.[0] ?? 0, shaderParams.fixedState?.[1] ?? 0,
         shaderParams.fixedState?.[2] ?? 0, shaderParams.fixedState?.[3] ?? 0);
@@ -599,11 +755,22 @@ ChaosMapRenderer.prototype.renderTileToImageData = async function(offsetX, offse
     // Which dimensions are being mapped
     const dim1 = shaderParams.layerDims ? shaderParams.layerDims[0] : 'theta1';
     const dim2 = shaderParams.layerDims ? shaderParams.layerDims[1] : 'theta2';
-    const dimToIndex = { theta1: 0, theta2: 1, omega1: 2, omega2: 3, l1: 4, l2: 5, m1: 6, m2: 7 };
-    setUniform('u_mappedDims', gl.uniform2i, dimToIndex[dim1] ?? 0, dimToIndex[dim2] ?? 1);
+    setUniform('u_mappedDims', gl.uniform2i, DIM_TO_INDEX[dim1] ?? 0, DIM_TO_INDEX[dim2] ?? 1);
+    
+    // Axis scaling: centre and scale above are in scaled coordinates
+    const [scale1, scale2] = shaderParams.axisScales || ['linear', 'linear'];
+    const [threshold1, threshold2] = shaderParams.symlogThresholds || [1, 1];
+    setUniform('u_axisScale', gl.uniform2i, AxisScale.AXIS_SCALE_INDEX[scale1], AxisScale.AXIS_SCALE_INDEX[scale2]);
+    setUniform('u_symlogThreshold', gl.uniform2f, threshold1, threshold2);
     
     // Delta mode
     setUniform('u_deltaMode', gl.uniform1i, shaderParams.deltaMode ? 1 : 0);
+    setObliqueUniforms(gl, setUniform, shaderParams.obliqueDirs);
+    setEnergyUniforms(gl, setUniform, shaderParams.energyConstraint);
+    setMetricUniforms(gl, setUniform, this.baseParams);
+    
+    // Render raw divergence data; colouring happens on the CPU so the data can be kept
+    setUniform('u_outputMode', gl.uniform1i, 1);
     
     // Ensure vertex buffer is bound and attribute is enabled before drawing
     if (this.tilePositionBuffer) {
@@ -621,28 +788,33 @@ ChaosMapRenderer.prototype.renderTileToImageData = async function(offsetX, offse
     const pixels = new Uint8Array(width * height * 4);
     gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
     
-    // Create ImageData (flip Y because WebGL has origin at bottom-left)
-    const imageData = new ImageData(width, height);
-    const data = imageData.data;
+    // The noise texture is single-use; free it rather than waiting for GC
+    if (noiseTex) gl.deleteTexture(noiseTex);
+    
+    // Decode divergence data (flip Y because WebGL has origin at bottom-left)
+    // Layout matches the shader's u_outputMode == 1 packing
+    const divergence = new Float32Array(width * height);
+    const diverged = new Uint8Array(width * height);
+    const metric = this.baseParams.metric;
     
     for (let y = 0; y < height; y++) {
         for (let x = 0; x < width; x++) {
             const srcIdx = ((height - 1 - y) * width + x) * 4;
-            const dstIdx = (y * width + x) * 4;
-            data[dstIdx] = pixels[srcIdx];
-            data[dstIdx + 1] = pixels[srcIdx + 1];
-            data[dstIdx + 2] = pixels[srcIdx + 2];
-            data[dstIdx + 3] = pixels[srcIdx + 3];
+            const dstIdx = y * width + x;
+            const hi = pixels[srcIdx + 2];
+            const q = pixels[srcIdx] + pixels[srcIdx + 1] * 256 + (hi & 127) * 65536;
+            // 0 without the flag bit marks a forbidden pixel
+            divergence[dstIdx] = (q === 0 && hi < 128) ? NaN : decodeRawMetric(q, metric);
+            diverged[dstIdx] = hi >= 128 ? 1 : 0;
         }
     }
     
-    return imageData;
+    return { divergence, diverged };
 };
 
 // GPU-consistent RK4 integration - uses SAME physics as the shader
-ChaosMapRenderer.prototype.stepPhysicsRK4OnGPU = function(state, l1, l2, m1, m2) {
+ChaosMapRenderer.prototype.stepPhysicsRK4OnGPU = function(state, l1, l2, m1, m2, g = NULL_STATE.g) {
     const dt = this.baseParams.dt;
-    const g = this.baseParams.g;
     
     // RK4 integration matching the shader's stepPhysicsRK4 exactly
     const k1 = this.computeDerivativesGPU(state, l1, l2, m1, m2, g);
@@ -717,25 +889,13 @@ ChaosMapRenderer.prototype.stepPhysicsRK4 = function(state) {
         this.stack.computeState(0.5, 0.5).l1,
         this.stack.computeState(0.5, 0.5).l2,
         this.stack.computeState(0.5, 0.5).m1,
-        this.stack.computeState(0.5, 0.5).m2
+        this.stack.computeState(0.5, 0.5).m2,
+        this.stack.computeState(0.5, 0.5).g
     );
 };
 
-// Measure divergence between two pendulum states
+// Measure divergence between two pendulum states with the selected measure
+// Lengths, masses and g come from s1 (full stack states carry them)
 ChaosMapRenderer.prototype.measureDivergence = function(s1, s2) {
-    const PI = Math.PI;
-    
-    // Circular difference for angles
-    let dTheta1 = s1.theta1 - s2.theta1;
-    if (dTheta1 > PI) dTheta1 -= 2 * PI;
-    if (dTheta1 < -PI) dTheta1 += 2 * PI;
-    
-    let dTheta2 = s1.theta2 - s2.theta2;
-    if (dTheta2 > PI) dTheta2 -= 2 * PI;
-    if (dTheta2 < -PI) dTheta2 += 2 * PI;
-    
-    const dOmega1 = s1.omega1 - s2.omega1;
-    const dOmega2 = s1.omega2 - s2.omega2;
-    
-    return Math.sqrt(dTheta1 * dTheta1 + dTheta2 * dTheta2 + dOmega1 * dOmega1 + dOmega2 * dOmega2);
+    return CPUPhysics.measureDivergence(s1, s2, this.getDivergenceMeasure());
 };
@@ -0,0 +1,87 @@
+// Double Pendulum Chaos Map - Session Export/Import Methods (Part 8)
+// These methods extend ChaosMapRenderer
+
+// Build a versioned session document for the current view
+ChaosMapRenderer.prototype.getSessionDocument = function(name) {
+    const view = this.getViewState();
+    return {
+        format: SESSION_FORMAT,
+        version: SESSION_VERSION,
+        name: name || 'Untitled session',
+        savedAt: new Date().toISOString(),
+        stack: view.stack,
+        params: view.params,
+        color: view.color,
+        zoomHistory: this.zoomState.zoomHistory.map(z => ({ ...z })),
+        pinnedSimulations: this.pinnedSimulations.map(sim => ({
+            nx: sim.nx,
+            ny: sim.ny,
+            name: sim.name,
+            state: { ...sim.state },
+            perturbedState: { ...sim.perturbedState }
+        }))
+    };
+};
+
+// Download the current session as a JSON file
+ChaosMapRenderer.prototype.exportSession = function() {
+    const nameInput = document.getElementById('sessionNameInput');
+    const name = (nameInput && nameInput.value.trim()) || 'Untitled session';
+    const doc = this.getSessionDocument(name);
+    
+    const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+    const safeName = name.replace(/[^a-z0-9_-]+/gi, '_').replace(/^_+|_+$/g, '') || 'session';
+    this.downloadBlob(blob, `chaos-map-session_${safeName}.json`);
+};
+
+// Apply a parsed session document
+// Throws an Error listing every validation problem if the document is invalid;
+// nothing is changed in that case.
+ChaosMapRenderer.prototype.loadSessionDocument = function(doc) {
+    const errors = validateSessionDocument(doc);
+    if (errors.length > 0) {
+        throw new Error(errors.join('\n'));
+    }
+    
+    this.applyViewState(doc);
+    
+    // applyViewState() resets the zoom history for the new stack
+    this.zoomState.zoomHistory = (doc.zoomHistory || []).map(z => ({
+        min1: z.min1, max1: z.max1, min2: z.min2, max2: z.max2
+    }));
+    
+    const nameInput = document.getElementById('sessionNameInput');
+    if (nameInput && typeof doc.name === 'string') nameInput.value = doc.name;
+    
+    // Replace pinned simulations
+    this.clearAllPinnedSimulations();
+    (doc.pinnedSimulations || []).forEach(pin => {
+        const states = pin.state && pin.perturbedState ? {
+            state: { ...NULL_STATE, ...pin.state },
+            perturbedState: { ...NULL_STATE, ...pin.perturbedState }
+        } : null;
+        this.createPinnedSimulation(pin.nx, pin.ny, states, pin.name || null);
+    });
+    
+    this.generateMap();
+};
+
+// Read a session file chosen by the user
+ChaosMapRenderer.prototype.importSessionFile = async function(file) {
+    if (!file) return;
+    
+    let doc;
+    try {
+        doc = JSON.parse(await file.text());
+    } catch (e) {
+        alert(`Could not import "${file.name}": not valid JSON.\n\n${e.message}`);
+        return;
+    }
+    
+    try {
+        this.loadSessionDocument(doc);
+    } catch (e) {
+        const problems = e.message.split('\n').map(line => `• ${line}`).join('\n');
+        alert(`Could not import "${file.name}":\n\n${problems}`);
+    }
+};
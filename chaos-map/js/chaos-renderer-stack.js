@@ -28,7 +28,7 @@ ChaosMapRenderer.prototype.updateStackUI = function() {
                     <div class="stack-params">
                         ${dim1Info ? dim1Info.label : item.dim1}: [${item.min1.toFixed(1)}, ${item.max1.toFixed(1)}] 
                         ${dim2Info ? dim2Info.label : item.dim2}: [${item.min2.toFixed(1)}, ${item.max2.toFixed(1)}]
-                        ${item.deltaMode ? ' • Δ mode' : ''}
+                        ${item.deltaMode ? ' • Δ mode' : ''}${describeAxisScales(item)}
                     </div>
                 </div>
             `;
@@ -75,6 +75,14 @@ ChaosMapRenderer.prototype.updateStackUI = function() {
     this.updateLayerEditor();
 };
 
+// " • log/linear" style suffix for layers with a non-linear axis (empty otherwise)
+function describeAxisScales(item) {
+    const scale1 = item.scale1 || 'linear';
+    const scale2 = item.scale2 || 'linear';
+    if (scale1 === 'linear' && scale2 === 'linear') return '';
+    return ` • ${scale1}/${scale2}`;
+}
+
 ChaosMapRenderer.prototype.selectItem = function(index) {
     this.selectedIndex = index;
     this.updateStackUI();
@@ -112,13 +120,48 @@ ChaosMapRenderer.prototype.updateLayerEditor = function() {
     editor.dataset.layerId = item.id;
     title.textContent = item.name;
     
+    if (item.kind === 'oblique') {
+        this.updateObliqueLayerEditor(params, item);
+        return;
+    }
+    
     const dim1 = item.dim1;
     const dim2 = item.dim2;
     const dim1Info = DIM_INFO[dim1] || { label: dim1, unit: '' };
     const dim2Info = DIM_INFO[dim2] || { label: dim2, unit: '' };
     
+    // Axis scale selector and symlog threshold for axis 1 or 2
+    const scaleControls = (axis) => {
+        const scale = item[`scale${axis}`];
+        const options = AxisScale.AXIS_SCALES.map(name =>
+            `<option value="${name}" ${name === scale ? 'selected' : ''}>${name}</option>`).join('');
+        return `
+            <div class="range-inputs" style="margin-top: 0.3rem;">
+                <select id="scale${axis}Input" title="Axis scale">${options}</select>
+                <input type="number" value="${item[`threshold${axis}`]}" id="threshold${axis}Input" step="0.1" min="0"
+                    title="Symlog linear threshold: values within ±threshold are spaced linearly"
+                    style="display: ${scale === 'symlog' ? '' : 'none'};">
+            </div>
+        `;
+    };
+    
+    // Fixed energy: target E and the velocity solved from it
+    const constrained = item.energy !== null;
+    const solveOptions = CPUPhysics.ENERGY_SOLVE_DIMS.map(dim =>
+        `<option value="${dim}" ${dim === item.solveFor ? 'selected' : ''}>${DIM_INFO[dim].label}</option>`).join('');
+    
     // Create range editors with clear dimension labels
     params.innerHTML = `
+        <div class="form-group" style="margin-bottom: 0.75rem;">
+            <label style="display: flex; align-items: center; gap: 0.5rem; cursor: pointer;">
+                <input type="checkbox" id="energyConstraintInput" ${constrained ? 'checked' : ''} style="width: auto;">
+                <span>Fixed energy (solve one velocity from E)</span>
+            </label>
+            <div class="range-inputs" id="energyConstraintInputs" style="margin-top: 0.3rem; display: ${constrained ? '' : 'none'};">
+                <input type="number" value="${item.energy ?? 0}" id="energyInput" step="0.5" title="Total energy E (J)">
+                <select id="solveForInput" title="Velocity solved from the energy">${solveOptions}</select>
+            </div>
+        </div>
         <div class="form-group" style="margin-bottom: 0.75rem;">
             <label style="display: flex; align-items: center; gap: 0.5rem; cursor: pointer;">
                 <input type="checkbox" id="deltaModeInput" ${item.deltaMode ? 'checked' : ''} style="width: auto;">
@@ -135,6 +178,7 @@ ChaosMapRenderer.prototype.updateLayerEditor = function() {
                 <span>to</span>
                 <input type="number" value="${item.max1}" id="max1Input" step="0.1">
             </div>
+            ${scaleControls(1)}
         </div>
         <div class="form-group">
             <label>Min / Max for ${dim2Info.label}</label>
@@ -143,16 +187,28 @@ ChaosMapRenderer.prototype.updateLayerEditor = function() {
                 <span>to</span>
                 <input type="number" value="${item.max2}" id="max2Input" step="0.1">
             </div>
+            ${scaleControls(2)}
         </div>
     `;
     
     // Event listeners - update values and regenerate map automatically
+    // Returns false (and restores the inputs) if a range does not fit its axis scale
     const updateItemValues = () => {
         const min1 = parseFloat(document.getElementById('min1Input').value) || 0;
         const max1 = parseFloat(document.getElementById('max1Input').value) || 1;
         const min2 = parseFloat(document.getElementById('min2Input').value) || 0;
         const max2 = parseFloat(document.getElementById('max2Input').value) || 1;
         
+        if (!AxisScale.isRangeValidForScale(min1, max1, item.scale1) ||
+            !AxisScale.isRangeValidForScale(min2, max2, item.scale2)) {
+            alert('Log-scaled axes need a range above zero.');
+            document.getElementById('min1Input').value = item.min1;
+            document.getElementById('max1Input').value = item.max1;
+            document.getElementById('min2Input').value = item.min2;
+            document.getElementById('max2Input').value = item.max2;
+            return false;
+        }
+        
         item.min1 = Math.min(min1, max1);
         item.max1 = Math.max(min1, max1);
         item.min2 = Math.min(min2, max2);
@@ -160,6 +216,7 @@ ChaosMapRenderer.prototype.updateLayerEditor = function() {
         
         // Update the stack UI display
         this.updateStackItemDisplay(this.selectedIndex, item);
+        return true;
     };
     
     const min1Input = document.getElementById('min1Input');
@@ -170,8 +227,7 @@ ChaosMapRenderer.prototype.updateLayerEditor = function() {
     
     // Use 'change' to regenerate map when user finishes editing
     const onInputChange = () => {
-        updateItemValues();
-        this.generateMap();
+        if (updateItemValues()) this.generateMap();
     };
     
     min1Input.addEventListener('change', onInputChange);
@@ -179,6 +235,85 @@ ChaosMapRenderer.prototype.updateLayerEditor = function() {
     min2Input.addEventListener('change', onInputChange);
     max2Input.addEventListener('change', onInputChange);
     
+    // Axis scales; log needs the current range to be positive
+    [1, 2].forEach(axis => {
+        const scaleInput = document.getElementById(`scale${axis}Input`);
+        const thresholdInput = document.getElementById(`threshold${axis}Input`);
+        
+        scaleInput.addEventListener('change', () => {
+            const scale = scaleInput.value;
+            if (!AxisScale.isRangeValidForScale(item[`min${axis}`], item[`max${axis}`], scale)) {
+                alert(`A log scale needs a range above zero; set the minimum for ${axis === 1 ? dim1Info.label : dim2Info.label} above 0 first.`);
+                scaleInput.value = item[`scale${axis}`];
+                return;
+            }
+            item[`scale${axis}`] = scale;
+            thresholdInput.style.display = scale === 'symlog' ? '' : 'none';
+            this.updateStackItemDisplay(this.selectedIndex, item);
+            this.generateMap();
+        });
+        
+        thresholdInput.addEventListener('change', () => {
+            const threshold = parseFloat(thresholdInput.value);
+            if (!(threshold > 0)) {
+                thresholdInput.value = item[`threshold${axis}`];
+                return;
+            }
+            item[`threshold${axis}`] = threshold;
+            this.generateMap();
+        });
+    });
+    
+    // Energy constraint; the solved velocity cannot be one of the mapped dimensions
+    const energyConstraintInput = document.getElementById('energyConstraintInput');
+    const energyInput = document.getElementById('energyInput');
+    const solveForInput = document.getElementById('solveForInput');
+    const index = this.selectedIndex;
+    
+    energyConstraintInput.addEventListener('change', () => {
+        if (energyConstraintInput.checked) {
+            const solveFor = [item.solveFor, ...CPUPhysics.ENERGY_SOLVE_DIMS]
+                .find(dim => TransformLayer.canSolveFor(dim1, dim2, dim));
+            if (!solveFor) {
+                alert('This layer maps both angular velocities, so neither can be solved from the energy.');
+                energyConstraintInput.checked = false;
+                return;
+            }
+            // Start from the energy of the sampled state the layer is based on
+            const basis = this.stack.items[index - 1].state;
+            item.solveFor = solveFor;
+            item.energy = +CPUPhysics.computeEnergy(basis).toFixed(4);
+            energyInput.value = item.energy;
+            solveForInput.value = solveFor;
+        } else {
+            item.energy = null;
+        }
+        document.getElementById('energyConstraintInputs').style.display = energyConstraintInput.checked ? '' : 'none';
+        this.updateStackUI();
+        this.generateMap();
+    });
+    
+    energyInput.addEventListener('change', () => {
+        const energy = parseFloat(energyInput.value);
+        if (!isFinite(energy)) {
+            energyInput.value = item.energy;
+            return;
+        }
+        item.energy = energy;
+        this.updateStackUI();
+        this.generateMap();
+    });
+    
+    solveForInput.addEventListener('change', () => {
+        if (!TransformLayer.canSolveFor(dim1, dim2, solveForInput.value)) {
+            alert(`${DIM_INFO[solveForInput.value].label} is mapped by this layer, so it cannot be solved from the energy.`);
+            solveForInput.value = item.solveFor;
+            return;
+        }
+        item.solveFor = solveForInput.value;
+        this.generateMap();
+    });
+    
     // Delta mode toggle
     if (deltaModeInput) {
         deltaModeInput.addEventListener('change', () => {
@@ -196,6 +331,149 @@ ChaosMapRenderer.prototype.updateLayerEditor = function() {
     }
 };
 
+// Editor for an oblique layer: u/v ranges and the two direction vectors
+ChaosMapRenderer.prototype.updateObliqueLayerEditor = function(params, item) {
+    const index = this.selectedIndex;
+    
+    params.innerHTML = `
+        <div class="form-group">
+            <label>Min / Max for u (X, first direction)</label>
+            <div class="range-inputs">
+                <input type="number" value="${item.min1}" id="min1Input" step="0.1">
+                <span>to</span>
+                <input type="number" value="${item.max1}" id="max1Input" step="0.1">
+            </div>
+        </div>
+        <div class="form-group">
+            <label>Min / Max for v (Y, second direction)</label>
+            <div class="range-inputs">
+                <input type="number" value="${item.min2}" id="min2Input" step="0.1">
+                <span>to</span>
+                <input type="number" value="${item.max2}" id="max2Input" step="0.1">
+            </div>
+        </div>
+        <div class="form-group" id="editorDirections">
+            ${this.buildDirectionEditorHtml('editDir', item.dir1, item.dir2)}
+        </div>
+    `;
+    
+    ['min1Input', 'max1Input', 'min2Input', 'max2Input'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            const min1 = parseFloat(document.getElementById('min1Input').value) || 0;
+            const max1 = parseFloat(document.getElementById('max1Input').value) || 1;
+            const min2 = parseFloat(document.getElementById('min2Input').value) || 0;
+            const max2 = parseFloat(document.getElementById('max2Input').value) || 1;
+            
+            item.min1 = Math.min(min1, max1);
+            item.max1 = Math.max(min1, max1);
+            item.min2 = Math.min(min2, max2);
+            item.max2 = Math.max(min2, max2);
+            
+            this.updateStackItemDisplay(index, item);
+            this.generateMap();
+        });
+    });
+    
+    // The plane passes through the sampled state just before this layer
+    this.bindDirectionEditor('editDir', () => this.stack.items[index - 1].state, (dir1, dir2) => {
+        item.dir1 = dir1;
+        item.dir2 = dir2;
+        this.updateStackUI();
+        this.generateMap();
+    });
+};
+
+// Direction vector inputs for oblique layers: one row per OBLIQUE_DIMS entry with
+// the X (dir1) and Y (dir2) components, plus preset buttons. prefix keeps ids unique.
+ChaosMapRenderer.prototype.buildDirectionEditorHtml = function(prefix, dir1, dir2) {
+    const inputStyle = 'width: 100%; padding: 0.25rem; font-size: 0.72rem;';
+    let html = `
+        <div style="display: grid; grid-template-columns: 2rem 1fr 1fr; gap: 0.25rem; align-items: center; font-size: 0.7rem;">
+            <span></span>
+            <span style="color: #8af;">X direction</span>
+            <span style="color: #8af;">Y direction</span>
+    `;
+    OBLIQUE_DIMS.forEach(dim => {
+        html += `
+            <span>${DIM_INFO[dim].label}</span>
+            <input type="number" id="${prefix}_dir1_${dim}" value="${formatDirectionComponent(dir1[dim])}" step="0.1" style="${inputStyle}">
+            <input type="number" id="${prefix}_dir2_${dim}" value="${formatDirectionComponent(dir2[dim])}" step="0.1" style="${inputStyle}">
+        `;
+    });
+    html += `
+        </div>
+        <div style="display: flex; gap: 0.3rem; margin-top: 0.4rem;">
+            <button class="btn" id="${prefix}_diagonalBtn" style="flex: 1; font-size: 0.7rem; padding: 0.3rem;">θ₁ ± θ₂ diagonals</button>
+            <button class="btn" id="${prefix}_energyBtn" style="flex: 1; font-size: 0.7rem; padding: 0.3rem;"
+                title="Remove the part of each direction that changes the total energy at the origin">Keep energy constant</button>
+        </div>
+        <div style="font-size: 0.65rem; color: #666; margin-top: 0.25rem;">
+            The plane passes through the sampled state: state = origin + u · X direction + v · Y direction
+        </div>
+    `;
+    return html;
+};
+
+// Up to six significant digits, so projected directions stay readable
+function formatDirectionComponent(value) {
+    return Number(value.toPrecision(6));
+}
+
+// Wire up the inputs written by buildDirectionEditorHtml()
+// getOrigin() returns the state the plane passes through (for the energy preset);
+// onChange(dir1, dir2) receives every accepted change
+ChaosMapRenderer.prototype.bindDirectionEditor = function(prefix, getOrigin, onChange) {
+    const read = (which) => {
+        const dir = {};
+        OBLIQUE_DIMS.forEach(dim => {
+            dir[dim] = parseFloat(document.getElementById(`${prefix}_${which}_${dim}`).value) || 0;
+        });
+        return dir;
+    };
+    const write = (which, dir) => {
+        OBLIQUE_DIMS.forEach(dim => {
+            document.getElementById(`${prefix}_${which}_${dim}`).value = formatDirectionComponent(dir[dim]);
+        });
+    };
+    const isZero = (dir) => OBLIQUE_DIMS.every(dim => dir[dim] === 0);
+    
+    // Last accepted directions, restored when an edit would leave one all zero
+    let current = { dir1: read('dir1'), dir2: read('dir2') };
+    const accept = (dir1, dir2) => {
+        if (isZero(dir1) || isZero(dir2)) {
+            alert('Each direction needs at least one non-zero component.');
+            write('dir1', current.dir1);
+            write('dir2', current.dir2);
+            return;
+        }
+        current = { dir1, dir2 };
+        write('dir1', dir1);
+        write('dir2', dir2);
+        onChange({ ...dir1 }, { ...dir2 });
+    };
+    
+    ['dir1', 'dir2'].forEach(which => {
+        OBLIQUE_DIMS.forEach(dim => {
+            document.getElementById(`${prefix}_${which}_${dim}`).addEventListener('change', () => {
+                accept(read('dir1'), read('dir2'));
+            });
+        });
+    });
+    
+    document.getElementById(`${prefix}_diagonalBtn`).addEventListener('click', () => {
+        const defaults = ObliqueLayer.defaultDirections();
+        accept(defaults.dir1, defaults.dir2);
+    });
+    
+    document.getElementById(`${prefix}_energyBtn`).addEventListener('click', () => {
+        const origin = getOrigin();
+        accept(
+            ObliqueLayer.projectOntoEnergyLevel(current.dir1, origin),
+            ObliqueLayer.projectOntoEnergyLevel(current.dir2, origin)
+        );
+    });
+};
+
 // Editor for SampledPoint - allows editing individual state parameters
 ChaosMapRenderer.prototype.updateSampledPointEditor = function(editor, title, params, item) {
     editor.style.display = 'block';
@@ -211,7 +489,12 @@ ChaosMapRenderer.prototype.updateSampledPointEditor = function(editor, title, pa
         { key: 'l1', label: 'L₁', unit: 'm', step: 0.1, min: 0.1 },
         { key: 'l2', label: 'L₂', unit: 'm', step: 0.1, min: 0.1 },
         { key: 'm1', label: 'm₁', unit: 'kg', step: 0.1, min: 0.1 },
-        { key: 'm2', label: 'm₂', unit: 'kg', step: 0.1, min: 0.1 }
+        { key: 'm2', label: 'm₂', unit: 'kg', step: 0.1, min: 0.1 },
+        { key: 'g', label: 'g', unit: 'm/s²', step: 0.1 },
+        { key: 'damping1', label: 'b₁', unit: 'N·m·s', step: 0.01 },
+        { key: 'damping2', label: 'b₂', unit: 'N·m·s', step: 0.01 },
+        { key: 'torqueAmp', label: 'τ₀', unit: 'N·m', step: 0.1 },
+        { key: 'torqueFreq', label: 'Ω', unit: 'rad/s', step: 0.1 }
     ];
     
     // Create editor inputs for each dimension
@@ -277,7 +560,7 @@ ChaosMapRenderer.prototype.updateStackItemDisplay = function(index, item) {
         const dim1Info = DIM_INFO[item.dim1];
         const dim2Info = DIM_INFO[item.dim2];
         const deltaSuffix = item.deltaMode ? ' • Δ mode' : '';
-        paramsEl.textContent = `${dim1Info ? dim1Info.label : item.dim1}: [${item.min1.toFixed(1)}, ${item.max1.toFixed(1)}] ${dim2Info ? dim2Info.label : item.dim2}: [${item.min2.toFixed(1)}, ${item.max2.toFixed(1)}]${deltaSuffix}`;
+        paramsEl.textContent = `${dim1Info ? dim1Info.label : item.dim1}: [${item.min1.toFixed(1)}, ${item.max1.toFixed(1)}] ${dim2Info ? dim2Info.label : item.dim2}: [${item.min2.toFixed(1)}, ${item.max2.toFixed(1)}]${deltaSuffix}${describeAxisScales(item)}`;
     } else if (item.type === 'sampled') {
         // Update the sampled point display with the new state
         paramsEl.textContent = item.getShortDisplay();
@@ -0,0 +1,256 @@
+// Double Pendulum Chaos Map - View State and Shareable URL Methods (Part 7)
+// These methods extend ChaosMapRenderer
+
+// Version of the serialized view state. Bump when the layout changes in a way
+// that cannot be handled by filling in defaults for missing fields.
+const VIEW_STATE_VERSION = 1;
+
+// Encode a string as URL-safe base64 (UTF-8 aware)
+function encodeBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Decode URL-safe base64 back to a string
+function decodeBase64Url(encoded) {
+    let b64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    while (b64.length % 4) b64 += '=';
+    const binary = atob(b64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new TextDecoder().decode(bytes);
+}
+
+// Return value if it is a finite number, otherwise the fallback
+function pickNumber(value, fallback) {
+    return (typeof value === 'number' && isFinite(value)) ? value : fallback;
+}
+
+// Capture everything needed to reproduce the current view
+ChaosMapRenderer.prototype.getViewState = function() {
+    const p = this.baseParams;
+    return {
+        v: VIEW_STATE_VERSION,
+        stack: this.stack.serialize(),
+        params: {
+            dt: p.dt,
+            maxIter: p.maxIter,
+            threshold: p.threshold,
+            integrator: p.integrator,
+            tolerance: p.tolerance,
+            metric: p.metric,
+            flipArm: p.flipArm,
+            divergenceMeasure: p.divergenceMeasure,
+            divergenceWeights: p.divergenceWeights.slice(),
+            resolution: p.resolution,
+            perturbMode: p.perturbMode,
+            samplesPerPixel: p.samplesPerPixel,
+            sampleStatistic: p.sampleStatistic,
+            perturbScale: p.perturbScale,
+            perturbFixed: { ...p.perturbFixed },
+            perturbRandom: JSON.parse(JSON.stringify(p.perturbRandom))
+        },
+        color: {
+            colorMapping: this.colorMapping,
+            hueMapping: this.hueMapping,
+            cyclePeriod: this.cyclePeriod,
+            clipMin: this.colorClipMin,
+            clipMax: this.colorClipMax,
+            equalize: this.equalizeHistogram
+        }
+    };
+};
+
+// Fields added to the view state after version 1, with the values the page used before
+// each existed; links (and sessions) that predate a field load with these
+const VIEW_STATE_LEGACY_DEFAULTS = {
+    params: {
+        tolerance: 1e-8,
+        metric: 'divergence',
+        flipArm: 'either',
+        divergenceMeasure: 'weighted',
+        divergenceWeights: [1, 1, 1, 1],
+        samplesPerPixel: 1,
+        sampleStatistic: 'mean'
+    },
+    color: {
+        clipMin: null,
+        clipMax: null,
+        equalize: false
+    }
+};
+
+// Check a view state decoded from a URL: its version, then every value against the
+// session schema (see validateSessionDocument)
+// Returns an array of human-readable problems (empty when valid)
+function validateViewState(viewState) {
+    if (!viewState || typeof viewState !== 'object' || Array.isArray(viewState)) {
+        return ['View state is not a JSON object'];
+    }
+    if (!Number.isInteger(viewState.v) || viewState.v < 1) {
+        return [`v must be a positive integer (got ${JSON.stringify(viewState.v)})`];
+    }
+    if (viewState.v > VIEW_STATE_VERSION) {
+        return [`version ${viewState.v} was written by a newer release (this page reads up to ${VIEW_STATE_VERSION})`];
+    }
+    return validateSessionDocument({
+        format: SESSION_FORMAT,
+        version: SESSION_VERSION,
+        stack: viewState.stack,
+        params: viewState.params,
+        color: viewState.color
+    });
+}
+
+// Apply a view state produced by getViewState(), or a session document, that has
+// passed validateViewState() / validateSessionDocument()
+// Fields it predates take VIEW_STATE_LEGACY_DEFAULTS, not the page's current values.
+// The stack is rebuilt before anything is assigned, so if that throws nothing changes.
+ChaosMapRenderer.prototype.applyViewState = function(viewState) {
+    const stack = TransformationStack.deserialize(viewState.stack);
+    const params = { ...VIEW_STATE_LEGACY_DEFAULTS.params, ...viewState.params };
+    const color = { ...VIEW_STATE_LEGACY_DEFAULTS.color, ...viewState.color };
+    const p = this.baseParams;
+    
+    p.dt = params.dt;
+    p.maxIter = params.maxIter;
+    p.threshold = params.threshold;
+    p.resolution = params.resolution;
+    p.perturbScale = params.perturbScale;
+    p.integrator = params.integrator;
+    p.tolerance = params.tolerance;
+    p.metric = params.metric;
+    p.flipArm = params.flipArm;
+    p.divergenceMeasure = params.divergenceMeasure;
+    p.divergenceWeights = params.divergenceWeights.slice();
+    p.perturbMode = params.perturbMode;
+    p.samplesPerPixel = params.samplesPerPixel;
+    p.sampleStatistic = params.sampleStatistic;
+    
+    // A dimension missing from the offsets was not perturbed
+    const perturbFixed = params.perturbFixed || {};
+    const perturbRandom = params.perturbRandom || {};
+    Object.keys(p.perturbFixed).forEach(dim => {
+        p.perturbFixed[dim] = pickNumber(perturbFixed[dim], 0);
+        const src = perturbRandom[dim] || {};
+        p.perturbRandom[dim] = { center: pickNumber(src.center, 0), std: pickNumber(src.std, 0) };
+    });
+    
+    this.colorMapping = color.colorMapping;
+    this.hueMapping = color.hueMapping;
+    this.cyclePeriod = color.cyclePeriod;
+    this.colorClipMin = pickNumber(color.clipMin, null);
+    this.colorClipMax = pickNumber(color.clipMax, null);
+    this.equalizeHistogram = color.equalize;
+    
+    this.stack = stack;
+    this.selectedIndex = -1;
+    // Zoom history refers to the previous stack's layer
+    this.zoomState.zoomHistory = [];
+    
+    this.syncControlsFromState();
+};
+
+// Push baseParams and colour settings back into the DOM controls
+// (updateBaseParams() reads from these, so they must stay in sync)
+ChaosMapRenderer.prototype.syncControlsFromState = function() {
+    const p = this.baseParams;
+    const setValue = (id, value) => {
+        const el = document.getElementById(id);
+        if (el) el.value = value;
+    };
+    
+    setValue('dtInput', p.dt);
+    setValue('maxIterInput', p.maxIter);
+    setValue('thresholdInput', p.threshold);
+    setValue('integratorSelect', p.integrator);
+    setValue('toleranceInput', p.tolerance);
+    setValue('metricSelect', p.metric);
+    setValue('flipArmSelect', p.flipArm);
+    setValue('divergenceMeasureSelect', p.divergenceMeasure);
+    DIVERGENCE_WEIGHT_INPUTS.forEach((id, i) => setValue(id, p.divergenceWeights[i]));
+    setValue('perturbModeSelect', p.perturbMode);
+    setValue('samplesPerPixelInput', p.samplesPerPixel);
+    setValue('sampleStatisticSelect', p.sampleStatistic);
+    setValue('resolutionSelect', p.resolution);
+    setValue('colorMappingSelect', this.colorMapping);
+    setValue('hueMappingSelect', this.hueMapping);
+    setValue('cyclePeriodInput', this.cyclePeriod);
+    setValue('clipMinInput', this.colorClipMin ?? '');
+    setValue('clipMaxInput', this.colorClipMax ?? '');
+    
+    const equalizeCheckbox = document.getElementById('equalizeCheckbox');
+    if (equalizeCheckbox) equalizeCheckbox.checked = this.equalizeHistogram;
+    
+    const cycleGroup = document.getElementById('cyclePeriodGroup');
+    if (cycleGroup) {
+        cycleGroup.style.display = (this.colorMapping === 8) ? 'flex' : 'none';
+    }
+    
+    if (this.cpuChaosRenderer) {
+        this.cpuChaosRenderer.resolution = p.resolution;
+    }
+    
+    this.resizeCanvas();
+    this.updatePerturbConfigUI();
+    this.updateMetricUI();
+    this.updateLegend();
+    this.updateStackUI();
+};
+
+// Build a URL whose hash reproduces the current view
+ChaosMapRenderer.prototype.getShareableUrl = function() {
+    const encoded = encodeBase64Url(JSON.stringify(this.getViewState()));
+    return `${location.origin}${location.pathname}${location.search}#state=${encoded}`;
+};
+
+// Write the current view into the URL hash without adding a history entry
+ChaosMapRenderer.prototype.updateUrlHash = function() {
+    const encoded = encodeBase64Url(JSON.stringify(this.getViewState()));
+    const hash = `#state=${encoded}`;
+    if (location.hash === hash) return;
+    history.replaceState(null, '', hash);
+};
+
+// Restore the view from the URL hash, if present
+// Returns true if a state was found and applied
+ChaosMapRenderer.prototype.restoreViewStateFromHash = function() {
+    const match = location.hash.match(/^#state=([A-Za-z0-9_-]+)$/);
+    if (!match) return false;
+    
+    try {
+        const viewState = JSON.parse(decodeBase64Url(match[1]));
+        const errors = validateViewState(viewState);
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+        this.applyViewState(viewState);
+        return true;
+    } catch (e) {
+        console.warn('Ignoring invalid view state in URL:', e);
+        return false;
+    }
+};
+
+// Copy a shareable link for the current view to the clipboard
+ChaosMapRenderer.prototype.copyShareableLink = async function() {
+    const url = this.getShareableUrl();
+    const btn = document.getElementById('copyLinkBtn');
+    
+    try {
+        await navigator.clipboard.writeText(url);
+        if (btn) {
+            btn.textContent = '✓ Link Copied';
+            setTimeout(() => { btn.textContent = '🔗 Copy Link'; }, 1500);
+        }
+    } catch (e) {
+        // Clipboard API unavailable (e.g. insecure context) - let the user copy manually
+        prompt('Copy this link:', url);
+    }
+};
@@ -1,10 +1,13 @@
 // Double Pendulum Chaos Map - Renderer UI Methods (Part 2)
 // These methods extend ChaosMapRenderer
 
+// Weight inputs of the weighted divergence measure, in the order of its weights
+const DIVERGENCE_WEIGHT_INPUTS = ['weightTheta1Input', 'weightTheta2Input', 'weightOmega1Input', 'weightOmega2Input'];
+
 // Event Listeners setup
 ChaosMapRenderer.prototype.setupEventListeners = function() {
     // Base parameter inputs
-    const inputs = ['dt', 'maxIter', 'threshold'];
+    const inputs = ['dt', 'maxIter', 'threshold', 'tolerance', 'samplesPerPixel'];
     inputs.forEach(id => {
         const el = document.getElementById(id + 'Input');
         if (el) {
@@ -12,6 +15,16 @@ ChaosMapRenderer.prototype.setupEventListeners = function() {
         }
     });
     
+    // Divergence measure and its weights
+    ['divergenceMeasureSelect', ...DIVERGENCE_WEIGHT_INPUTS].forEach(id => {
+        const el = document.getElementById(id);
+        if (!el) return;
+        el.addEventListener('change', () => {
+            this.updateBaseParams();
+            this.updateMetricUI();
+        });
+    });
+    
     // Perturbation Mode
     const perturbModeSelect = document.getElementById('perturbModeSelect');
     if (perturbModeSelect) {
@@ -21,15 +34,34 @@ ChaosMapRenderer.prototype.setupEventListeners = function() {
         });
     }
     
+    // Sample statistic
+    const sampleStatisticSelect = document.getElementById('sampleStatisticSelect');
+    if (sampleStatisticSelect) {
+        sampleStatisticSelect.addEventListener('change', () => this.updateBaseParams());
+    }
+    
     // Integrator
     const integratorSelect = document.getElementById('integratorSelect');
     if (integratorSelect) {
         integratorSelect.addEventListener('change', () => {
             this.updateBaseParams();
+            this.updateMetricUI();
+            this.updateLegend();
             if (!this.isRendering) this.generateMap();
         });
     }
     
+    // Chaos metric, and the arm that counts for flip time
+    ['metricSelect', 'flipArmSelect'].forEach(id => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        select.addEventListener('change', () => {
+            this.updateBaseParams();
+            this.updateMetricUI();
+            if (!this.isRendering) this.generateMap();
+        });
+    });
+    
     // Resolution
     const resSelect = document.getElementById('resolutionSelect');
     if (resSelect) {
@@ -52,6 +84,14 @@ ChaosMapRenderer.prototype.setupEventListeners = function() {
         });
     }
     
+    // Progressive refinement (GPU)
+    const progressiveCheckbox = document.getElementById('progressiveCheckbox');
+    if (progressiveCheckbox) {
+        progressiveCheckbox.addEventListener('change', (e) => {
+            this.progressiveRender = e.target.checked;
+        });
+    }
+    
     // Color mapping
     const colorSelect = document.getElementById('colorMappingSelect');
     if (colorSelect) {
@@ -61,7 +101,7 @@ ChaosMapRenderer.prototype.setupEventListeners = function() {
             if (cycleGroup) {
                 cycleGroup.style.display = (this.colorMapping === 8) ? 'flex' : 'none';
             }
-            if (!this.isRendering) this.generateMap();
+            this.refreshColors();
         });
     }
     
@@ -70,7 +110,7 @@ ChaosMapRenderer.prototype.setupEventListeners = function() {
     if (cycleInput) {
         cycleInput.addEventListener('change', (e) => {
             this.cyclePeriod = parseFloat(e.target.value) || 500;
-            if (this.colorMapping === 8 && !this.isRendering) this.generateMap();
+            if (this.colorMapping === 8) this.refreshColors();
         });
     }
     
@@ -79,8 +119,32 @@ ChaosMapRenderer.prototype.setupEventListeners = function() {
     if (hueSelect) {
         hueSelect.addEventListener('change', (e) => {
             this.hueMapping = parseInt(e.target.value);
-            this.updateLegend();
-            if (!this.isRendering) this.generateMap();
+            this.refreshColors();
+        });
+    }
+    
+    // Clip range (blank = automatic)
+    const clipMinInput = document.getElementById('clipMinInput');
+    const clipMaxInput = document.getElementById('clipMaxInput');
+    const readClip = (input) => {
+        const value = parseFloat(input.value);
+        return isFinite(value) ? value : null;
+    };
+    [clipMinInput, clipMaxInput].forEach(input => {
+        if (!input) return;
+        input.addEventListener('change', () => {
+            this.colorClipMin = clipMinInput ? readClip(clipMinInput) : null;
+            this.colorClipMax = clipMaxInput ? readClip(clipMaxInput) : null;
+            this.refreshColors();
+        });
+    });
+    
+    // Histogram equalisation
+    const equalizeCheckbox = document.getElementById('equalizeCheckbox');
+    if (equalizeCheckbox) {
+        equalizeCheckbox.addEventListener('change', (e) => {
+            this.equalizeHistogram = e.target.checked;
+            this.refreshColors();
         });
     }
     
@@ -96,6 +160,55 @@ ChaosMapRenderer.prototype.setupEventListeners = function() {
         downloadBtn.addEventListener('click', () => this.downloadImage());
     }
     
+    // Raw data export button
+    const exportDataBtn = document.getElementById('exportDataBtn');
+    if (exportDataBtn) {
+        exportDataBtn.addEventListener('click', () => {
+            const formatSelect = document.getElementById('dataExportFormatSelect');
+            this.exportRenderData(formatSelect ? formatSelect.value : 'npy');
+        });
+    }
+    
+    // Copy shareable link button
+    const copyLinkBtn = document.getElementById('copyLinkBtn');
+    if (copyLinkBtn) {
+        copyLinkBtn.addEventListener('click', () => this.copyShareableLink());
+    }
+    
+    // Session export/import
+    const exportSessionBtn = document.getElementById('exportSessionBtn');
+    if (exportSessionBtn) {
+        exportSessionBtn.addEventListener('click', () => this.exportSession());
+    }
+    
+    const importSessionBtn = document.getElementById('importSessionBtn');
+    const importSessionInput = document.getElementById('importSessionInput');
+    if (importSessionBtn && importSessionInput) {
+        importSessionBtn.addEventListener('click', () => importSessionInput.click());
+        importSessionInput.addEventListener('change', async (e) => {
+            await this.importSessionFile(e.target.files[0]);
+            // Allow re-importing the same file
+            e.target.value = '';
+        });
+    }
+    
+    // Integrator comparison panel
+    this.setupComparisonControls();
+    
+    // Shared play/pause and scrub control of the pinned simulations
+    this.setupPinDashboardControls();
+    
+    // Ensemble cloud panel
+    this.setupEnsembleControls();
+    
+    // Poincaré section panel
+    this.setupPoincareControls();
+    
+    // Load views from links pasted into the address bar of an open page
+    window.addEventListener('hashchange', () => {
+        if (this.restoreViewStateFromHash()) this.generateMap();
+    });
+    
     // Map interactions
     this.canvas.addEventListener('mousedown', (e) => this.handleMapMouseDown(e));
     this.canvas.addEventListener('mousemove', (e) => this.handleMapMouseMove(e));
@@ -172,6 +285,59 @@ ChaosMapRenderer.prototype.setupStackEditorListeners = function() {
         });
     }
     
+    // Layer type: axis-aligned or oblique plane
+    const layerKindSelect = document.getElementById('layerKindSelect');
+    if (layerKindSelect) {
+        layerKindSelect.addEventListener('change', (e) => {
+            this.layerCreationState.kind = e.target.value;
+            this.updateLayerKindUI();
+            if (this.layerCreationState.pinPosition) {
+                this.renderPreviewAtPin();
+            }
+        });
+    }
+    
+    // Fixed-energy layers: target energy and solved velocity
+    const targetEnergyInput = document.getElementById('targetEnergyInput');
+    if (targetEnergyInput) {
+        targetEnergyInput.addEventListener('input', () => {
+            const energy = parseFloat(targetEnergyInput.value);
+            if (!isFinite(energy)) return;
+            this.layerCreationState.targetEnergy = energy;
+            if (this.layerCreationState.pinPosition) {
+                this.renderPreviewAtPin();
+            }
+        });
+    }
+    
+    const solveForSelect = document.getElementById('solveForSelect');
+    if (solveForSelect) {
+        solveForSelect.addEventListener('change', (e) => {
+            this.layerCreationState.solveFor = e.target.value;
+            if (this.layerCreationState.pinPosition) {
+                this.renderPreviewAtPin();
+            }
+        });
+    }
+    
+    // Energy of the state at the pin (or the current basis before one is placed)
+    const energyAtPinBtn = document.getElementById('energyAtPinBtn');
+    if (energyAtPinBtn) {
+        energyAtPinBtn.addEventListener('click', () => {
+            const state = this.layerCreationState;
+            const origin = state.pinPosition
+                ? this.stack.computeState(state.pinPosition.nx, 1 - state.pinPosition.ny)
+                : this.stack.getLastSampledPoint().state;
+            if (CPUPhysics.isForbiddenState(origin)) {
+                alert('The pin is in a forbidden region; move it first.');
+                return;
+            }
+            state.targetEnergy = +CPUPhysics.computeEnergy(origin).toFixed(4);
+            targetEnergyInput.value = state.targetEnergy;
+            if (state.pinPosition) this.renderPreviewAtPin();
+        });
+    }
+    
     // Delta mode checkbox
     const deltaModeCheckbox = document.getElementById('deltaModeCheckbox');
     if (deltaModeCheckbox) {
@@ -222,6 +388,49 @@ ChaosMapRenderer.prototype.setupStackEditorListeners = function() {
     }
 };
 
+// Show the controls for the selected layer type
+// Oblique layers take two direction vectors instead of two dimensions, and the
+// ranges become the plane coordinates u and v. Fixed-energy layers map two
+// dimensions like axis-aligned ones and add the target energy.
+ChaosMapRenderer.prototype.updateLayerKindUI = function() {
+    const state = this.layerCreationState;
+    const oblique = state.kind === 'oblique';
+    
+    const show = (id, visible) => {
+        const el = document.getElementById(id);
+        if (el) el.style.display = visible ? '' : 'none';
+    };
+    show('xDimSelect', !oblique);
+    show('yDimSelect', !oblique);
+    show('deltaModeGroup', !oblique);
+    show('obliqueDirectionsGroup', oblique);
+    show('energyConstraintGroup', state.kind === 'energy');
+    
+    document.getElementById('xAxisLabel').textContent = oblique ? 'X → u (along X direction)' : 'X →';
+    document.getElementById('yAxisLabel').textContent = oblique ? 'Y → v (along Y direction)' : 'Y →';
+    
+    const group = document.getElementById('obliqueDirectionsGroup');
+    if (oblique) {
+        group.innerHTML = this.buildDirectionEditorHtml('createDir', state.dir1, state.dir2);
+        // The plane will pass through the state at the pin (or the current basis before one is placed)
+        const getOrigin = () => state.pinPosition
+            ? this.stack.computeState(state.pinPosition.nx, 1 - state.pinPosition.ny)
+            : this.stack.getLastSampledPoint().state;
+        this.bindDirectionEditor('createDir', getOrigin, (dir1, dir2) => {
+            state.dir1 = dir1;
+            state.dir2 = dir2;
+            if (state.pinPosition) this.renderPreviewAtPin();
+        });
+        
+        ['xMin', 'yMin'].forEach(id => { document.getElementById(id).value = -3.14; });
+        ['xMax', 'yMax'].forEach(id => { document.getElementById(id).value = 3.14; });
+        this.updateLayerCreationState();
+    } else {
+        group.innerHTML = '';
+        this.updateDefaultRanges();
+    }
+};
+
 // Layer creation methods
 ChaosMapRenderer.prototype.updateDefaultRanges = function() {
     const xDefaults = DIM_DEFAULTS[this.layerCreationState.xDim];
@@ -256,9 +465,15 @@ ChaosMapRenderer.prototype.startPinPlacement = function() {
     const yDimSelect = document.getElementById('yDimSelect');
     const deltaModeCheckbox = document.getElementById('deltaModeCheckbox');
     
+    const layerKindSelect = document.getElementById('layerKindSelect');
+    
     if (xDimSelect) this.layerCreationState.xDim = xDimSelect.value;
     if (yDimSelect) this.layerCreationState.yDim = yDimSelect.value;
     if (deltaModeCheckbox) this.layerCreationState.deltaMode = deltaModeCheckbox.checked;
+    if (layerKindSelect) this.layerCreationState.kind = layerKindSelect.value;
+    
+    const solveForSelect = document.getElementById('solveForSelect');
+    if (solveForSelect) this.layerCreationState.solveFor = solveForSelect.value;
     
     // Update ranges from inputs
     this.updateLayerCreationState();
@@ -325,11 +540,25 @@ ChaosMapRenderer.prototype.saveLayer = function() {
     
     // Compute the basis state at the pin position (flip Y to match shader coordinate system)
     const basisState = this.stack.computeState(state.pinPosition.nx, 1 - state.pinPosition.ny);
+    if (CPUPhysics.isForbiddenState(basisState)) {
+        alert('The pin is in a forbidden region of the current layer; place it on a rendered pixel.');
+        return;
+    }
+    if (state.kind === 'energy' && !TransformLayer.canSolveFor(state.xDim, state.yDim, state.solveFor)) {
+        alert(`${DIM_INFO[state.solveFor].label} is solved from the energy, so it cannot also be mapped to X or Y.`);
+        return;
+    }
     const sampledPoint = new SampledPoint(basisState);
     
-    // Create layer with custom dimensions, ranges, and delta mode
-    const newLayer = new TransformLayer(state.xDim, state.yDim, 
-        state.xMin, state.xMax, state.yMin, state.yMax, state.deltaMode);
+    // Create layer with custom dimensions (or plane directions), ranges, and delta mode
+    const newLayer = state.kind === 'oblique'
+        ? new ObliqueLayer(state.dir1, state.dir2, state.xMin, state.xMax, state.yMin, state.yMax)
+        : new TransformLayer(state.xDim, state.yDim,
+            state.xMin, state.xMax, state.yMin, state.yMax, state.deltaMode);
+    if (state.kind === 'energy') {
+        newLayer.energy = state.targetEnergy;
+        newLayer.solveFor = state.solveFor;
+    }
     
     // Add to stack
     this.stack.items.push(sampledPoint);
@@ -355,6 +584,10 @@ ChaosMapRenderer.prototype.cancelLayerCreation = function() {
         yMin: -3.14,
         yMax: 3.14,
         deltaMode: false,
+        kind: 'axes',
+        ...ObliqueLayer.defaultDirections(),
+        targetEnergy: 0,
+        solveFor: 'omega2',
         pinPosition: null,
         isPlacingPin: false
     };
@@ -364,7 +597,13 @@ ChaosMapRenderer.prototype.cancelLayerCreation = function() {
     document.getElementById('yDimSelect').value = 'theta2';
     const deltaModeCheckbox = document.getElementById('deltaModeCheckbox');
     if (deltaModeCheckbox) deltaModeCheckbox.checked = false;
-    this.updateDefaultRanges();
+    const layerKindSelect = document.getElementById('layerKindSelect');
+    if (layerKindSelect) layerKindSelect.value = 'axes';
+    const targetEnergyInput = document.getElementById('targetEnergyInput');
+    if (targetEnergyInput) targetEnergyInput.value = 0;
+    const solveForSelect = document.getElementById('solveForSelect');
+    if (solveForSelect) solveForSelect.value = 'omega2';
+    this.updateLayerKindUI();
     
     const placePinBtn = document.getElementById('placePinBtn');
     if (placePinBtn) {
@@ -382,15 +621,61 @@ ChaosMapRenderer.prototype.cancelLayerCreation = function() {
 
 // Parameter and config methods
 ChaosMapRenderer.prototype.updateBaseParams = function() {
-    this.baseParams.g = 9.81;
     this.baseParams.dt = parseFloat(document.getElementById('dtInput').value) || 0.01;
     this.baseParams.maxIter = parseInt(document.getElementById('maxIterInput').value) || 5000;
     this.baseParams.threshold = parseFloat(document.getElementById('thresholdInput').value) || 0.5;
     this.baseParams.perturbMode = document.getElementById('perturbModeSelect').value || 'fixed';
     this.baseParams.integrator = document.getElementById('integratorSelect').value || 'rk4';
+    const tolerance = parseFloat(document.getElementById('toleranceInput').value);
+    this.baseParams.tolerance = tolerance > 0 ? tolerance : CPUPhysics.DEFAULT_TOLERANCE;
+    this.baseParams.metric = document.getElementById('metricSelect').value || 'divergence';
+    this.baseParams.flipArm = document.getElementById('flipArmSelect').value || 'either';
+    this.baseParams.divergenceMeasure = document.getElementById('divergenceMeasureSelect').value || 'weighted';
+    this.baseParams.divergenceWeights = DIVERGENCE_WEIGHT_INPUTS.map(id => {
+        const weight = parseFloat(document.getElementById(id).value);
+        return isFinite(weight) && weight >= 0 ? weight : 1;
+    });
+    this.baseParams.samplesPerPixel = Math.min(256, Math.max(1, parseInt(document.getElementById('samplesPerPixelInput').value) || 1));
+    this.baseParams.sampleStatistic = document.getElementById('sampleStatisticSelect').value || 'mean';
     this.updatePerturbConfigFromUI();
 };
 
+// Show the flip arm choice only for the flip-time metric, the weights only for
+// the weighted divergence measure and the tolerance only for adaptive integrators
+ChaosMapRenderer.prototype.updateMetricUI = function() {
+    const group = document.getElementById('flipArmGroup');
+    if (group) group.style.display = this.baseParams.metric === 'flip' ? 'block' : 'none';
+    const tolerance = document.getElementById('toleranceGroup');
+    if (tolerance) tolerance.style.display = this.isAdaptiveIntegrator() ? 'block' : 'none';
+    const weights = document.getElementById('divergenceWeightsGroup');
+    if (weights) weights.style.display = this.baseParams.divergenceMeasure === 'weighted' ? 'block' : 'none';
+    
+    // Signed metrics take negative clip bounds, continuous ones finer steps than step counts
+    const signed = CPUPhysics.getMetricValueMin(this.baseParams.metric) < 0;
+    const continuous = CPUPhysics.CONTINUOUS_METRICS.includes(this.baseParams.metric);
+    ['clipMinInput', 'clipMaxInput'].forEach(id => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        if (signed) input.removeAttribute('min');
+        else input.min = '0';
+        input.step = continuous ? '0.1' : '100';
+    });
+};
+
+// Whether the selected integrator adapts its step; such maps render on the CPU and
+// report divergence and flip times in seconds
+ChaosMapRenderer.prototype.isAdaptiveIntegrator = function() {
+    return CPUPhysics.isAdaptiveIntegrator(this.baseParams.integrator);
+};
+
+// Divergence measure in the form used by CPUPhysics.measureDivergence()
+ChaosMapRenderer.prototype.getDivergenceMeasure = function() {
+    return {
+        mode: this.baseParams.divergenceMeasure,
+        weights: this.baseParams.divergenceWeights.slice()
+    };
+};
+
 ChaosMapRenderer.prototype.updatePerturbConfigUI = function() {
     const panel = document.getElementById('perturbConfigPanel');
     if (!panel) return;
@@ -506,89 +791,82 @@ ChaosMapRenderer.prototype.updatePerturbConfigFromUI = function() {
     }
 };
 
-// Simple hash function for deterministic randomness
-function hash32(x) {
-    let h = x >>> 0;
-    h = ((h >>> 16) ^ h) * 0x45d9f3b;
-    h = ((h >>> 16) ^ h) * 0x45d9f3b;
-    h = (h >>> 16) ^ h;
-    return h >>> 0;
-}
-
-// Hash 2D coordinates to a seed
-function hash2D(x, y, seed = 0) {
-    let h = seed >>> 0;
-    h = hash32(h + x);
-    h = hash32(h + y);
-    return h;
-}
-
-// LCG random number generator with a given seed
-function seededRandom(seed) {
-    let s = seed >>> 0;
-    return function() {
-        s = (s * 1664525 + 1013904223) >>> 0;
-        return s / 4294967296;
-    };
-}
-
-ChaosMapRenderer.prototype.computePerturbedState = function(baseState, normX, normY) {
-    const mode = this.baseParams.perturbMode;
-    
+// Perturbed twin of a state, using the shared CPUPhysics.perturbState()
+// With normalized coordinates the random draw is seeded per pixel and sample, matching
+// the CPU renderer's twins. perturb overrides the current perturbation settings.
+ChaosMapRenderer.prototype.computePerturbedState = function(baseState, normX, normY, sample = 0, perturb = null) {
     // Determine if we should use deterministic (seeded) random
     const useSeeded = (normX !== undefined && normY !== undefined);
     const res = this.baseParams.resolution;
     
-    // Generate pixel coordinates for seeding (matches GPU fragCoord)
     let rand;
     if (useSeeded) {
         const pixelX = Math.floor(normX * res);
         const pixelY = Math.floor(normY * res);
-        const seed = hash2D(pixelX, pixelY);
-        rand = seededRandom(seed);
+        rand = CPUPhysics.seededRandom(CPUPhysics.hash2D(pixelX, pixelY, sample));
     } else {
         rand = Math.random;
     }
     
-    // Box-Muller for normal distribution
-    const randn = () => {
-        const u1 = rand();
-        const u2 = rand();
-        const r = Math.sqrt(-2 * Math.log(u1 + 0.0001));
-        const theta = 2 * Math.PI * u2;
-        return r * Math.cos(theta);
+    return CPUPhysics.perturbState(baseState, perturb || this.getPerturbConfig(), rand);
+};
+
+// Number of twins simulated per pixel
+// Fixed offsets give identical twins, so extra samples only make sense in random mode;
+// flip time has no twin at all
+ChaosMapRenderer.prototype.getEffectiveSamples = function() {
+    if (this.baseParams.metric === 'flip') return 1;
+    return this.baseParams.perturbMode === 'random' ? this.baseParams.samplesPerPixel : 1;
+};
+
+// Whether per-pixel results go through CPUPhysics.combineSamples()
+ChaosMapRenderer.prototype.usesSampleStatistic = function() {
+    if (this.baseParams.metric === 'flip') return false;
+    return this.getEffectiveSamples() > 1 || this.baseParams.sampleStatistic === 'fraction';
+};
+
+// Top of the colour scale of a render: maxIter steps (their span in seconds for
+// adaptive integrators), 1 for the fraction of twins whose flag is set, or the fixed
+// scale of a continuous metric
+ChaosMapRenderer.prototype.getSampleValueMax = function() {
+    if (this.renderData) return this.renderData.valueMax;
+    const p = this.baseParams;
+    const statistic = this.usesSampleStatistic() ? p.sampleStatistic : null;
+    return CPUPhysics.getMetricValueMax(p.metric, p.maxIter, statistic, CPUPhysics.getAdaptiveHorizon(p.integrator, p.maxIter, p.dt));
+};
+
+// Bottom of the colour scale of a render: negative for the Lyapunov exponent, else 0
+ChaosMapRenderer.prototype.getSampleValueMin = function() {
+    if (this.renderData) return this.renderData.valueMin;
+    const p = this.baseParams;
+    return CPUPhysics.getMetricValueMin(p.metric, this.usesSampleStatistic() ? p.sampleStatistic : null);
+};
+
+// Metric of the last render, or the selected one before the first render
+ChaosMapRenderer.prototype.getRenderMetric = function() {
+    return this.renderData ? this.renderData.metric : this.baseParams.metric;
+};
+
+// Unit of the last render's values (seconds rather than steps for adaptive integrators)
+ChaosMapRenderer.prototype.getRenderMetricUnit = function() {
+    const info = METRIC_INFO[this.getRenderMetric()];
+    const adaptive = this.renderData ? this.renderData.adaptive : this.isAdaptiveIntegrator();
+    return adaptive && info.timeChannel ? 's' : info.unit;
+};
+
+// Whether every pixel is coloured by value rather than only those whose flag is set
+ChaosMapRenderer.prototype.isContinuousMetric = function() {
+    return CPUPhysics.CONTINUOUS_METRICS.includes(this.getRenderMetric());
+};
+
+// Perturbation settings in the form used by CPUPhysics.perturbState()
+ChaosMapRenderer.prototype.getPerturbConfig = function() {
+    return {
+        mode: this.baseParams.perturbMode,
+        fixed: this.baseParams.perturbFixed,
+        random: this.baseParams.perturbRandom,
+        scale: this.baseParams.perturbScale
     };
-    
-    if (mode === 'random') {
-        // Random mode: sample from Gaussian around baseState + center offset
-        // This matches the chaos map shader: s2 = s1 + (center + random * std) * scale
-        const pr = this.baseParams.perturbRandom;
-        const s = this.baseParams.perturbScale;
-        return {
-            theta1: baseState.theta1 + (pr.theta1.center + randn() * pr.theta1.std) * s,
-            theta2: baseState.theta2 + (pr.theta2.center + randn() * pr.theta2.std) * s,
-            omega1: baseState.omega1 + (pr.omega1.center + randn() * pr.omega1.std) * s,
-            omega2: baseState.omega2 + (pr.omega2.center + randn() * pr.omega2.std) * s,
-            l1: Math.max(0.1, baseState.l1 + (pr.l1.center + randn() * pr.l1.std) * s),
-            l2: Math.max(0.1, baseState.l2 + (pr.l2.center + randn() * pr.l2.std) * s),
-            m1: Math.max(0.1, baseState.m1 + (pr.m1.center + randn() * pr.m1.std) * s),
-            m2: Math.max(0.1, baseState.m2 + (pr.m2.center + randn() * pr.m2.std) * s)
-        };
-    } else {
-        // Fixed mode: add fixed offsets scaled by master scalar
-        const pf = this.baseParams.perturbFixed;
-        const s = this.baseParams.perturbScale;
-        return {
-            theta1: baseState.theta1 + pf.theta1 * s,
-            theta2: baseState.theta2 + pf.theta2 * s,
-            omega1: baseState.omega1 + pf.omega1 * s,
-            omega2: baseState.omega2 + pf.omega2 * s,
-            l1: Math.max(0.1, baseState.l1 + pf.l1 * s),
-            l2: Math.max(0.1, baseState.l2 + pf.l2 * s),
-            m1: Math.max(0.1, baseState.m1 + pf.m1 * s),
-            m2: Math.max(0.1, baseState.m2 + pf.m2 * s)
-        };
-    }
 };
 
 ChaosMapRenderer.prototype.resizeCanvas = function() {
@@ -604,17 +882,39 @@ ChaosMapRenderer.prototype.updateLegend = function() {
     const fastLabel = document.getElementById('legendFast');
     const slowLabel = document.getElementById('legendSlow');
     
-    const palettes = {
-        0: { gradient: 'linear-gradient(90deg, hsl(0, 80%, 50%), hsl(60, 80%, 50%), hsl(120, 80%, 50%), hsl(180, 80%, 50%), hsl(240, 80%, 50%), hsl(300, 80%, 50%))', fast: 'Fast', slow: 'Slow' },
-        1: { gradient: 'linear-gradient(90deg, rgb(0,0,0), rgb(255,0,0), rgb(255,255,0), rgb(255,255,255))', fast: 'Fast', slow: 'Slow' },
-        2: { gradient: 'linear-gradient(90deg, hsl(240, 80%, 50%), hsl(180, 80%, 50%), hsl(120, 80%, 50%), hsl(60, 80%, 50%))', fast: 'Fast', slow: 'Slow' },
-        3: { gradient: 'linear-gradient(90deg, rgb(0,0,0), rgb(255,0,0), rgb(255,255,0))', fast: 'Fast', slow: 'Slow' },
-        4: { gradient: 'linear-gradient(90deg, rgb(255,255,255), rgb(0,0,0))', fast: 'Fast', slow: 'Slow' },
-        5: { gradient: 'linear-gradient(90deg, rgb(128,0,128), rgb(0,128,255), rgb(0,255,128), rgb(255,255,0))', fast: 'Fast', slow: 'Slow' },
-        6: { gradient: 'linear-gradient(90deg, rgb(0,0,0), rgb(128,0,128), rgb(255,0,128), rgb(255,255,0))', fast: 'Fast', slow: 'Slow' },
-        7: { gradient: 'linear-gradient(90deg, hsl(300, 80%, 50%), hsl(240, 80%, 50%), hsl(180, 80%, 50%), hsl(120, 80%, 50%), hsl(60, 80%, 50%), hsl(0, 80%, 50%))', fast: 'Fast', slow: 'Slow' }
-    };
+    // Sampled from the shared palettes so the legend matches the map exactly
+    if (gradient) gradient.style.background = ColorMapping.paletteToCSSGradient(this.hueMapping);
+    
+    // Fraction maps run from all twins diverged (t = 1) to none (t = 0), continuous
+    // metrics from the top of their scale to its bottom in their own units
+    const valueMax = this.getSampleValueMax();
+    const valueMin = this.getSampleValueMin();
+    const isFraction = valueMax === 1;
+    const info = METRIC_INFO[this.getRenderMetric()];
+    const metricUnit = this.getRenderMetricUnit();
+    const unit = metricUnit ? ` ${metricUnit}` : '';
+    let fast = 'Fast';
+    let slow = 'Slow';
+    if (isFraction) {
+        fast = '0%';
+        slow = '100%';
+    } else if (this.isContinuousMetric()) {
+        fast = `${info.symbol}=${parseFloat(valueMin.toPrecision(3))}`;
+        slow = `${info.symbol}=${parseFloat(valueMax.toPrecision(3))}${unit}`;
+    }
+    if (gradient) gradient.title = isFraction ? `Fraction of twins ${info.flagLabel}` : `${info.label} (${metricUnit || 'state-space distance'})`;
+    
+    // Show the clip range when one is set
+    if (fastLabel) fastLabel.textContent = this.colorClipMin !== null ? `${fast} (≤${this.colorClipMin})` : fast;
+    if (slowLabel) slowLabel.textContent = this.colorClipMax !== null ? `${slow} (≥${this.colorClipMax})` : slow;
+    
+    // Fixed-energy layers can leave pixels without a solution
+    const forbidden = document.getElementById('legendForbidden');
+    if (forbidden) {
+        const layer = this.stack.getLastLayer();
+        forbidden.style.display = (layer && layer.energy !== null && layer.energy !== undefined) ? 'flex' : 'none';
+        document.getElementById('legendForbiddenSwatch').style.background = `rgb(${ColorMapping.FORBIDDEN_RGB.join(',')})`;
+    }
     
-    const p = palettes[this.hueMapping] || palettes[0];
-    if (gradient) gradient.style.background = p.gradient;
+    if (this.isShowingComparisonDifference()) this.updateComparisonLegend();
 };
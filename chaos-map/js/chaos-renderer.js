@@ -1,5 +1,8 @@
 // Double Pendulum Chaos Map - Main Renderer Class
 
+// Texels per side of a pixel's block in the twin noise texture (one per uniform draw)
+const TWIN_NOISE_BLOCK = 4;
+
 class ChaosMapRenderer {
     constructor() {
         this.canvas = document.getElementById('chaosMapCanvas');
@@ -36,18 +39,28 @@ class ChaosMapRenderer {
             yMin: -3.14,
             yMax: 3.14,
             deltaMode: false,  // When true, add to basis state instead of replacing
+            kind: 'axes',  // 'axes' or 'energy' (TransformLayer), or 'oblique' (ObliqueLayer)
+            ...ObliqueLayer.defaultDirections(),  // dir1/dir2 for oblique layers
+            targetEnergy: 0,  // E and solved velocity for fixed-energy layers
+            solveFor: 'omega2',
             pinPosition: null,  // {nx, ny} when placed
             isPlacingPin: false
         };
         
         // Base parameters (not part of transformation)
         this.baseParams = {
-            g: 9.81,
             dt: 0.002,
             maxIter: 20000,
             threshold: 0.05,
             perturbMode: 'random',
-            integrator: 'verlet',
+            samplesPerPixel: 1,      // Perturbed twins per pixel (random mode only)
+            sampleStatistic: 'mean', // How twins are combined, see CPUPhysics.SAMPLE_STATISTICS
+            integrator: 'verlet',    // Step method, see CPUPhysics.INTEGRATORS
+            tolerance: 1e-8,         // Error tolerance of adaptive integrators (CPUPhysics.DEFAULT_TOLERANCE)
+            metric: 'divergence',    // Per-pixel value, see CPUPhysics.CHAOS_METRICS
+            flipArm: 'either',       // Arm whose flip ends the flip-time metric (CPUPhysics.FLIP_ARMS)
+            divergenceMeasure: 'weighted',    // How twin separation is measured (CPUPhysics.DIVERGENCE_MEASURES)
+            divergenceWeights: [1, 1, 1, 1],  // Weighted measure: theta1, theta2, omega1, omega2
             resolution: 1024,
             tileSize: 64,
             // Perturbation configuration
@@ -74,9 +87,17 @@ class ChaosMapRenderer {
         this.colorMapping = 0;
         this.hueMapping = 0;
         this.cyclePeriod = 500;
+        this.colorClipMin = null;       // Steps; null = 0
+        this.colorClipMax = null;       // Steps; null = maxIter of the render
+        this.equalizeHistogram = false;
         
         // Render mode: 'gpu' or 'cpu'
         this.renderMode = 'gpu';
+        this.progressiveRender = false; // GPU only: coarse pass first, then refine boundaries
+        this.deepZoomFallback = false;  // Set per render when the view is too deep for float32
+        this.adaptiveFallback = false;  // Set per render when an adaptive integrator forces the CPU path
+        this.comparison = null;         // Last integrator comparison (see runComparison)
+        this.comparisonRunning = false;
         
         // CPU-based chaos map renderer (64-bit precision)
         this.cpuChaosRenderer = null;
@@ -84,9 +105,20 @@ class ChaosMapRenderer {
         // Pendulum simulation
         this.pendulumSimSpeed = 5;
         
-        // Multiple permanent simulations (max 3)
-        this.pinnedSimulations = []; // Array of {id, nx, ny, state, perturbedState, trail, divergenceTime, animationId, element}
-        this.maxPinnedSimulations = 3;
+        // Permanent simulations, kept in step by a shared clock (see chaos-renderer-pins.js)
+        this.pinnedSimulations = []; // Array of {id, nx, ny, name, state, perturbedState, viewKey, visible, cpuSim, element, marker}
+        this.pinClock = { steps: 0, playing: true }; // Physics steps every pinned simulation is brought to
+        this.pinAnimationId = null;
+        this.pinVisibilityObserver = null;
+        this.draggedPinId = null; // Pane being dragged to reorder the pins
+        
+        // Ensemble cloud (see chaos-renderer-ensemble.js)
+        this.ensemble = null;
+        this.ensemblePickMode = false; // When active, clicking on the map launches an ensemble
+        
+        // Poincaré section of the hover and pinned simulations (see chaos-renderer-poincare.js)
+        this.poincareSection = { variable: 'theta2', value: 0, direction: 1 };
+        this.poincarePlotted = { sim: null, key: '' }; // What the section plot last drew
         
         // Pin mode - when active, clicking on map creates a pinned simulation
         this.pinMode = false;
@@ -120,8 +152,11 @@ class ChaosMapRenderer {
         this.cpuChaosRenderer.maxIter = this.baseParams.maxIter;
         this.cpuChaosRenderer.threshold = this.baseParams.threshold;
         this.cpuChaosRenderer.dt = this.baseParams.dt;
-        this.cpuChaosRenderer.g = this.baseParams.g;
         this.cpuChaosRenderer.integrator = this.baseParams.integrator;
+        this.cpuChaosRenderer.tolerance = this.baseParams.tolerance;
+        this.cpuChaosRenderer.metric = this.baseParams.metric;
+        this.cpuChaosRenderer.flipArm = this.baseParams.flipArm;
+        this.cpuChaosRenderer.divergenceMeasure = this.getDivergenceMeasure();
         this.cpuChaosRenderer.colorMapping = this.colorMapping;
         this.cpuChaosRenderer.cyclePeriod = this.cyclePeriod;
         this.cpuChaosRenderer.hueMapping = this.hueMapping;
@@ -134,6 +169,9 @@ class ChaosMapRenderer {
         this.updatePinnedSimulationTitle();
         this.updatePerturbConfigUI();
         
+        // Restore a shared view from the URL hash, if any
+        this.restoreViewStateFromHash();
+        
         // Initial render
         this.generateMap();
         
@@ -205,7 +243,7 @@ class ChaosMapRenderer {
         const vsEl = document.getElementById('chaos-vertex-shader');
         const fsEl = document.getElementById('chaos-fragment-shader');
         const vsSource = vsEl ? vsEl.textContent : null;
-        const fsSource = fsEl ? fsEl.textContent : null;
+        const fsSource = fsEl ? ColorMapping.injectColorMappingGLSL(fsEl.textContent) : null;
         
         if (!vsSource || !fsSource) {
             console.error('Shader sources not available');
@@ -241,39 +279,39 @@ class ChaosMapRenderer {
         gl.vertexAttribPointer(positionLocation, 2, gl.FLOAT, false, 0, 0);
     }
     
-    // Generate random noise data for a given size
-    // Returns a Uint8Array of random RGBA values
-    generateNoiseData(width, height) {
-        const size = width * height * 4; // RGBA
-        const noiseData = new Uint8Array(size);
-        
-        // crypto.getRandomValues has a limit of 65536 bytes per call
-        const MAX_CRYPTO_BYTES = 65536;
-        
-        if (window.crypto && window.crypto.getRandomValues) {
-            // Fill in chunks
-            for (let offset = 0; offset < size; offset += MAX_CRYPTO_BYTES) {
-                const chunkSize = Math.min(MAX_CRYPTO_BYTES, size - offset);
-                const chunk = new Uint8Array(noiseData.buffer, offset, chunkSize);
-                window.crypto.getRandomValues(chunk);
-            }
-        } else {
-            // Fallback to Math.random
-            for (let i = 0; i < size; i++) {
-                noiseData[i] = Math.floor(Math.random() * 256);
+    // Uniform draws of a tile's random twins, seeded per pixel and sample like the CPU
+    // renderer's (ChaosTile.getTwinRandom(): rows count from the bottom of the map)
+    // Each pixel gets a TWIN_NOISE_BLOCK-square block of texels holding the 16 draws of
+    // CPUPhysics.perturbState() in order, row by row; RGB hold the top 24 bits of each draw.
+    generateTwinNoiseData(offsetX, offsetY, width, height, resolution, sample) {
+        const rowTexels = width * TWIN_NOISE_BLOCK;
+        const noiseData = new Uint8Array(rowTexels * height * TWIN_NOISE_BLOCK * 4);
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const rand = CPUPhysics.seededRandom(CPUPhysics.hash2D(offsetX + x, resolution - 1 - (offsetY + y), sample));
+                for (let j = 0; j < TWIN_NOISE_BLOCK * TWIN_NOISE_BLOCK; j++) {
+                    const q = Math.floor(rand() * 16777216);
+                    const row = y * TWIN_NOISE_BLOCK + Math.floor(j / TWIN_NOISE_BLOCK);
+                    const i = (row * rowTexels + x * TWIN_NOISE_BLOCK + j % TWIN_NOISE_BLOCK) * 4;
+                    noiseData[i] = q >>> 16;
+                    noiseData[i + 1] = (q >>> 8) & 255;
+                    noiseData[i + 2] = q & 255;
+                    noiseData[i + 3] = 255;
+                }
             }
         }
         
         return noiseData;
     }
     
-    // Create a fresh noise texture with random values for given dimensions
+    // Create the twin noise texture of a tile (see generateTwinNoiseData)
     // Returns the created texture, or null if gl is not available
     // Note: Textures are created fresh each render to avoid context issues
-    updateNoiseTexture(gl, width, height) {
+    updateNoiseTexture(gl, offsetX, offsetY, width, height, resolution, sample) {
         if (!gl) return null;
         
-        const noiseData = this.generateNoiseData(width, height);
+        const noiseData = this.generateTwinNoiseData(offsetX, offsetY, width, height, resolution, sample);
         
         // Always create a new texture - don't cache to avoid cross-context issues
         const texture = gl.createTexture();
@@ -281,7 +319,7 @@ class ChaosMapRenderer {
         
         gl.activeTexture(gl.TEXTURE0);
         gl.bindTexture(gl.TEXTURE_2D, texture);
-        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, noiseData);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width * TWIN_NOISE_BLOCK, height * TWIN_NOISE_BLOCK, 0, gl.RGBA, gl.UNSIGNED_BYTE, noiseData);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
@@ -297,7 +335,7 @@ class ChaosMapRenderer {
         const vsEl = document.getElementById('chaos-vertex-shader');
         const fsEl = document.getElementById('chaos-fragment-shader');
         const vsSource = vsEl ? vsEl.textContent : null;
-        const fsSource = fsEl ? fsEl.textContent : null;
+        const fsSource = fsEl ? ColorMapping.injectColorMappingGLSL(fsEl.textContent) : null;
         
         if (!vsSource || !fsSource) {
             console.error('Shader sources not available for preview');
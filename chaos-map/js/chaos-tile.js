@@ -0,0 +1,219 @@
+// Shared CPU Chaos Map Tile Loop
+// Maps tile pixels to initial states through the stack's shader parameters and
+// simulates each pixel's twins. Used by the browser worker and the Node renderer.
+
+// Workers load cpu-physics.js with importScripts(); Node requires it
+const TilePhysics = (typeof CPUPhysics !== 'undefined') ? CPUPhysics : require('./cpu-physics.js');
+const TileAxisScale = (typeof AxisScale !== 'undefined') ? AxisScale : require('./axis-scale.js');
+
+// Dimensions the shader clamps to 0.1 when mapped
+const CLAMPED_DIMS = ['l1', 'l2', 'm1', 'm2'];
+
+// Dimensions spanned by oblique layers, in the order of OBLIQUE_DIMS
+// (constants.js is not loaded in workers)
+const PLANE_DIMS = ['theta1', 'theta2', 'omega1', 'omega2', 'l1', 'l2', 'm1', 'm2'];
+
+// Top of the colour scale for the given config (maxIter steps or their span in seconds
+// for adaptive integrators, 1 for the fraction of twins whose flag is set, or the fixed
+// scale of a continuous metric)
+function getTileValueMax(config) {
+    const horizon = TilePhysics.getAdaptiveHorizon(config.integrator, config.maxIter, config.dt);
+    return TilePhysics.getMetricValueMax(config.metric ?? 'divergence', config.maxIter, config.sampleStatistic, horizon);
+}
+
+// Bottom of the colour scale for the given config (see CPUPhysics.getMetricValueMin)
+function getTileValueMin(config) {
+    return TilePhysics.getMetricValueMin(config.metric ?? 'divergence', config.sampleStatistic);
+}
+
+// Simulate one tile
+// Returns { divergence, diverged, failed }: the value and flag of config.metric per pixel
+// (for the default metric, steps until divergence, maxIter if never, and whether the
+// twins diverged; seconds for adaptive integrators), or the combined value of several samples. Forbidden pixels of
+// fixed-energy layers are NaN and not diverged, as are the failed pixels whose adaptive
+// integration could not meet its tolerance (a CPUPhysics.ToleranceError).
+// shouldStop() is polled per pixel; a stopped tile is returned partially filled.
+function renderTileData(offsetX, offsetY, width, height, resolution, shaderParams, config, shouldStop = null) {
+    const divergence = new Float32Array(width * height);
+    const diverged = new Uint8Array(width * height);
+    let failed = 0;
+    
+    const res = resolution;
+    const maxIter = config.maxIter;
+    const threshold = config.threshold;
+    const dt = config.dt;
+    const g = config.g;
+    const integrator = config.integrator;
+    const tolerance = config.tolerance ?? TilePhysics.DEFAULT_TOLERANCE;
+    const metric = config.metric ?? 'divergence';
+    const flipArm = config.flipArm ?? 'either';
+    const measure = config.divergenceMeasure ?? null;
+    
+    // Twins per pixel; statistic is null when the single twin is used as-is
+    const samples = config.samplesPerPixel ?? 1;
+    const statistic = config.sampleStatistic ?? null;
+    const sampleSteps = new Float64Array(samples);
+    const sampleFlags = new Uint8Array(samples);
+    
+    const perturb = {
+        mode: config.perturbMode,
+        fixed: config.perturbFixed,
+        random: config.perturbRandom,
+        scale: config.perturbScale ?? 1.0
+    };
+    
+    const scaleX = shaderParams.scaleX ?? 3.14;
+    const scaleY = shaderParams.scaleY ?? 3.14;
+    const centerX = shaderParams.centerX ?? 0;
+    const centerY = shaderParams.centerY ?? 0;
+    const deltaMode = !!shaderParams.deltaMode;
+    const [scale1, scale2] = shaderParams.axisScales || ['linear', 'linear'];
+    const [threshold1, threshold2] = shaderParams.symlogThresholds || [1, 1];
+    const fixedState = shaderParams.fixedState || [0, 0, 0, 0];
+    
+    // Full basis state; the two mapped dimensions are applied on top per pixel
+    // (gravity, damping and drive fall back to config.g and zero for older stacks)
+    const basis = {
+        theta1: fixedState[0],
+        theta2: fixedState[1],
+        omega1: fixedState[2],
+        omega2: fixedState[3],
+        l1: shaderParams.l1 ?? 1.0,
+        l2: shaderParams.l2 ?? 1.0,
+        m1: shaderParams.m1 ?? 1.0,
+        m2: shaderParams.m2 ?? 1.0,
+        g: shaderParams.g ?? config.g,
+        damping1: shaderParams.damping1 ?? 0,
+        damping2: shaderParams.damping2 ?? 0,
+        torqueAmp: shaderParams.torqueAmp ?? 0,
+        torqueFreq: shaderParams.torqueFreq ?? 0
+    };
+    
+    // Unknown dimensions fall back to the angles, like the shader's u_mappedDims
+    const layerDims = shaderParams.layerDims || [];
+    const dim1 = layerDims[0] in basis ? layerDims[0] : 'theta1';
+    const dim2 = layerDims[1] in basis ? layerDims[1] : 'theta2';
+    const obliqueDirs = shaderParams.obliqueDirs || null;
+    const energyConstraint = shaderParams.energyConstraint || null;
+    
+    for (let py = 0; py < height; py++) {
+        for (let px = 0; px < width; px++) {
+            if (shouldStop && shouldStop()) {
+                return { divergence, diverged, failed };
+            }
+            
+            // Same mapping as the fragment shader: pixel centres, top row = maximum of Y
+            const nx = (offsetX + px + 0.5) / res;
+            const ny = (offsetY + py + 0.5) / res;
+            
+            // Centre and scale are in the axes' scaled coordinates
+            const valX = TileAxisScale.fromScaled(centerX + (nx * 2 - 1) * scaleX, scale1, threshold1);
+            const valY = TileAxisScale.fromScaled(centerY + ((1 - ny) * 2 - 1) * scaleY, scale2, threshold2);
+            
+            const state1 = { ...basis };
+            if (obliqueDirs) {
+                applyPlaneOffset(state1, obliqueDirs, valX, valY);
+            } else {
+                applyDimension(state1, dim1, valX, deltaMode);
+                applyDimension(state1, dim2, valY, deltaMode);
+            }
+            
+            if (energyConstraint) {
+                const omega = TilePhysics.solveVelocityForEnergy(state1, energyConstraint.energy, energyConstraint.solveFor);
+                if (Number.isNaN(omega)) {
+                    divergence[py * width + px] = NaN;
+                    diverged[py * width + px] = 0;
+                    continue;
+                }
+                state1[energyConstraint.solveFor] = omega;
+            }
+            
+            try {
+                // Flip time needs only the unperturbed trajectory
+                if (metric === 'flip') {
+                    const result = TilePhysics.simulateFlipTime(state1, maxIter, dt, g, integrator, flipArm, tolerance);
+                    divergence[py * width + px] = result.value;
+                    diverged[py * width + px] = result.flag ? 1 : 0;
+                    continue;
+                }
+                
+                // One twin per sample, seeded per pixel and sample so renders are reproducible;
+                // sample 0 uses the same seed as the hover preview
+                for (let k = 0; k < samples; k++) {
+                    const rand = getTwinRandom(offsetX + px, offsetY + py, res, k);
+                    const state2 = TilePhysics.perturbState(state1, perturb, rand);
+                    
+                    // Use shared physics engine
+                    const result = TilePhysics.simulateMetric(
+                        state1, state2, maxIter, threshold, dt, g, integrator, metric, flipArm, measure, tolerance
+                    );
+                    
+                    sampleSteps[k] = result.value;
+                    sampleFlags[k] = result.flag ? 1 : 0;
+                }
+            } catch (e) {
+                if (!(e instanceof TilePhysics.ToleranceError)) throw e;
+                divergence[py * width + px] = NaN;
+                diverged[py * width + px] = 0;
+                failed++;
+                continue;
+            }
+            
+            let steps = sampleSteps[0];
+            let pixelDiverged = sampleFlags[0] === 1;
+            if (statistic) {
+                const combined = TilePhysics.combineSamples(sampleSteps, sampleFlags, statistic);
+                steps = combined.value;
+                pixelDiverged = combined.diverged;
+            }
+            
+            divergence[py * width + px] = steps;
+            diverged[py * width + px] = pixelDiverged ? 1 : 0;
+        }
+    }
+    
+    return { divergence, diverged, failed };
+}
+
+// Uniform generator for a pixel's sample-th twin (see CPUPhysics.perturbState())
+// row counts from the top of the map, but the seed counts rows from the bottom, as
+// ChaosMapRenderer.computePerturbedState(state, nx, 1 - ny) does for the same pixel
+function getTwinRandom(pixelX, row, resolution, sample) {
+    return TilePhysics.seededRandom(TilePhysics.hash2D(pixelX, resolution - 1 - row, sample));
+}
+
+// Set one mapped dimension, as the shader's applyDimension() does
+// In delta mode the value is added to the current one; lengths and masses are clamped to 0.1.
+function applyDimension(state, dim, value, deltaMode) {
+    const mapped = deltaMode ? state[dim] + value : value;
+    state[dim] = CLAMPED_DIMS.includes(dim) ? Math.max(0.1, mapped) : mapped;
+}
+
+// Move state along an oblique layer's plane by u * dir1 + v * dir2, as the shader does
+function applyPlaneOffset(state, obliqueDirs, u, v) {
+    const [dir1, dir2] = obliqueDirs;
+    PLANE_DIMS.forEach((dim, i) => {
+        const value = state[dim] + u * dir1[i] + v * dir2[i];
+        state[dim] = CLAMPED_DIMS.includes(dim) ? Math.max(0.1, value) : value;
+    });
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getTileValueMax,
+        getTileValueMin,
+        getTwinRandom,
+        renderTileData
+    };
+}
+
+// For WebWorker
+if (typeof self !== 'undefined' && !self.window) {
+    self.ChaosTile = {
+        getTileValueMax,
+        getTileValueMin,
+        getTwinRandom,
+        renderTileData
+    };
+}
@@ -0,0 +1,336 @@
+// Shared Colour Mapping for Chaos Map
+// Single source of the tone curves and palettes used everywhere a divergence
+// map is coloured: the main thread (GPU data read-back), the CPU worker, the
+// legend, and the fragment shader (via COLOR_MAPPING_GLSL below).
+// Any change to a curve or palette must be made in both the JS and GLSL halves.
+
+// HSV to RGB, all components in [0, 1] (matches shader hsv2rgb)
+function hsv2rgb(h, s, v) {
+    const c = v * s;
+    const x = c * (1.0 - Math.abs(((h * 6.0) % 2.0) - 1.0));
+    const m = v - c;
+    
+    let rgb;
+    if (h < 1.0/6.0) rgb = [c, x, 0.0];
+    else if (h < 2.0/6.0) rgb = [x, c, 0.0];
+    else if (h < 3.0/6.0) rgb = [0.0, c, x];
+    else if (h < 4.0/6.0) rgb = [0.0, x, c];
+    else if (h < 5.0/6.0) rgb = [x, 0.0, c];
+    else rgb = [c, 0.0, x];
+    
+    return [rgb[0] + m, rgb[1] + m, rgb[2] + m];
+}
+
+// Linear interpolation between two RGB triples
+function mixRGB(a, b, x) {
+    return [
+        a[0] + (b[0] - a[0]) * x,
+        a[1] + (b[1] - a[1]) * x,
+        a[2] + (b[2] - a[2]) * x
+    ];
+}
+
+// Three-segment gradient through four colours (used by Viridis and Plasma)
+function gradient4(a, b, c, d, u) {
+    if (u < 0.33) return mixRGB(a, b, u / 0.33);
+    if (u < 0.66) return mixRGB(b, c, (u - 0.33) / 0.33);
+    return mixRGB(c, d, (u - 0.66) / 0.34);
+}
+
+// Tone mapping: divergence iteration -> t in [0, 1] (matches shader u_colorMapping)
+// 0=linear, 1=log, 2=sqrt, 3=exp, 4=s-curve, 5=gamma 0.4, 6=hyper log, 7=hard cap 97%, 8=cyclical
+function applyToneMapping(iter, maxIter, colorMapping, cyclePeriod) {
+    switch (colorMapping) {
+        case 0: return iter / maxIter;
+        case 1: return Math.log(1.0 + iter) / Math.log(1.0 + maxIter);
+        case 2: return Math.sqrt(iter / maxIter);
+        case 3: return (Math.exp(iter / maxIter) - 1.0) / (2.718281828 - 1.0);
+        case 4: {
+            const x = iter / maxIter;
+            return x * x * (3.0 - 2.0 * x);
+        }
+        case 5: return Math.pow(iter / maxIter, 0.4);
+        case 6: return Math.log(1.0 + Math.log(1.0 + iter)) / Math.log(1.0 + Math.log(1.0 + maxIter));
+        case 7: return Math.min(1.0, Math.max(0.0, iter / (maxIter * 0.97)));
+        case 8: {
+            const period = Math.max(cyclePeriod, 1.0);
+            const x = iter / period;
+            return x - Math.floor(x);
+        }
+        default: return iter / maxIter;
+    }
+}
+
+// Palette: t in [0, 1] -> RGB in [0, 1] (matches shader mapHueToRGB / u_hueMapping)
+// 0=rainbow, 1=heatmap, 2=cool, 3=hot, 4=grayscale, 5=viridis, 6=plasma, 7=inverted rainbow
+function mapPaletteToRGB(t, palette) {
+    switch (palette) {
+        case 0: return hsv2rgb((1.0 - t) * 0.85, 1.0, 1.0);
+        case 1:
+            if (t < 0.33) return [t / 0.33, 0.0, 0.0];
+            if (t < 0.66) return [1.0, (t - 0.33) / 0.33, 0.0];
+            return [1.0, 1.0, (t - 0.66) / 0.34];
+        case 2: return hsv2rgb(0.67 - t * 0.5, 1.0, 1.0);
+        case 3:
+            if (t < 0.5) return [t / 0.5, 0.0, 0.0];
+            return [1.0, (t - 0.5) / 0.5, 0.0];
+        case 4: return [1.0 - t, 1.0 - t, 1.0 - t];
+        case 5: return gradient4([0.5, 0.0, 0.5], [0.0, 0.5, 1.0], [0.0, 1.0, 0.5], [1.0, 1.0, 0.0], 1.0 - t);
+        case 6: return gradient4([0.0, 0.0, 0.0], [0.5, 0.0, 0.5], [1.0, 0.0, 0.5], [1.0, 1.0, 0.0], 1.0 - t);
+        case 7: return hsv2rgb(t * 0.85, 1.0, 1.0);
+        default: return hsv2rgb((1.0 - t) * 0.85, 1.0, 1.0);
+    }
+}
+
+// Colour of forbidden pixels (no real solution on a fixed-energy layer), as bytes
+// Matches FORBIDDEN_COLOR in the GLSL below
+const FORBIDDEN_RGB = [40, 44, 52];
+
+// Number of bins used for histogram equalisation
+const EQUALIZATION_BINS = 1024;
+
+// Effective clip range [lo, hi] in the metric's units (steps for the step metrics);
+// null/undefined bounds default to the colour scale [valueMin, maxIter]
+function getClipRange(maxIter, clipMin, clipMax, valueMin = 0) {
+    const lo = (typeof clipMin === 'number' && isFinite(clipMin)) ? clipMin : valueMin;
+    let hi = (typeof clipMax === 'number' && isFinite(clipMax)) ? clipMax : maxIter;
+    if (hi <= lo) hi = lo + 1;
+    return { lo, hi };
+}
+
+// Cumulative histogram of the diverged pixels within the clip range (of every
+// non-forbidden pixel for continuous metrics)
+// Returns a Float32Array of EQUALIZATION_BINS values in [0, 1], or null if nothing diverged
+function buildEqualizationTable(divergence, diverged, maxIter, clipMin, clipMax, continuous = false, valueMin = 0) {
+    const { lo, hi } = getClipRange(maxIter, clipMin, clipMax, valueMin);
+    const counts = new Float64Array(EQUALIZATION_BINS);
+    let total = 0;
+    
+    for (let i = 0; i < divergence.length; i++) {
+        if (continuous ? Number.isNaN(divergence[i]) : !diverged[i]) continue;
+        const x = (Math.min(hi, Math.max(lo, divergence[i])) - lo) / (hi - lo);
+        counts[Math.min(EQUALIZATION_BINS - 1, Math.floor(x * EQUALIZATION_BINS))]++;
+        total++;
+    }
+    if (total === 0) return null;
+    
+    const table = new Float32Array(EQUALIZATION_BINS);
+    let cumulative = 0;
+    for (let b = 0; b < EQUALIZATION_BINS; b++) {
+        cumulative += counts[b];
+        table[b] = cumulative / total;
+    }
+    return table;
+}
+
+// Divergence iteration -> palette position t in [0, 1]
+// options: { colorMapping, cyclePeriod, clipMin, clipMax, valueMin, equalizationTable }
+// Clipping rescales [clipMin, clipMax] (by default [valueMin, maxIter]) onto the full
+// tone curve; an equalisation table replaces the tone curve entirely. Cyclical mapping
+// works on raw steps.
+function divergenceToT(iter, maxIter, options) {
+    if (options.colorMapping === 8 && !options.equalizationTable) {
+        return applyToneMapping(iter, maxIter, 8, options.cyclePeriod);
+    }
+    
+    const { lo, hi } = getClipRange(maxIter, options.clipMin, options.clipMax, options.valueMin ?? 0);
+    const x = (Math.min(hi, Math.max(lo, iter)) - lo) / (hi - lo);
+    
+    if (options.equalizationTable) {
+        const table = options.equalizationTable;
+        return table[Math.min(table.length - 1, Math.floor(x * table.length))];
+    }
+    return applyToneMapping(x * maxIter, maxIter, options.colorMapping, options.cyclePeriod);
+}
+
+// Colour a single pixel from its divergence iteration
+// Returns [r, g, b] bytes; pixels that never diverged are white (as in the shader)
+// unless options.continuous is set, and forbidden pixels (NaN) are FORBIDDEN_RGB
+// options: { colorMapping, hueMapping, cyclePeriod, clipMin, clipMax, valueMin, equalizationTable, continuous }
+function colorizeDivergence(iter, diverged, maxIter, options) {
+    if (Number.isNaN(iter)) return FORBIDDEN_RGB.slice();
+    if (!diverged && !options.continuous) return [255, 255, 255];
+    
+    const t = divergenceToT(iter, maxIter, options);
+    const rgb = mapPaletteToRGB(t, options.hueMapping);
+    
+    return [
+        Math.round(Math.min(1, Math.max(0, rgb[0])) * 255),
+        Math.round(Math.min(1, Math.max(0, rgb[1])) * 255),
+        Math.round(Math.min(1, Math.max(0, rgb[2])) * 255)
+    ];
+}
+
+// Colour a block of divergence data into an RGBA byte array
+// divergence: Float32Array of iterations, diverged: Uint8Array flags
+function colorizeDivergenceData(divergence, diverged, out, maxIter, options) {
+    for (let i = 0; i < divergence.length; i++) {
+        const rgb = colorizeDivergence(divergence[i], diverged[i], maxIter, options);
+        const idx = i * 4;
+        out[idx] = rgb[0];
+        out[idx + 1] = rgb[1];
+        out[idx + 2] = rgb[2];
+        out[idx + 3] = 255;
+    }
+    return out;
+}
+
+// CSS linear-gradient for a palette, sampled from mapPaletteToRGB
+// Runs slow (t = 1) on the left to fast (t = 0) on the right, like the legend labels
+function paletteToCSSGradient(palette, stops = 16) {
+    const colors = [];
+    for (let i = 0; i <= stops; i++) {
+        const rgb = mapPaletteToRGB(1.0 - i / stops, palette);
+        const bytes = rgb.map(c => Math.round(Math.min(1, Math.max(0, c)) * 255));
+        colors.push(`rgb(${bytes.join(',')})`);
+    }
+    return `linear-gradient(90deg, ${colors.join(', ')})`;
+}
+
+// Diverging scale of signed differences (comparison maps): blue below zero, grey at
+// zero and red above, saturating at ±range
+const DIFFERENCE_NEGATIVE = [0.23, 0.30, 0.75];
+const DIFFERENCE_ZERO = [0.87, 0.87, 0.87];
+const DIFFERENCE_POSITIVE = [0.71, 0.02, 0.15];
+
+// Colour of a signed difference as [r, g, b] bytes; NaN (no value) is FORBIDDEN_RGB
+function differenceToRGB(d, range) {
+    if (Number.isNaN(d)) return FORBIDDEN_RGB.slice();
+    const u = range > 0 ? Math.max(-1, Math.min(1, d / range)) : 0;
+    const rgb = u < 0
+        ? mixRGB(DIFFERENCE_ZERO, DIFFERENCE_NEGATIVE, -u)
+        : mixRGB(DIFFERENCE_ZERO, DIFFERENCE_POSITIVE, u);
+    return rgb.map(c => Math.round(c * 255));
+}
+
+// CSS linear-gradient of the difference scale, -range on the left to +range on the right
+function differenceToCSSGradient(stops = 16) {
+    const colors = [];
+    for (let i = 0; i <= stops; i++) {
+        colors.push(`rgb(${differenceToRGB(2 * i / stops - 1, 1).join(',')})`);
+    }
+    return `linear-gradient(90deg, ${colors.join(', ')})`;
+}
+
+// GLSL version of applyToneMapping and mapPaletteToRGB for the fragment shader
+// Replaces the "//#include <color-mapping>" line of the shader source
+const COLOR_MAPPING_GLSL = `
+const vec3 FORBIDDEN_COLOR = vec3(40.0, 44.0, 52.0) / 255.0;
+
+vec3 hsv2rgb(float h, float s, float v) {
+    float c = v * s;
+    float x = c * (1.0 - abs(mod(h * 6.0, 2.0) - 1.0));
+    float m = v - c;
+    
+    vec3 rgb;
+    if (h < 1.0/6.0) rgb = vec3(c, x, 0.0);
+    else if (h < 2.0/6.0) rgb = vec3(x, c, 0.0);
+    else if (h < 3.0/6.0) rgb = vec3(0.0, c, x);
+    else if (h < 4.0/6.0) rgb = vec3(0.0, x, c);
+    else if (h < 5.0/6.0) rgb = vec3(x, 0.0, c);
+    else rgb = vec3(c, 0.0, x);
+    
+    return rgb + m;
+}
+
+vec3 gradient4(vec3 a, vec3 b, vec3 c, vec3 d, float u) {
+    if (u < 0.33) return mix(a, b, u / 0.33);
+    if (u < 0.66) return mix(b, c, (u - 0.33) / 0.33);
+    return mix(c, d, (u - 0.66) / 0.34);
+}
+
+float applyToneMapping(float iter, float maxIter, int colorMapping, float cyclePeriod) {
+    if (colorMapping == 1) return log(1.0 + iter) / log(1.0 + maxIter);
+    if (colorMapping == 2) return sqrt(iter / maxIter);
+    if (colorMapping == 3) return (exp(iter / maxIter) - 1.0) / (2.718281828 - 1.0);
+    if (colorMapping == 4) {
+        float x = iter / maxIter;
+        return x * x * (3.0 - 2.0 * x);
+    }
+    if (colorMapping == 5) return pow(iter / maxIter, 0.4);
+    if (colorMapping == 6) return log(1.0 + log(1.0 + iter)) / log(1.0 + log(1.0 + maxIter));
+    if (colorMapping == 7) return clamp(iter / (maxIter * 0.97), 0.0, 1.0);
+    if (colorMapping == 8) return fract(iter / max(cyclePeriod, 1.0));
+    return iter / maxIter;
+}
+
+vec3 mapHueToRGB(float t, int palette) {
+    if (palette == 1) {
+        if (t < 0.33) return vec3(t / 0.33, 0.0, 0.0);
+        if (t < 0.66) return vec3(1.0, (t - 0.33) / 0.33, 0.0);
+        return vec3(1.0, 1.0, (t - 0.66) / 0.34);
+    }
+    if (palette == 2) return hsv2rgb(0.67 - t * 0.5, 1.0, 1.0);
+    if (palette == 3) {
+        if (t < 0.5) return vec3(t / 0.5, 0.0, 0.0);
+        return vec3(1.0, (t - 0.5) / 0.5, 0.0);
+    }
+    if (palette == 4) return vec3(1.0 - t);
+    if (palette == 5) return gradient4(vec3(0.5, 0.0, 0.5), vec3(0.0, 0.5, 1.0), vec3(0.0, 1.0, 0.5), vec3(1.0, 1.0, 0.0), 1.0 - t);
+    if (palette == 6) return gradient4(vec3(0.0, 0.0, 0.0), vec3(0.5, 0.0, 0.5), vec3(1.0, 0.0, 0.5), vec3(1.0, 1.0, 0.0), 1.0 - t);
+    if (palette == 7) return hsv2rgb(t * 0.85, 1.0, 1.0);
+    return hsv2rgb((1.0 - t) * 0.85, 1.0, 1.0);
+}
+`;
+
+// Insert the shared GLSL into a shader source
+function injectColorMappingGLSL(source) {
+    return source.replace('//#include <color-mapping>', COLOR_MAPPING_GLSL);
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        applyToneMapping,
+        mapPaletteToRGB,
+        getClipRange,
+        buildEqualizationTable,
+        divergenceToT,
+        colorizeDivergence,
+        colorizeDivergenceData,
+        paletteToCSSGradient,
+        differenceToRGB,
+        differenceToCSSGradient,
+        injectColorMappingGLSL,
+        FORBIDDEN_RGB,
+        GLSL: COLOR_MAPPING_GLSL
+    };
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.ColorMapping = {
+        applyToneMapping,
+        mapPaletteToRGB,
+        getClipRange,
+        buildEqualizationTable,
+        divergenceToT,
+        colorizeDivergence,
+        colorizeDivergenceData,
+        paletteToCSSGradient,
+        differenceToRGB,
+        differenceToCSSGradient,
+        injectColorMappingGLSL,
+        FORBIDDEN_RGB,
+        GLSL: COLOR_MAPPING_GLSL
+    };
+}
+
+// For WebWorker
+if (typeof self !== 'undefined' && !self.window) {
+    self.ColorMapping = {
+        applyToneMapping,
+        mapPaletteToRGB,
+        getClipRange,
+        buildEqualizationTable,
+        divergenceToT,
+        colorizeDivergence,
+        colorizeDivergenceData,
+        paletteToCSSGradient,
+        differenceToRGB,
+        differenceToCSSGradient,
+        injectColorMappingGLSL,
+        FORBIDDEN_RGB,
+        GLSL: COLOR_MAPPING_GLSL
+    };
+}
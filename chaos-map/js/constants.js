@@ -17,10 +17,18 @@ const DIM_INFO = {
     l1: { label: 'L₁', unit: 'm' },
     l2: { label: 'L₂', unit: 'm' },
     m1: { label: 'm₁', unit: 'kg' },
-    m2: { label: 'm₂', unit: 'kg' }
+    m2: { label: 'm₂', unit: 'kg' },
+    g: { label: 'g', unit: 'm/s²' },
+    damping1: { label: 'b₁', unit: 'N·m·s' },
+    damping2: { label: 'b₂', unit: 'N·m·s' },
+    torqueAmp: { label: 'τ₀', unit: 'N·m' },
+    torqueFreq: { label: 'Ω', unit: 'rad/s' }
 };
 
 // Default/null pendulum state
+// damping1/damping2 are viscous damping at the pivot and elbow joints, and
+// torqueAmp/torqueFreq drive joint 1 with τ₀·sin(Ω·t); all zero is the
+// conservative pendulum
 const NULL_STATE = {
     theta1: 0,
     theta2: 0,
@@ -29,7 +37,12 @@ const NULL_STATE = {
     l1: 1,
     l2: 1,
     m1: 1,
-    m2: 1
+    m2: 1,
+    g: 9.81,
+    damping1: 0,
+    damping2: 0,
+    torqueAmp: 0,
+    torqueFreq: 1
 };
 
 // Dimension defaults for UI
@@ -41,11 +54,47 @@ const DIM_DEFAULTS = {
     l1: { min: 0.1, max: 3 },
     l2: { min: 0.1, max: 3 },
     m1: { min: 0.1, max: 5 },
-    m2: { min: 0.1, max: 5 }
+    m2: { min: 0.1, max: 5 },
+    g: { min: 0, max: 20 },
+    damping1: { min: 0, max: 1 },
+    damping2: { min: 0, max: 1 },
+    torqueAmp: { min: 0, max: 10 },
+    torqueFreq: { min: 0, max: 10 }
 };
 
 // Dimension to index mapping for shaders
 const DIM_TO_INDEX = {
     theta1: 0, theta2: 1, omega1: 2, omega2: 3,
-    l1: 4, l2: 5, m1: 6, m2: 7
+    l1: 4, l2: 5, m1: 6, m2: 7,
+    g: 8, damping1: 9, damping2: 10, torqueAmp: 11, torqueFreq: 12
 };
+
+// State dimensions an oblique layer's direction vectors span, in shader order
+// (u_dir*AB = theta1, theta2, omega1, omega2; u_dir*CD = l1, l2, m1, m2)
+const OBLIQUE_DIMS = ['theta1', 'theta2', 'omega1', 'omega2', 'l1', 'l2', 'm1', 'm2'];
+
+// Labels of the chaos metrics (CPUPhysics.CHAOS_METRICS; index = shader u_metric)
+// symbol/unit label the legend and hover readout, channel/flag name the exported
+// value and flag channels, flagLabel describes the flag in words. The step metrics
+// have a timeChannel used instead of channel (and unit s) by adaptive-integrator maps,
+// which report physical time (CPUPhysics.ADAPTIVE_INTEGRATORS)
+const METRIC_INFO = {
+    divergence: { label: 'Divergence Time', symbol: 't', unit: 'steps', channel: 'divergence_steps', timeChannel: 'divergence_time_s', flag: 'diverged', flagLabel: 'diverged' },
+    lyapunov: { label: 'Lyapunov Exponent (FTLE)', symbol: 'λ', unit: '1/s', channel: 'lyapunov_per_s', flag: 'lyapunov_positive', flagLabel: 'λ > 0' },
+    flip: { label: 'Time to First Flip', symbol: 't', unit: 'steps', channel: 'flip_steps', timeChannel: 'flip_time_s', flag: 'flipped', flagLabel: 'flipped' },
+    maxSeparation: { label: 'Max Separation', symbol: 'd_max', unit: '', channel: 'max_separation', flag: 'exceeded_threshold', flagLabel: 'past threshold' },
+    finalSeparation: { label: 'Final Separation', symbol: 'd_end', unit: '', channel: 'final_separation', flag: 'exceeded_threshold', flagLabel: 'past threshold' }
+};
+
+// Export for Node (headless renderer)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DIMENSION_PAIRS,
+        DIM_INFO,
+        NULL_STATE,
+        DIM_DEFAULTS,
+        DIM_TO_INDEX,
+        OBLIQUE_DIMS,
+        METRIC_INFO
+    };
+}
@@ -2,8 +2,9 @@
 // 64-bit double precision, used by both chaos map and pendulum simulation
 
 // Compute accelerations given current state
+// forcing: optional { damping1, damping2, torqueAmp, torqueFreq } (see getForcing), t: time in s
 // Returns { alpha1, alpha2 } angular accelerations
-function computeAccelerations(theta1, theta2, omega1, omega2, l1, l2, m1, m2, g) {
+function computeAccelerations(theta1, theta2, omega1, omega2, l1, l2, m1, m2, g, forcing = null, t = 0) {
     const M = m1 + m2;
     const delta = theta1 - theta2;
     const sinDelta = Math.sin(delta);
@@ -11,25 +12,46 @@ function computeAccelerations(theta1, theta2, omega1, omega2, l1, l2, m1, m2, g)
     
     const alphaDenom = m1 + m2 * sinDelta * sinDelta;
     
-    const num1 = -m2 * l1 * omega1 * omega1 * sinDelta * cosDelta
+    let num1 = -m2 * l1 * omega1 * omega1 * sinDelta * cosDelta
                - m2 * l2 * omega2 * omega2 * sinDelta
                - M * g * Math.sin(theta1)
                + m2 * g * Math.sin(theta2) * cosDelta;
     
-    const num2 = M * l1 * omega1 * omega1 * sinDelta
+    let num2 = M * l1 * omega1 * omega1 * sinDelta
                + m2 * l2 * omega2 * omega2 * sinDelta * cosDelta
                + M * g * Math.sin(theta1) * cosDelta
                - M * g * Math.sin(theta2);
     
+    // Generalised torques on theta1/theta2: damping1 at the pivot, damping2 on the
+    // elbow's relative rotation, and the drive torque on joint 1
+    if (forcing) {
+        const elbow = forcing.damping2 * (omega2 - omega1);
+        const q1 = forcing.torqueAmp * Math.sin(forcing.torqueFreq * t) - forcing.damping1 * omega1 + elbow;
+        const q2 = -elbow;
+        num1 += q1 / l1 - cosDelta * q2 / l2;
+        num2 += M * q2 / (m2 * l2) - cosDelta * q1 / l1;
+    }
+    
     return {
         alpha1: num1 / (l1 * alphaDenom),
         alpha2: num2 / (l2 * alphaDenom)
     };
 }
 
+// Damping and drive parameters of a state, or null when it is conservative
+function getForcing(state) {
+    const forcing = {
+        damping1: state.damping1 ?? 0,
+        damping2: state.damping2 ?? 0,
+        torqueAmp: state.torqueAmp ?? 0,
+        torqueFreq: state.torqueFreq ?? 0
+    };
+    return (forcing.damping1 || forcing.damping2 || forcing.torqueAmp) ? forcing : null;
+}
+
 // Compute derivatives for RK4 integration
-function computeDerivatives(theta1, theta2, omega1, omega2, l1, l2, m1, m2, g) {
-    const acc = computeAccelerations(theta1, theta2, omega1, omega2, l1, l2, m1, m2, g);
+function computeDerivatives(theta1, theta2, omega1, omega2, l1, l2, m1, m2, g, forcing = null, t = 0) {
+    const acc = computeAccelerations(theta1, theta2, omega1, omega2, l1, l2, m1, m2, g, forcing, t);
     return {
         dtheta1: omega1,
         dtheta2: omega2,
@@ -38,15 +60,17 @@ function computeDerivatives(theta1, theta2, omega1, omega2, l1, l2, m1, m2, g) {
     };
 }
 
-// Velocity Verlet integrator step (symplectic)
-// Modifies state object in place: { theta1, theta2, omega1, omega2 }
-function stepVerlet(state, l1, l2, m1, m2, dt, g) {
+// Velocity Verlet integrator step (symplectic when there is no forcing)
+// Modifies state object in place: { theta1, theta2, omega1, omega2, t }
+// state.t (default 0) is the time the drive torque is evaluated at; it advances by dt
+function stepVerlet(state, l1, l2, m1, m2, dt, g, forcing = null) {
     const halfDt = 0.5 * dt;
+    const t = state.t ?? 0;
     
     // Current accelerations
     const acc1 = computeAccelerations(
         state.theta1, state.theta2, state.omega1, state.omega2,
-        l1, l2, m1, m2, g
+        l1, l2, m1, m2, g, forcing, t
     );
     
     // Half-step velocity
@@ -62,20 +86,23 @@ function stepVerlet(state, l1, l2, m1, m2, dt, g) {
     // New accelerations
     const acc2 = computeAccelerations(
         state.theta1, state.theta2, state.omega1, state.omega2,
-        l1, l2, m1, m2, g
+        l1, l2, m1, m2, g, forcing, t + dt
     );
     
     // Final half-step velocity
     state.omega1 += halfDt * acc2.alpha1;
     state.omega2 += halfDt * acc2.alpha2;
+    state.t = t + dt;
 }
 
 // RK4 integrator step (4th order Runge-Kutta)
-// Modifies state object in place: { theta1, theta2, omega1, omega2 }
-function stepRK4(state, l1, l2, m1, m2, dt, g) {
+// Modifies state object in place: { theta1, theta2, omega1, omega2, t }
+function stepRK4(state, l1, l2, m1, m2, dt, g, forcing = null) {
+    const t = state.t ?? 0;
+    
     const k1 = computeDerivatives(
         state.theta1, state.theta2, state.omega1, state.omega2,
-        l1, l2, m1, m2, g
+        l1, l2, m1, m2, g, forcing, t
     );
     
     const s2 = {
@@ -86,7 +113,7 @@ function stepRK4(state, l1, l2, m1, m2, dt, g) {
     };
     const k2 = computeDerivatives(
         s2.theta1, s2.theta2, s2.omega1, s2.omega2,
-        l1, l2, m1, m2, g
+        l1, l2, m1, m2, g, forcing, t + 0.5 * dt
     );
     
     const s3 = {
@@ -97,7 +124,7 @@ function stepRK4(state, l1, l2, m1, m2, dt, g) {
     };
     const k3 = computeDerivatives(
         s3.theta1, s3.theta2, s3.omega1, s3.omega2,
-        l1, l2, m1, m2, g
+        l1, l2, m1, m2, g, forcing, t + 0.5 * dt
     );
     
     const s4 = {
@@ -108,17 +135,352 @@ function stepRK4(state, l1, l2, m1, m2, dt, g) {
     };
     const k4 = computeDerivatives(
         s4.theta1, s4.theta2, s4.omega1, s4.omega2,
-        l1, l2, m1, m2, g
+        l1, l2, m1, m2, g, forcing, t + dt
     );
     
     state.theta1 += dt * (k1.dtheta1 + 2*k2.dtheta1 + 2*k3.dtheta1 + k4.dtheta1) / 6;
     state.theta2 += dt * (k1.dtheta2 + 2*k2.dtheta2 + 2*k3.dtheta2 + k4.dtheta2) / 6;
     state.omega1 += dt * (k1.domega1 + 2*k2.domega1 + 2*k3.domega1 + k4.domega1) / 6;
     state.omega2 += dt * (k1.domega2 + 2*k2.domega2 + 2*k3.domega2 + k4.domega2) / 6;
+    state.t = t + dt;
+}
+
+// Fixed-point iterations of the implicit velocity kick in stepSymmetricVerlet()
+const SYMMETRIC_KICK_ITERATIONS = 4;
+
+// Time-symmetric velocity Verlet step
+// As stepVerlet(), but the final half kick uses the end-of-step velocity (solved by
+// fixed-point iteration). The accelerations depend on the velocities, so only this
+// variant is its own adjoint, which the Yoshida composition needs to reach 4th order.
+function stepSymmetricVerlet(state, l1, l2, m1, m2, dt, g, forcing = null) {
+    const halfDt = 0.5 * dt;
+    const t = state.t ?? 0;
+    
+    const acc1 = computeAccelerations(
+        state.theta1, state.theta2, state.omega1, state.omega2,
+        l1, l2, m1, m2, g, forcing, t
+    );
+    const omega1Half = state.omega1 + halfDt * acc1.alpha1;
+    const omega2Half = state.omega2 + halfDt * acc1.alpha2;
+    state.theta1 += dt * omega1Half;
+    state.theta2 += dt * omega2Half;
+    
+    let omega1 = omega1Half;
+    let omega2 = omega2Half;
+    for (let iter = 0; iter < SYMMETRIC_KICK_ITERATIONS; iter++) {
+        const acc2 = computeAccelerations(
+            state.theta1, state.theta2, omega1, omega2,
+            l1, l2, m1, m2, g, forcing, t + dt
+        );
+        omega1 = omega1Half + halfDt * acc2.alpha1;
+        omega2 = omega2Half + halfDt * acc2.alpha2;
+    }
+    state.omega1 = omega1;
+    state.omega2 = omega2;
+    state.t = t + dt;
+}
+
+// Yoshida 4th-order symplectic step: three symmetric Verlet substeps of dt * w1, dt * w0, dt * w1
+// Modifies state object in place: { theta1, theta2, omega1, omega2, t }
+const YOSHIDA_W1 = 1 / (2 - Math.cbrt(2));
+const YOSHIDA_W0 = -Math.cbrt(2) / (2 - Math.cbrt(2));
+function stepYoshida4(state, l1, l2, m1, m2, dt, g, forcing = null) {
+    stepSymmetricVerlet(state, l1, l2, m1, m2, YOSHIDA_W1 * dt, g, forcing);
+    stepSymmetricVerlet(state, l1, l2, m1, m2, YOSHIDA_W0 * dt, g, forcing);
+    stepSymmetricVerlet(state, l1, l2, m1, m2, YOSHIDA_W1 * dt, g, forcing);
+}
+
+// Derivative of [theta1, theta2, omega1, omega2] as an array
+function derivativeArray(y, l1, l2, m1, m2, g, forcing, t) {
+    const acc = computeAccelerations(y[0], y[1], y[2], y[3], l1, l2, m1, m2, g, forcing, t);
+    return [y[2], y[3], acc.alpha1, acc.alpha2];
+}
+
+// Two-stage Gauss-Legendre step (implicit, 4th order, symplectic)
+// The stage equations are solved by fixed-point iteration, which converges quickly for
+// the step sizes the map uses. Modifies state object in place: { theta1, theta2, omega1, omega2, t }
+const GAUSS_SQRT3_6 = Math.sqrt(3) / 6;
+const GAUSS_MAX_ITERATIONS = 20;
+function stepGaussLegendre(state, l1, l2, m1, m2, dt, g, forcing = null) {
+    const t = state.t ?? 0;
+    const y = [state.theta1, state.theta2, state.omega1, state.omega2];
+    const a11 = 0.25, a12 = 0.25 - GAUSS_SQRT3_6;
+    const a21 = 0.25 + GAUSS_SQRT3_6, a22 = 0.25;
+    const t1 = t + (0.5 - GAUSS_SQRT3_6) * dt;
+    const t2 = t + (0.5 + GAUSS_SQRT3_6) * dt;
+    
+    let k1 = derivativeArray(y, l1, l2, m1, m2, g, forcing, t);
+    let k2 = k1;
+    for (let iter = 0; iter < GAUSS_MAX_ITERATIONS; iter++) {
+        const y1 = y.map((v, i) => v + dt * (a11 * k1[i] + a12 * k2[i]));
+        const y2 = y.map((v, i) => v + dt * (a21 * k1[i] + a22 * k2[i]));
+        const n1 = derivativeArray(y1, l1, l2, m1, m2, g, forcing, t1);
+        const n2 = derivativeArray(y2, l1, l2, m1, m2, g, forcing, t2);
+        let change = 0;
+        for (let i = 0; i < 4; i++) {
+            change = Math.max(change, Math.abs(n1[i] - k1[i]), Math.abs(n2[i] - k2[i]));
+        }
+        k1 = n1;
+        k2 = n2;
+        if (change * dt < 1e-15 * (1 + Math.abs(y[0]) + Math.abs(y[1]))) break;
+    }
+    
+    state.theta1 += 0.5 * dt * (k1[0] + k2[0]);
+    state.theta2 += 0.5 * dt * (k1[1] + k2[1]);
+    state.omega1 += 0.5 * dt * (k1[2] + k2[2]);
+    state.omega2 += 0.5 * dt * (k1[3] + k2[3]);
+    state.t = t + dt;
+}
+
+// Dormand-Prince 5(4) tableau (nodes, stage weights, 5th-order weights, error weights)
+const DP_C = [0, 1/5, 3/10, 4/5, 8/9, 1];
+const DP_A = [
+    [],
+    [1/5],
+    [3/40, 9/40],
+    [44/45, -56/15, 32/9],
+    [19372/6561, -25360/2187, 64448/6561, -212/729],
+    [9017/3168, -355/33, 46732/5247, 49/176, -5103/18656]
+];
+const DP_B = [35/384, 0, 500/1113, 125/192, -2187/6784, 11/84];
+const DP_E = [71/57600, 0, -71/16695, 71/1920, -17253/339200, 22/525, -1/40];
+
+// Limits on how far stepDormandPrince() shrinks a rejected step
+const DP_MAX_ATTEMPTS = 50;
+const DP_MIN_STEP = 1e-12;
+
+// Thrown by stepDormandPrince() when no step it may take meets the tolerance
+class ToleranceError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ToleranceError';
+    }
+}
+
+// One adaptive Dormand-Prince step of several pendulums that share a clock
+// systems: [{ state, l1, l2, m1, m2, g, forcing }]; every state advances by the same step,
+// so twins stay comparable. The step is shrunk until the embedded error of every component
+// is within tolerance * (1 + |value|); if that fails after DP_MAX_ATTEMPTS tries or below
+// DP_MIN_STEP, a ToleranceError is thrown and the states are left unchanged.
+// Returns { taken, next }: the step taken and the step to try next (s)
+function stepDormandPrince(systems, h, tolerance) {
+    for (let attempt = 0; ; attempt++) {
+        let err = 0;
+        const results = systems.map(sys => {
+            const s = sys.state;
+            const t = s.t ?? 0;
+            const y = [s.theta1, s.theta2, s.omega1, s.omega2];
+            const deriv = (yi, ti) => derivativeArray(yi, sys.l1, sys.l2, sys.m1, sys.m2, sys.g, sys.forcing, ti);
+            
+            const k = [];
+            for (let stage = 0; stage < 6; stage++) {
+                const yi = y.map((v, i) => v + h * DP_A[stage].reduce((sum, a, j) => sum + a * k[j][i], 0));
+                k.push(deriv(yi, t + DP_C[stage] * h));
+            }
+            const y5 = y.map((v, i) => v + h * DP_B.reduce((sum, b, j) => sum + b * k[j][i], 0));
+            k.push(deriv(y5, t + h));
+            
+            for (let i = 0; i < 4; i++) {
+                const e = h * DP_E.reduce((sum, w, j) => sum + w * k[j][i], 0);
+                err = Math.max(err, Math.abs(e) / (tolerance * (1 + Math.max(Math.abs(y[i]), Math.abs(y5[i])))));
+            }
+            return { s, t, y5 };
+        });
+        
+        if (err <= 1) {
+            results.forEach(({ s, t, y5 }) => {
+                [s.theta1, s.theta2, s.omega1, s.omega2] = y5;
+                s.t = t + h;
+            });
+            const grow = err > 0 ? 0.9 * Math.pow(err, -0.2) : 5;
+            return { taken: h, next: h * Math.min(5, Math.max(0.2, grow)) };
+        }
+        // A NaN error (a state that blew up) is not fixed by shrinking the step
+        if (Number.isNaN(err) || attempt + 1 >= DP_MAX_ATTEMPTS || h < DP_MIN_STEP) {
+            const t = systems[0].state.t ?? 0;
+            throw new ToleranceError(`Adaptive step at t = ${t} s cannot meet the tolerance ${tolerance} (scaled error ${err.toExponential(2)} at a step of ${h.toExponential(2)} s)`);
+        }
+        h *= Math.max(0.2, 0.9 * Math.pow(err, -0.2));
+    }
+}
+
+// Integrators by name (index of the GPU ones = the shader's u_integrator)
+// rk45 adapts its step (Dormand-Prince) and runs on the CPU only
+const INTEGRATORS = ['rk4', 'verlet', 'yoshida4', 'gauss2', 'rk45'];
+const GPU_INTEGRATORS = ['rk4', 'verlet', 'yoshida4', 'gauss2'];
+const ADAPTIVE_INTEGRATORS = ['rk45'];
+
+// Default error tolerance of the adaptive integrators
+const DEFAULT_TOLERANCE = 1e-8;
+
+// Fixed-step step functions by integrator name
+const STEP_FUNCTIONS = {
+    rk4: stepRK4,
+    verlet: stepVerlet,
+    yoshida4: stepYoshida4,
+    gauss2: stepGaussLegendre
+};
+
+// Whether an integrator adapts its step size (its maps report physical time)
+function isAdaptiveIntegrator(integrator) {
+    return ADAPTIVE_INTEGRATORS.includes(integrator);
+}
+
+// Clock driving the simulate* functions over maxIter steps of dt, or for adaptive
+// integrators over the same physical time span (horizon = maxIter * dt)
+function createClock(integrator, dt, maxIter, tolerance = DEFAULT_TOLERANCE) {
+    return {
+        integrator,
+        adaptive: isAdaptiveIntegrator(integrator),
+        stepFn: STEP_FUNCTIONS[integrator] || stepVerlet,
+        dt,
+        maxIter,
+        horizon: maxIter * dt,
+        tolerance: tolerance ?? DEFAULT_TOLERANCE,
+        h: dt,
+        steps: 0,
+        time: 0
+    };
+}
+
+// Advance systems ([{ state, l1, l2, m1, m2, g, forcing }]) by one step of the clock
+// Returns false, without stepping, once the clock has run out. Adaptive clocks throw a
+// ToleranceError where no step meets their tolerance (see stepDormandPrince).
+function advanceClock(clock, systems) {
+    if (clock.adaptive) {
+        const remaining = clock.horizon - clock.time;
+        if (remaining <= clock.horizon * 1e-12) return false;
+        const { taken, next } = stepDormandPrince(systems, Math.min(clock.h, remaining), clock.tolerance);
+        clock.time += taken;
+        clock.h = next;
+    } else {
+        if (clock.steps >= clock.maxIter) return false;
+        systems.forEach(sys => clock.stepFn(sys.state, sys.l1, sys.l2, sys.m1, sys.m2, clock.dt, sys.g, sys.forcing));
+        clock.time += clock.dt;
+    }
+    clock.steps++;
+    return true;
+}
+
+// Time-like reading of a clock: steps taken for fixed-step integrators, seconds
+// elapsed for adaptive ones (the units divergence and flip times are reported in)
+function clockValue(clock) {
+    return clock.adaptive ? clock.time : clock.steps;
+}
+
+// A state as one of advanceClock()'s systems, integrated from t = 0
+function toSystem(state, g) {
+    return {
+        state: { ...state, t: 0 },
+        l1: state.l1, l2: state.l2, m1: state.m1, m2: state.m2,
+        g: state.g ?? g,
+        forcing: getForcing(state)
+    };
+}
+
+// Total mechanical energy (kinetic + potential, pivot at zero height) of a state
+// Uses the state's own lengths, masses and g
+function computeEnergy(state) {
+    const { theta1, theta2, omega1, omega2, l1, l2, m1, m2 } = state;
+    const g = state.g ?? 9.81;
+    
+    const ke = 0.5 * (m1 + m2) * l1 * l1 * omega1 * omega1
+             + 0.5 * m2 * l2 * l2 * omega2 * omega2
+             + m2 * l1 * l2 * omega1 * omega2 * Math.cos(theta1 - theta2);
+    const pe = -(m1 + m2) * g * l1 * Math.cos(theta1) - m2 * g * l2 * Math.cos(theta2);
+    
+    return ke + pe;
+}
+
+// Partial derivatives of computeEnergy() with respect to the angles, angular
+// velocities, lengths and masses
+function computeEnergyGradient(state) {
+    const { theta1, theta2, omega1, omega2, l1, l2, m1, m2 } = state;
+    const g = state.g ?? 9.81;
+    const M = m1 + m2;
+    const sinD = Math.sin(theta1 - theta2);
+    const cosD = Math.cos(theta1 - theta2);
+    const w12 = omega1 * omega2;
+    
+    return {
+        theta1: -m2 * l1 * l2 * w12 * sinD + M * g * l1 * Math.sin(theta1),
+        theta2: m2 * l1 * l2 * w12 * sinD + m2 * g * l2 * Math.sin(theta2),
+        omega1: M * l1 * l1 * omega1 + m2 * l1 * l2 * omega2 * cosD,
+        omega2: m2 * l2 * l2 * omega2 + m2 * l1 * l2 * omega1 * cosD,
+        l1: M * l1 * omega1 * omega1 + m2 * l2 * w12 * cosD - M * g * Math.cos(theta1),
+        l2: m2 * l2 * omega2 * omega2 + m2 * l1 * w12 * cosD - m2 * g * Math.cos(theta2),
+        m1: 0.5 * l1 * l1 * omega1 * omega1 - g * l1 * Math.cos(theta1),
+        m2: 0.5 * l1 * l1 * omega1 * omega1 + 0.5 * l2 * l2 * omega2 * omega2
+            + l1 * l2 * w12 * cosD - g * l1 * Math.cos(theta1) - g * l2 * Math.cos(theta2)
+    };
+}
+
+// Velocities a fixed-energy layer can solve for
+const ENERGY_SOLVE_DIMS = ['omega1', 'omega2'];
+
+// Angular velocity solveFor ('omega1' or 'omega2') that gives the state a total
+// energy of exactly energy, with everything else as in state
+// The energy is quadratic in either velocity; the larger root is returned, or NaN
+// where even the minimum kinetic energy exceeds the budget (a forbidden state).
+// Same formula as computeEnergy() and CPUPendulumSimulation.computeAndStoreEnergy()
+function solveVelocityForEnergy(state, energy, solveFor) {
+    const { theta1, theta2, omega1, omega2, l1, l2, m1, m2 } = state;
+    const g = state.g ?? 9.81;
+    const M = m1 + m2;
+    const cross = m2 * l1 * l2 * Math.cos(theta1 - theta2);
+    const pe = -M * g * l1 * Math.cos(theta1) - m2 * g * l2 * Math.cos(theta2);
+    
+    // a * w^2 + b * w + c = 0 in the solved velocity w
+    let a, b, c;
+    if (solveFor === 'omega1') {
+        a = 0.5 * M * l1 * l1;
+        b = cross * omega2;
+        c = 0.5 * m2 * l2 * l2 * omega2 * omega2 + pe - energy;
+    } else {
+        a = 0.5 * m2 * l2 * l2;
+        b = cross * omega1;
+        c = 0.5 * M * l1 * l1 * omega1 * omega1 + pe - energy;
+    }
+    
+    const disc = b * b - 4 * a * c;
+    if (disc < 0) return NaN;
+    return (-b + Math.sqrt(disc)) / (2 * a);
 }
 
+// Whether a state lies in the forbidden region of a fixed-energy layer
+// (its solved velocity has no real value)
+function isForbiddenState(state) {
+    return Number.isNaN(state.omega1) || Number.isNaN(state.omega2);
+}
+
+// Ways of measuring the separation of two states (index = the shader's u_divergenceMode)
+// weighted: Euclidean over (Δθ₁, Δθ₂, Δω₁, Δω₂) with per-dimension weights
+// bob2: Cartesian distance between the lower bobs (m)
+// bobs: Cartesian distance over both bobs, sqrt(|Δp₁|² + |Δp₂|²) (m)
+// energy: energy of the separation (kinetic metric plus potential curvature at rest)
+//         over the reference pendulum's energy above rest, square-rooted (dimensionless)
+const DIVERGENCE_MEASURES = ['weighted', 'bob2', 'bobs', 'energy'];
+
+// Default measure: the unweighted Euclidean norm
+const DEFAULT_DIVERGENCE_MEASURE = { mode: 'weighted', weights: [1, 1, 1, 1] };
+
 // Measure divergence between two states
-function measureDivergence(s1, s2) {
+// measure: { mode, weights } (see DIVERGENCE_MEASURES), null for the default;
+// weights are over theta1, theta2, omega1, omega2. params supplies the lengths,
+// masses and g of the bob and energy measures (default: s1's own).
+function measureDivergence(s1, s2, measure = null, params = s1) {
+    const mode = measure ? measure.mode : 'weighted';
+    if (mode === 'bob2' || mode === 'bobs') {
+        const l1 = params.l1 ?? 1;
+        const l2 = params.l2 ?? 1;
+        const dx1 = l1 * (Math.sin(s1.theta1) - Math.sin(s2.theta1));
+        const dy1 = l1 * (Math.cos(s1.theta1) - Math.cos(s2.theta1));
+        const dx2 = dx1 + l2 * (Math.sin(s1.theta2) - Math.sin(s2.theta2));
+        const dy2 = dy1 + l2 * (Math.cos(s1.theta2) - Math.cos(s2.theta2));
+        const bob1 = mode === 'bobs' ? dx1 * dx1 + dy1 * dy1 : 0;
+        return Math.sqrt(bob1 + dx2 * dx2 + dy2 * dy2);
+    }
+    
     let dTheta1 = s1.theta1 - s2.theta1;
     let dTheta2 = s1.theta2 - s2.theta2;
     
@@ -132,46 +494,348 @@ function measureDivergence(s1, s2) {
     const dOmega1 = s1.omega1 - s2.omega1;
     const dOmega2 = s1.omega2 - s2.omega2;
     
-    return Math.sqrt(dTheta1 * dTheta1 + dTheta2 * dTheta2 + dOmega1 * dOmega1 + dOmega2 * dOmega2);
+    if (mode === 'energy') {
+        const l1 = params.l1 ?? 1;
+        const l2 = params.l2 ?? 1;
+        const m1 = params.m1 ?? 1;
+        const m2 = params.m2 ?? 1;
+        const g = params.g ?? 9.81;
+        const M = m1 + m2;
+        const coupling = m2 * l1 * l2 * Math.cos(s1.theta1 - s1.theta2);
+        const kinetic = (w1, w2) => 0.5 * M * l1 * l1 * w1 * w1 + 0.5 * m2 * l2 * l2 * w2 * w2 + coupling * w1 * w2;
+        const potential = (a1, a2) => 0.5 * M * g * l1 * a1 * a1 + 0.5 * m2 * g * l2 * a2 * a2;
+        // Energy above the pendulum hanging at rest; the floor keeps states at rest finite
+        const energy = kinetic(s1.omega1, s1.omega2)
+            + M * g * l1 * (1 - Math.cos(s1.theta1)) + m2 * g * l2 * (1 - Math.cos(s1.theta2));
+        const separation = kinetic(dOmega1, dOmega2) + potential(dTheta1, dTheta2);
+        return Math.sqrt(Math.max(0, separation) / Math.max(energy, 1e-6));
+    }
+    
+    const w = measure ? measure.weights : DEFAULT_DIVERGENCE_MEASURE.weights;
+    return Math.sqrt(w[0] * dTheta1 * dTheta1 + w[1] * dTheta2 * dTheta2 + w[2] * dOmega1 * dOmega1 + w[3] * dOmega2 * dOmega2);
 }
 
 // Simulate two pendulums until divergence or max iterations
+// Each state's own g is used when present; g is the fallback for older states
+// measure: how separation is measured (see measureDivergence), null for the default
+// Adaptive integrators (tolerance = their error tolerance) run for maxIter * dt seconds
+// and report divergenceTime in seconds rather than steps
 // Returns { iteration, diverged, divergenceTime }
-function simulateToDivergence(s1, s2, maxIter, threshold, dt, g, integrator = 'verlet') {
-    const state1 = { ...s1 };
-    const state2 = { ...s2 };
+function simulateToDivergence(s1, s2, maxIter, threshold, dt, g, integrator = 'verlet', measure = null, tolerance = DEFAULT_TOLERANCE) {
+    const systems = [toSystem(s1, g), toSystem(s2, g)];
+    const clock = createClock(integrator, dt, maxIter, tolerance);
     
-    let iter = 0;
     let diverged = false;
     let divergenceTime = 0;
     
-    const stepFn = integrator === 'rk4' ? stepRK4 : stepVerlet;
-    
-    while (iter < maxIter && !diverged) {
-        stepFn(state1, s1.l1, s1.l2, s1.m1, s1.m2, dt, g);
-        stepFn(state2, s2.l1, s2.l2, s2.m1, s2.m2, dt, g);
-        
-        iter++;
-        
-        const dist = measureDivergence(state1, state2);
+    while (!diverged && advanceClock(clock, systems)) {
+        const dist = measureDivergence(systems[0].state, systems[1].state, measure);
         if (dist > threshold) {
             diverged = true;
-            divergenceTime = iter;
+            divergenceTime = clockValue(clock);
+        }
+    }
+    
+    return { iteration: clock.steps, diverged, divergenceTime };
+}
+
+// Per-pixel chaos metrics a map can show (index = the shader's u_metric)
+// divergence: steps until the twins separate past the threshold
+// lyapunov: finite-time Lyapunov exponent (1/s) from the renormalised twin separation
+// flip: steps until an arm (flipArm: either by default) first passes upright (±π), from a
+// single trajectory without a twin
+// maxSeparation / finalSeparation: largest / last twin separation within maxIter
+const CHAOS_METRICS = ['divergence', 'lyapunov', 'flip', 'maxSeparation', 'finalSeparation'];
+
+// Metrics whose value is a physical quantity rather than a step count; every
+// pixel is coloured, not only those whose flag is set
+const CONTINUOUS_METRICS = ['lyapunov', 'maxSeparation', 'finalSeparation'];
+
+// Steps between renormalisations of the twin separation for the Lyapunov estimate
+const LYAPUNOV_RENORM_STEPS = 10;
+
+// Separation the Lyapunov estimate renormalises the twin to, as a fraction of the
+// divergence threshold (so it is in the units of the divergence measure)
+const LYAPUNOV_RENORM_FRACTION = 1e-4;
+
+// Colour scale tops of the continuous metrics (1/s for lyapunov, separation otherwise)
+const LYAPUNOV_VALUE_MAX = 10;
+const SEPARATION_VALUE_MAX = 2 * Math.PI;
+
+// Physical time span (s) of an adaptive integrator's run, in which its step metrics
+// are reported; null for fixed-step integrators, whose step metrics count steps
+function getAdaptiveHorizon(integrator, maxIter, dt) {
+    return isAdaptiveIntegrator(integrator) ? maxIter * dt : null;
+}
+
+// Largest per-pixel value shown by the colour scale: maxIter steps for the step
+// metrics (horizon seconds for adaptive integrators, see getAdaptiveHorizon), 1 for
+// the fraction of twins whose flag is set, or the metric's fixed scale
+function getMetricValueMax(metric, maxIter, sampleStatistic = null, horizon = null) {
+    if (sampleStatistic === 'fraction') return 1;
+    if (metric === 'lyapunov') return LYAPUNOV_VALUE_MAX;
+    if (metric === 'maxSeparation' || metric === 'finalSeparation') return SEPARATION_VALUE_MAX;
+    return horizon ?? maxIter;
+}
+
+// Smallest per-pixel value shown by the colour scale: the finite-time Lyapunov exponent
+// is negative or near zero on regular orbits, so its scale is symmetric about zero;
+// every other metric starts at zero
+function getMetricValueMin(metric, sampleStatistic = null) {
+    if (sampleStatistic !== 'fraction' && metric === 'lyapunov') return -LYAPUNOV_VALUE_MAX;
+    return 0;
+}
+
+// Index of the 2π turn an angle is in; changes whenever the arm passes upright (±π)
+function flipTurn(theta) {
+    return Math.floor((theta + Math.PI) / (2 * Math.PI));
+}
+
+// Arms whose flip ends the flip-time metric (index = the shader's u_flipArm)
+const FLIP_ARMS = ['either', 'arm1', 'arm2'];
+
+// Integrate a single pendulum until the chosen arm ('either', 'arm1' or 'arm2') first
+// flips over the top; no perturbed twin is needed
+// Returns { value, flag }: steps until the flip (maxIter if never) and whether it flipped;
+// adaptive integrators report seconds (maxIter * dt if never)
+function simulateFlipTime(s, maxIter, dt, g, integrator = 'verlet', arm = 'either', tolerance = DEFAULT_TOLERANCE) {
+    const systems = [toSystem(s, g)];
+    const state = systems[0].state;
+    const clock = createClock(integrator, dt, maxIter, tolerance);
+    const watch1 = arm !== 'arm2';
+    const watch2 = arm !== 'arm1';
+    const turn1 = flipTurn(s.theta1);
+    const turn2 = flipTurn(s.theta2);
+    
+    while (advanceClock(clock, systems)) {
+        if ((watch1 && flipTurn(state.theta1) !== turn1) || (watch2 && flipTurn(state.theta2) !== turn2)) {
+            return { value: clockValue(clock), flag: true };
+        }
+    }
+    return { value: clockValue(clock), flag: false };
+}
+
+// Simulate two pendulums and evaluate one of CHAOS_METRICS
+// Returns { value, flag }:
+//   divergence      steps until divergence (maxIter if never), flag = diverged
+//   lyapunov        exponent in 1/s, flag = exponent > 0
+//   flip            steps until flipArm first flips (maxIter if never), flag = flipped;
+//                   s2 is ignored (see simulateFlipTime)
+//   maxSeparation   largest separation, flag = it exceeded threshold
+//   finalSeparation separation after maxIter steps, flag = it exceeds threshold
+// The step metrics stop early; the others always run maxIter steps. Separations are
+// taken with measure (see measureDivergence). Adaptive integrators run for maxIter * dt
+// seconds and report the step metrics in seconds.
+function simulateMetric(s1, s2, maxIter, threshold, dt, g, integrator = 'verlet', metric = 'divergence', flipArm = 'either', measure = null, tolerance = DEFAULT_TOLERANCE) {
+    if (metric === 'divergence') {
+        const result = simulateToDivergence(s1, s2, maxIter, threshold, dt, g, integrator, measure, tolerance);
+        const horizon = getAdaptiveHorizon(integrator, maxIter, dt);
+        return { value: result.diverged ? result.divergenceTime : (horizon ?? maxIter), flag: result.diverged };
+    }
+    if (metric === 'flip') {
+        return simulateFlipTime(s1, maxIter, dt, g, integrator, flipArm, tolerance);
+    }
+    
+    const systems = [toSystem(s1, g), toSystem(s2, g)];
+    const state1 = systems[0].state;
+    const state2 = systems[1].state;
+    const clock = createClock(integrator, dt, maxIter, tolerance);
+    
+    // The Lyapunov estimate keeps the twin d0 from the reference, starting from its
+    // initial offset. Twins that start together (e.g. with only a mass offset) have no
+    // direction to scale until they first separate, so their growth is averaged from then.
+    const d0 = threshold * LYAPUNOV_RENORM_FRACTION;
+    let maxDist = measureDivergence(s1, s2, measure);
+    let dist = maxDist;
+    let logGrowth = 0;
+    let growthStart = null;
+    if (metric === 'lyapunov' && dist > 0) {
+        renormalizeTwin(state1, state2, d0 / dist);
+        growthStart = 0;
+    }
+    
+    while (advanceClock(clock, systems)) {
+        dist = measureDivergence(state1, state2, measure);
+        if (dist > maxDist) maxDist = dist;
+        
+        const last = clock.adaptive ? clock.time >= clock.horizon * (1 - 1e-12) : clock.steps === maxIter;
+        if (metric === 'lyapunov' && (clock.steps % LYAPUNOV_RENORM_STEPS === 0 || last) && dist > 0) {
+            if (growthStart === null) {
+                growthStart = clock.adaptive ? clock.time : clock.steps * dt;
+            } else {
+                logGrowth += Math.log(dist / d0);
+            }
+            // Pull the twin back along the separation so it stays in the linear regime
+            renormalizeTwin(state1, state2, d0 / dist);
+        }
+    }
+    
+    if (metric === 'lyapunov') {
+        // Twins that never separate have no exponent to measure: 0
+        const span = growthStart === null ? 0 : clock.horizon - growthStart;
+        const value = span > 0 ? logGrowth / span : 0;
+        return { value, flag: value > 0 };
+    }
+    const value = metric === 'maxSeparation' ? maxDist : dist;
+    return { value, flag: value > threshold };
+}
+
+// Scale the twin's offset from the reference state by factor, using the same wrapped
+// angle differences as measureDivergence()
+function renormalizeTwin(state1, state2, factor) {
+    ['theta1', 'theta2'].forEach(key => {
+        let d = state2[key] - state1[key];
+        if (d > Math.PI) d -= 2 * Math.PI;
+        else if (d < -Math.PI) d += 2 * Math.PI;
+        state2[key] = state1[key] + d * factor;
+    });
+    state2.omega1 = state1.omega1 + (state2.omega1 - state1.omega1) * factor;
+    state2.omega2 = state1.omega2 + (state2.omega2 - state1.omega2) * factor;
+}
+
+// Ways of combining several perturbed twins of one pixel
+const SAMPLE_STATISTICS = ['mean', 'median', 'min', 'max', 'fraction'];
+
+// Combine the results of several twins of one pixel
+// steps: divergence step of each twin (maxIter if it never diverged), flags: 1 if it diverged
+// Returns { value, diverged }; value is in steps, or the fraction of twins that
+// diverged (0..1) for 'fraction'. Forbidden pixels (NaN steps) stay NaN.
+function combineSamples(steps, flags, statistic) {
+    const n = steps.length;
+    if (Number.isNaN(steps[0])) return { value: NaN, diverged: false };
+    
+    let divergedCount = 0;
+    for (let i = 0; i < n; i++) divergedCount += flags[i] ? 1 : 0;
+    
+    switch (statistic) {
+        case 'fraction':
+            return { value: divergedCount / n, diverged: divergedCount > 0 };
+        case 'min':
+            return { value: Math.min(...steps), diverged: divergedCount > 0 };
+        case 'max':
+            return { value: Math.max(...steps), diverged: divergedCount === n };
+        case 'median': {
+            const sorted = Array.from(steps).sort((a, b) => a - b);
+            const mid = n >> 1;
+            const value = n % 2 ? sorted[mid] : 0.5 * (sorted[mid - 1] + sorted[mid]);
+            return { value, diverged: divergedCount * 2 > n };
+        }
+        default: {
+            let sum = 0;
+            for (let i = 0; i < n; i++) sum += steps[i];
+            return { value: sum / n, diverged: divergedCount > 0 };
         }
     }
+}
+
+// Simple hash function for deterministic randomness
+function hash32(x) {
+    let h = x >>> 0;
+    h = ((h >>> 16) ^ h) * 0x45d9f3b;
+    h = ((h >>> 16) ^ h) * 0x45d9f3b;
+    h = (h >>> 16) ^ h;
+    return h >>> 0;
+}
+
+// Hash 2D coordinates to a seed
+function hash2D(x, y, seed = 0) {
+    let h = seed >>> 0;
+    h = hash32(h + x);
+    h = hash32(h + y);
+    return h;
+}
+
+// LCG random number generator with a given seed
+function seededRandom(seed) {
+    let s = seed >>> 0;
+    return function() {
+        s = (s * 1664525 + 1013904223) >>> 0;
+        return s / 4294967296;
+    };
+}
+
+// Perturb a state to start the twin pendulum
+// perturb: { mode: 'fixed' | 'random', fixed: {dim: offset}, random: {dim: {center, std}}, scale }
+// rand: uniform [0, 1) generator for random mode; seed it with hash2D(pixelX, pixelY)
+// so that every path sampling the same pixel gets the same twin
+function perturbState(baseState, perturb, rand = Math.random) {
+    const s = perturb.scale ?? 1.0;
     
-    return { iteration: iter, diverged, divergenceTime };
+    // Box-Muller for normal distribution
+    const randn = () => {
+        const u1 = rand();
+        const u2 = rand();
+        const r = Math.sqrt(-2 * Math.log(u1 + 0.0001));
+        const theta = 2 * Math.PI * u2;
+        return r * Math.cos(theta);
+    };
+    
+    // Draw order matters for reproducibility: theta1, theta2, omega1, omega2, l1, l2, m1, m2
+    const offset = perturb.mode === 'random'
+        ? (dim) => (perturb.random[dim].center + randn() * perturb.random[dim].std) * s
+        : (dim) => perturb.fixed[dim] * s;
+    
+    // Lengths and masses are clamped like in the shader; g, damping and drive are shared
+    return {
+        ...baseState,
+        theta1: baseState.theta1 + offset('theta1'),
+        theta2: baseState.theta2 + offset('theta2'),
+        omega1: baseState.omega1 + offset('omega1'),
+        omega2: baseState.omega2 + offset('omega2'),
+        l1: Math.max(0.1, baseState.l1 + offset('l1')),
+        l2: Math.max(0.1, baseState.l2 + offset('l2')),
+        m1: Math.max(0.1, baseState.m1 + offset('m1')),
+        m2: Math.max(0.1, baseState.m2 + offset('m2'))
+    };
 }
 
 // Export for different environments
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         computeAccelerations,
+        getForcing,
         computeDerivatives,
         stepVerlet,
         stepRK4,
+        stepYoshida4,
+        stepGaussLegendre,
+        stepDormandPrince,
+        ToleranceError,
+        INTEGRATORS,
+        GPU_INTEGRATORS,
+        ADAPTIVE_INTEGRATORS,
+        DEFAULT_TOLERANCE,
+        STEP_FUNCTIONS,
+        isAdaptiveIntegrator,
+        createClock,
+        advanceClock,
+        clockValue,
+        toSystem,
+        computeEnergy,
+        computeEnergyGradient,
+        ENERGY_SOLVE_DIMS,
+        solveVelocityForEnergy,
+        isForbiddenState,
+        DIVERGENCE_MEASURES,
+        DEFAULT_DIVERGENCE_MEASURE,
         measureDivergence,
-        simulateToDivergence
+        simulateToDivergence,
+        CHAOS_METRICS,
+        CONTINUOUS_METRICS,
+        LYAPUNOV_RENORM_STEPS,
+        LYAPUNOV_RENORM_FRACTION,
+        getAdaptiveHorizon,
+        getMetricValueMax,
+        getMetricValueMin,
+        simulateMetric,
+        FLIP_ARMS,
+        simulateFlipTime,
+        SAMPLE_STATISTICS,
+        combineSamples,
+        hash32,
+        hash2D,
+        seededRandom,
+        perturbState
     };
 }
 
@@ -179,11 +843,49 @@ if (typeof module !== 'undefined' && module.exports) {
 if (typeof window !== 'undefined') {
     window.CPUPhysics = {
         computeAccelerations,
+        getForcing,
         computeDerivatives,
         stepVerlet,
         stepRK4,
+        stepYoshida4,
+        stepGaussLegendre,
+        stepDormandPrince,
+        ToleranceError,
+        INTEGRATORS,
+        GPU_INTEGRATORS,
+        ADAPTIVE_INTEGRATORS,
+        DEFAULT_TOLERANCE,
+        STEP_FUNCTIONS,
+        isAdaptiveIntegrator,
+        createClock,
+        advanceClock,
+        clockValue,
+        toSystem,
+        computeEnergy,
+        computeEnergyGradient,
+        ENERGY_SOLVE_DIMS,
+        solveVelocityForEnergy,
+        isForbiddenState,
+        DIVERGENCE_MEASURES,
+        DEFAULT_DIVERGENCE_MEASURE,
         measureDivergence,
-        simulateToDivergence
+        simulateToDivergence,
+        CHAOS_METRICS,
+        CONTINUOUS_METRICS,
+        LYAPUNOV_RENORM_STEPS,
+        LYAPUNOV_RENORM_FRACTION,
+        getAdaptiveHorizon,
+        getMetricValueMax,
+        getMetricValueMin,
+        simulateMetric,
+        FLIP_ARMS,
+        simulateFlipTime,
+        SAMPLE_STATISTICS,
+        combineSamples,
+        hash32,
+        hash2D,
+        seededRandom,
+        perturbState
     };
 }
 
@@ -191,10 +893,48 @@ if (typeof window !== 'undefined') {
 if (typeof self !== 'undefined' && !self.window) {
     self.CPUPhysics = {
         computeAccelerations,
+        getForcing,
         computeDerivatives,
         stepVerlet,
         stepRK4,
+        stepYoshida4,
+        stepGaussLegendre,
+        stepDormandPrince,
+        ToleranceError,
+        INTEGRATORS,
+        GPU_INTEGRATORS,
+        ADAPTIVE_INTEGRATORS,
+        DEFAULT_TOLERANCE,
+        STEP_FUNCTIONS,
+        isAdaptiveIntegrator,
+        createClock,
+        advanceClock,
+        clockValue,
+        toSystem,
+        computeEnergy,
+        computeEnergyGradient,
+        ENERGY_SOLVE_DIMS,
+        solveVelocityForEnergy,
+        isForbiddenState,
+        DIVERGENCE_MEASURES,
+        DEFAULT_DIVERGENCE_MEASURE,
         measureDivergence,
-        simulateToDivergence
+        simulateToDivergence,
+        CHAOS_METRICS,
+        CONTINUOUS_METRICS,
+        LYAPUNOV_RENORM_STEPS,
+        LYAPUNOV_RENORM_FRACTION,
+        getAdaptiveHorizon,
+        getMetricValueMax,
+        getMetricValueMin,
+        simulateMetric,
+        FLIP_ARMS,
+        simulateFlipTime,
+        SAMPLE_STATISTICS,
+        combineSamples,
+        hash32,
+        hash2D,
+        seededRandom,
+        perturbState
     };
 }
@@ -0,0 +1,95 @@
+// Ensemble Cloud WebWorker
+// Integrates every member of an ensemble together with the shared cpu-physics.js
+// steppers and reports their lower-bob positions and the ensemble's spread
+
+importScripts('cpu-physics.js');
+
+let ensemble = null;
+
+self.onmessage = function(e) {
+    const { action, params } = e.data;
+    
+    if (action === 'start') {
+        const { states, integrator, dt, tolerance } = params;
+        const clock = self.CPUPhysics.createClock(integrator, dt, 0, tolerance);
+        clock.horizon = 0;
+        ensemble = {
+            systems: states.map(state => self.CPUPhysics.toSystem(state, 9.81)),
+            clock
+        };
+        postFrame(0);
+    } else if (action === 'advance') {
+        if (!ensemble) return;
+        advanceEnsemble(params.steps);
+        postFrame(params.steps);
+    } else if (action === 'stop') {
+        ensemble = null;
+    }
+};
+
+// Advance every member by steps steps of dt (steps * dt seconds for adaptive integrators,
+// which then share one step size across the ensemble)
+function advanceEnsemble(steps) {
+    const clock = ensemble.clock;
+    if (clock.adaptive) {
+        clock.horizon += steps * clock.dt;
+    } else {
+        clock.maxIter += steps;
+    }
+    while (self.CPUPhysics.advanceClock(clock, ensemble.systems)) {
+        // advanceClock() steps until the new limit
+    }
+}
+
+// Post lower-bob positions (x, y pairs in the preview's convention, y pointing down)
+// and the spread: standard deviation of the bob-2 position (m) and circular standard
+// deviations of the angles (rad)
+function postFrame(advanced) {
+    const { systems, clock } = ensemble;
+    const n = systems.length;
+    const coords = new Float64Array(n * 2);
+    
+    let sumX = 0, sumY = 0;
+    let cos1 = 0, sin1 = 0, cos2 = 0, sin2 = 0;
+    for (let i = 0; i < n; i++) {
+        const { state, l1, l2 } = systems[i];
+        const x = l1 * Math.sin(state.theta1) + l2 * Math.sin(state.theta2);
+        const y = l1 * Math.cos(state.theta1) + l2 * Math.cos(state.theta2);
+        coords[i * 2] = x;
+        coords[i * 2 + 1] = y;
+        
+        sumX += x;
+        sumY += y;
+        cos1 += Math.cos(state.theta1);
+        sin1 += Math.sin(state.theta1);
+        cos2 += Math.cos(state.theta2);
+        sin2 += Math.sin(state.theta2);
+    }
+    
+    // Second pass about the mean keeps tiny early spreads accurate
+    const meanX = sumX / n;
+    const meanY = sumY / n;
+    let variance = 0;
+    for (let i = 0; i < n; i++) {
+        const dx = coords[i * 2] - meanX;
+        const dy = coords[i * 2 + 1] - meanY;
+        variance += dx * dx + dy * dy;
+    }
+    variance /= n;
+    const circularStd = (c, s) => Math.sqrt(-2 * Math.log(Math.max(Math.hypot(c, s) / n, 1e-12)));
+    const positions = new Float32Array(coords);
+    
+    self.postMessage({
+        action: 'frame',
+        params: {
+            advanced,
+            time: clock.adaptive ? clock.time : clock.steps * clock.dt,
+            positions,
+            spread: {
+                position: Math.sqrt(variance),
+                theta1: circularStd(cos1, sin1),
+                theta2: circularStd(cos2, sin2)
+            }
+        }
+    }, [positions.buffer]);
+}
@@ -0,0 +1,190 @@
+// Animated GIF Encoder
+// Streams RGBA frames into a looping GIF89a with a fixed 256-colour palette
+// (a 6x6x6 colour cube plus 40 greys), so frames can be encoded as they are
+// captured without holding the whole animation in memory.
+
+// Fixed palette as [r, g, b] bytes: 216 cube colours, then greys
+function buildGifPalette() {
+    const palette = [];
+    const levels = [0, 51, 102, 153, 204, 255];
+    for (const r of levels) {
+        for (const g of levels) {
+            for (const b of levels) {
+                palette.push([r, g, b]);
+            }
+        }
+    }
+    for (let i = 0; i < 40; i++) {
+        const v = Math.round((i + 1) * 255 / 41);
+        palette.push([v, v, v]);
+    }
+    return palette;
+}
+
+const GIF_PALETTE = buildGifPalette();
+
+// Nearest palette index for every colour quantised to 5 bits per channel
+function buildGifColorLookup(palette) {
+    const lookup = new Uint8Array(32768);
+    for (let key = 0; key < 32768; key++) {
+        const r = ((key >> 10) & 31) * 255 / 31;
+        const g = ((key >> 5) & 31) * 255 / 31;
+        const b = (key & 31) * 255 / 31;
+        let best = 0;
+        let bestDist = Infinity;
+        for (let i = 0; i < palette.length; i++) {
+            const dr = r - palette[i][0];
+            const dg = g - palette[i][1];
+            const db = b - palette[i][2];
+            const dist = dr * dr + dg * dg + db * db;
+            if (dist < bestDist) {
+                bestDist = dist;
+                best = i;
+            }
+        }
+        lookup[key] = best;
+    }
+    return lookup;
+}
+
+// Variable-length LZW compression of palette indices, as GIF image data
+// Returns the code stream packed into bytes (before splitting into sub-blocks)
+function lzwEncodeGif(indices, minCodeSize = 8) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const bytes = [];
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+    
+    const emit = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            bytes.push(bitBuffer & 0xff);
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
+    
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = (prefix << 8) | k;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+        
+        emit(prefix);
+        if (nextCode === 4096) {
+            // Table full: start over
+            emit(clearCode);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = k;
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) bytes.push(bitBuffer & 0xff);
+    
+    return bytes;
+}
+
+class GifEncoder {
+    // loop: repeat count, 0 = forever
+    constructor(width, height, loop = 0) {
+        this.width = width;
+        this.height = height;
+        this.lookup = buildGifColorLookup(GIF_PALETTE);
+        this.indices = new Uint8Array(width * height);
+        this.parts = [];
+        
+        const header = [];
+        writeAscii(header, 'GIF89a');
+        writeUint16(header, width);
+        writeUint16(header, height);
+        header.push(0xf7, 0, 0); // Global colour table of 256 entries, background 0, square pixels
+        GIF_PALETTE.forEach(rgb => header.push(rgb[0], rgb[1], rgb[2]));
+        
+        // NETSCAPE2.0 application extension: loop count
+        header.push(0x21, 0xff, 0x0b);
+        writeAscii(header, 'NETSCAPE2.0');
+        header.push(0x03, 0x01);
+        writeUint16(header, loop);
+        header.push(0x00);
+        
+        this.parts.push(new Uint8Array(header));
+    }
+    
+    // Append a frame of RGBA bytes (width * height * 4), shown for delay hundredths of a second
+    addFrame(rgba, delay) {
+        const indices = this.indices;
+        for (let i = 0, p = 0; i < indices.length; i++, p += 4) {
+            indices[i] = this.lookup[((rgba[p] >> 3) << 10) | ((rgba[p + 1] >> 3) << 5) | (rgba[p + 2] >> 3)];
+        }
+        
+        const block = [];
+        // Graphic control extension: no disposal, delay, no transparency
+        block.push(0x21, 0xf9, 0x04, 0x04);
+        writeUint16(block, Math.max(0, Math.round(delay)));
+        block.push(0x00, 0x00);
+        
+        // Image descriptor covering the whole canvas, no local colour table
+        block.push(0x2c);
+        writeUint16(block, 0);
+        writeUint16(block, 0);
+        writeUint16(block, this.width);
+        writeUint16(block, this.height);
+        block.push(0x00);
+        
+        // LZW data in sub-blocks of at most 255 bytes
+        block.push(8);
+        const data = lzwEncodeGif(indices, 8);
+        for (let i = 0; i < data.length; i += 255) {
+            const size = Math.min(255, data.length - i);
+            block.push(size);
+            for (let j = 0; j < size; j++) block.push(data[i + j]);
+        }
+        block.push(0x00);
+        
+        this.parts.push(new Uint8Array(block));
+    }
+    
+    // Byte parts of the finished file (for a Blob or Buffer.concat())
+    finish() {
+        this.parts.push(new Uint8Array([0x3b]));
+        return this.parts;
+    }
+}
+
+function writeAscii(bytes, text) {
+    for (let i = 0; i < text.length; i++) bytes.push(text.charCodeAt(i));
+}
+
+function writeUint16(bytes, value) {
+    bytes.push(value & 0xff, (value >> 8) & 0xff);
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GIF_PALETTE,
+        lzwEncodeGif,
+        GifEncoder
+    };
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.GifEncoder = GifEncoder;
+}
@@ -16,8 +16,8 @@ class CPUPendulumSimulation {
             throw new Error('Canvas 2D context not supported');
         }
         
-        // Physics parameters
-        this.g = options.g || 9.81;
+        // Physics parameters (l1, l2, m1, m2 are the reference pendulum's)
+        this.g = options.g ?? 9.81;
         this.dt = options.dt || 0.002;
         this.l1 = options.l1 || 1.0;
         this.l2 = options.l2 || 1.0;
@@ -25,7 +25,13 @@ class CPUPendulumSimulation {
         this.m2 = options.m2 || 1.0;
         this.threshold = options.threshold || 0.05;
         this.maxTrailLength = options.maxTrailLength || 2000;
-        this.integrator = options.integrator || 'verlet'; // 'verlet' or 'rk4'
+        this.integrator = options.integrator || 'verlet'; // One of CPUPhysics.INTEGRATORS
+        this.tolerance = options.tolerance || 1e-8;        // Error tolerance of adaptive integrators
+        this.adaptiveStep = this.dt;                        // Next substep the adaptive integrator tries
+        this.divergenceMeasure = options.divergenceMeasure || null; // See CPUPhysics.measureDivergence
+        
+        // Joint damping and drive torque on joint 1 (null when conservative)
+        this.forcing = window.CPUPhysics ? window.CPUPhysics.getForcing(options) : null;
         
         // Pre-compute mass sum for acceleration calculations
         this.M = this.m1 + this.m2;
@@ -64,12 +70,26 @@ class CPUPendulumSimulation {
             this.state2 = { theta1: 1.00001, theta2: 0.50001, omega1: 0, omega2: 0 };
         }
         
+        // Lengths and masses of the perturbed pendulum: its initial state's own (a length
+        // or mass perturbation gives it different ones), else the reference's
+        this.twinParams = this.getTwinParams(options.initialState2);
+        
         // Trail history - use flat arrays for better memory layout
         // Each trail point: x, y (alpha is constant, don't store)
         this.trail1 = [];
         this.trail2 = [];
         this.maxTrailPoints = 5000; // Limit trail length to prevent unbounded growth
         
+        // Poincaré section: the other arm's (theta, omega) each time section.variable crosses
+        // section.value going up (direction 1), down (-1) or either way (0)
+        // Points are flat [theta, omega, ...] arrays; the oldest go past maxPoincarePoints.
+        this.poincareSection = options.poincareSection || { variable: 'theta2', value: 0, direction: 1 };
+        this.poincare1 = [];
+        this.poincare2 = [];
+        this.maxPoincarePoints = 20000;
+        this.sectionPrev1 = { ...this.state1 };
+        this.sectionPrev2 = { ...this.state2 };
+        
         // Simulation tracking
         this.frameCount = 0;
         this.divergenceTime = null;
@@ -87,36 +107,59 @@ class CPUPendulumSimulation {
         this.updatePositions();
     }
     
-    // Pre-compute scale based on pendulum lengths
+    // Lengths and masses of a perturbed initial state, falling back to the reference's
+    getTwinParams(state) {
+        return {
+            l1: state?.l1 ?? this.l1,
+            l2: state?.l2 ?? this.l2,
+            m1: state?.m1 ?? this.m1,
+            m2: state?.m2 ?? this.m2
+        };
+    }
+    
+    // Pre-compute scale based on pendulum lengths (the longer of the two pendulums fits)
     _updateScale() {
         const w = this.canvas.width;
         const h = this.canvas.height;
-        const maxReach = this.l1 + this.l2;
+        const maxReach = Math.max(this.l1 + this.l2, this.twinParams.l1 + this.twinParams.l2);
         const minDimension = Math.min(w, h);
         this.scale = (minDimension * 0.4) / maxReach;
     }
     
     // Use shared physics engine for stepping
-    stepState(s) {
+    // params: the stepped pendulum's lengths and masses (this, or this.twinParams)
+    stepState(s, params = this) {
         if (window.CPUPhysics) {
             // Use shared physics engine
-            if (this.integrator === 'rk4') {
-                window.CPUPhysics.stepRK4(s, this.l1, this.l2, this.m1, this.m2, this.dt, this.g);
-            } else {
-                window.CPUPhysics.stepVerlet(s, this.l1, this.l2, this.m1, this.m2, this.dt, this.g);
-            }
+            const stepFn = window.CPUPhysics.STEP_FUNCTIONS[this.integrator] || window.CPUPhysics.stepVerlet;
+            stepFn(s, params.l1, params.l2, params.m1, params.m2, this.dt, this.g, this.forcing);
         } else {
             // Fallback to inline implementation if CPUPhysics not loaded
-            this.stepInline(s);
+            this.stepInline(s, params);
+        }
+    }
+    
+    // Advance both pendulums by dt with the adaptive integrator, in as many substeps
+    // as its tolerance needs (both share each substep so they stay comparable)
+    // Throws a ToleranceError where no substep meets the tolerance
+    stepPairAdaptive() {
+        const systems = [[this.state1, this], [this.state2, this.twinParams]].map(([state, params]) => ({
+            state, l1: params.l1, l2: params.l2, m1: params.m1, m2: params.m2, g: this.g, forcing: this.forcing
+        }));
+        let remaining = this.dt;
+        while (remaining > this.dt * 1e-12) {
+            const { taken, next } = window.CPUPhysics.stepDormandPrince(systems, Math.min(this.adaptiveStep, remaining), this.tolerance);
+            remaining -= taken;
+            this.adaptiveStep = next;
         }
     }
     
     // Inline step implementation (fallback)
-    stepInline(s) {
+    stepInline(s, params = this) {
         const dt = this.dt;
         const halfDt = 0.5 * dt;
         const g = this.g;
-        const l1 = this.l1, l2 = this.l2, m1 = this.m1, m2 = this.m2;
+        const l1 = params.l1, l2 = params.l2, m1 = params.m1, m2 = params.m2;
         
         // Compute accelerations
         const M = m1 + m2;
@@ -173,13 +216,15 @@ class CPUPendulumSimulation {
         s.omega2 += halfDt * newAlpha2;
     }
     
-    // Measure divergence between two states using shared physics
+    // Measure divergence between two states using shared physics and the configured
+    // measure; the bob and energy measures use the reference's lengths, masses and g,
+    // as the map renderers do
     measureDivergence(s1, s2) {
         if (window.CPUPhysics) {
-            return window.CPUPhysics.measureDivergence(s1, s2);
+            return window.CPUPhysics.measureDivergence(s1, s2, this.divergenceMeasure, this);
         }
         
-        // Fallback inline
+        // Fallback inline (unweighted Euclidean)
         let dTheta1 = s1.theta1 - s2.theta1;
         let dTheta2 = s1.theta2 - s2.theta2;
         
@@ -195,33 +240,42 @@ class CPUPendulumSimulation {
         return Math.sqrt(dTheta1 * dTheta1 + dTheta2 * dTheta2 + dOmega1 * dOmega1 + dOmega2 * dOmega2);
     }
     
-    // Convert state to Cartesian coordinates
-    stateToPosition(s, out) {
+    // Convert state to Cartesian coordinates with the given pendulum's lengths
+    stateToPosition(s, out, params = this) {
         const sinT1 = Math.sin(s.theta1);
         const cosT1 = Math.cos(s.theta1);
         const sinT2 = Math.sin(s.theta2);
         const cosT2 = Math.cos(s.theta2);
         
-        out.x1 = this.l1 * sinT1;
-        out.y1 = this.l1 * cosT1;
-        out.x2 = out.x1 + this.l2 * sinT2;
-        out.y2 = out.y1 + this.l2 * cosT2;
+        out.x1 = params.l1 * sinT1;
+        out.y1 = params.l1 * cosT1;
+        out.x2 = out.x1 + params.l2 * sinT2;
+        out.y2 = out.y1 + params.l2 * cosT2;
     }
     
     // Update cached positions
     updatePositions() {
         this.stateToPosition(this.state1, this.pos1);
-        this.stateToPosition(this.state2, this.pos2);
+        this.stateToPosition(this.state2, this.pos2, this.twinParams);
     }
     
     // Step both pendulums forward
     step(steps = 1) {
         for (let i = 0; i < steps; i++) {
+            copyPendulumState(this.state1, this.sectionPrev1);
+            copyPendulumState(this.state2, this.sectionPrev2);
+            
             // Step BOTH pendulums FIRST (must be at same time point for comparison)
-            this.stepState(this.state1);
-            this.stepState(this.state2);
+            if (window.CPUPhysics && window.CPUPhysics.isAdaptiveIntegrator(this.integrator)) {
+                this.stepPairAdaptive();
+            } else {
+                this.stepState(this.state1);
+                this.stepState(this.state2, this.twinParams);
+            }
             
             this.frameCount++;
+            this.recordSectionCrossing(this.sectionPrev1, this.state1, this.poincare1);
+            this.recordSectionCrossing(this.sectionPrev2, this.state2, this.poincare2);
             
             // Check divergence AFTER both have stepped (matches GPU behavior)
             if (!this.diverged) {
@@ -247,6 +301,42 @@ class CPUPendulumSimulation {
         }
     }
     
+    // Angle past the section value, wrapped to [-π, π)
+    sectionOffset(angle) {
+        return wrapPendulumAngle(angle - this.poincareSection.value);
+    }
+    
+    // Add a Poincaré point if the section variable crossed the section in the chosen
+    // direction between prev and state (interpolated linearly within the step)
+    recordSectionCrossing(prev, state, points) {
+        const section = this.poincareSection;
+        const before = this.sectionOffset(prev[section.variable]);
+        const after = this.sectionOffset(state[section.variable]);
+        
+        // A sign change across ±π is the angle wrapping round, not a crossing
+        if (Math.abs(after - before) > Math.PI) return;
+        const up = before < 0 && after >= 0;
+        const down = before >= 0 && after < 0;
+        if (!(up && section.direction >= 0) && !(down && section.direction <= 0)) return;
+        
+        const f = before / (before - after);
+        const other = section.variable === 'theta2' ? 1 : 2;
+        const theta = prev[`theta${other}`] + f * (state[`theta${other}`] - prev[`theta${other}`]);
+        const omega = prev[`omega${other}`] + f * (state[`omega${other}`] - prev[`omega${other}`]);
+        points.push(wrapPendulumAngle(theta), omega);
+        
+        if (points.length > this.maxPoincarePoints * 2) {
+            points.splice(0, points.length - this.maxPoincarePoints * 2);
+        }
+    }
+    
+    // Change the Poincaré section, discarding the points recorded so far
+    setPoincareSection(section) {
+        this.poincareSection = { ...section };
+        this.poincare1 = [];
+        this.poincare2 = [];
+    }
+    
     // Compute and store energy (called periodically, not every frame)
     computeAndStoreEnergy() {
         const s = this.state1;
@@ -325,7 +415,7 @@ class CPUPendulumSimulation {
         this.drawMasses(this.pos1, this.m1, this.m2, 'rgb(100, 200, 255)', 'rgb(150, 220, 255)');
         
         // Draw masses for perturbed pendulum
-        this.drawMasses(this.pos2, this.m1, this.m2, 'rgb(255, 150, 50)', 'rgb(255, 180, 100)');
+        this.drawMasses(this.pos2, this.twinParams.m1, this.twinParams.m2, 'rgb(255, 150, 50)', 'rgb(255, 180, 100)');
         
         // Draw divergence label if diverged
         if (this.diverged) {
@@ -626,31 +716,45 @@ class CPUPendulumSimulation {
             this.state1.theta2 = options.initialState1.theta2;
             this.state1.omega1 = options.initialState1.omega1;
             this.state1.omega2 = options.initialState1.omega2;
+            this.state1.t = 0;
         }
         if (options.initialState2) {
             this.state2.theta1 = options.initialState2.theta1;
             this.state2.theta2 = options.initialState2.theta2;
             this.state2.omega1 = options.initialState2.omega1;
             this.state2.omega2 = options.initialState2.omega2;
+            this.state2.t = 0;
         }
         if (options.l1 !== undefined) this.l1 = options.l1;
         if (options.l2 !== undefined) this.l2 = options.l2;
+        if (options.initialState2 || ['l1', 'l2', 'm1', 'm2'].some(key => options[key] !== undefined)) {
+            this.twinParams = this.getTwinParams(options.initialState2);
+        }
         if (options.dt !== undefined) this.dt = options.dt;
+        if (options.g !== undefined) this.g = options.g;
+        if (['damping1', 'damping2', 'torqueAmp', 'torqueFreq'].some(key => options[key] !== undefined) && window.CPUPhysics) {
+            this.forcing = window.CPUPhysics.getForcing({ ...this.forcing, ...options });
+        }
         if (options.threshold !== undefined) this.threshold = options.threshold;
         if (options.integrator !== undefined) this.integrator = options.integrator;
+        if (options.tolerance !== undefined) this.tolerance = options.tolerance;
+        if (options.divergenceMeasure !== undefined) this.divergenceMeasure = options.divergenceMeasure;
         
         // Recompute scale if lengths changed
-        if (options.l1 !== undefined || options.l2 !== undefined) {
+        if (options.l1 !== undefined || options.l2 !== undefined || options.initialState2) {
             this._updateScale();
         }
         
         this.frameCount = 0;
         this.divergenceTime = null;
         this.diverged = false;
+        this.adaptiveStep = this.dt;
         this.trail1 = [];
         this.trail2 = [];
         this.energyHistory = [];
         this.energyFrameCounter = 0;
+        this.poincare1 = [];
+        this.poincare2 = [];
         
         // Clear energy canvases
         if (this.energyCtx && this.energyCanvas) {
@@ -670,9 +774,24 @@ class CPUPendulumSimulation {
         this.trail1 = [];
         this.trail2 = [];
         this.energyHistory = [];
+        this.poincare1 = [];
+        this.poincare2 = [];
     }
 }
 
+// Copy the angles and velocities of a pendulum state into target
+function copyPendulumState(state, target) {
+    target.theta1 = state.theta1;
+    target.theta2 = state.theta2;
+    target.omega1 = state.omega1;
+    target.omega2 = state.omega2;
+}
+
+// Wrap an angle to [-π, π)
+function wrapPendulumAngle(angle) {
+    return angle - 2 * Math.PI * Math.floor((angle + Math.PI) / (2 * Math.PI));
+}
+
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { CPUPendulumSimulation };
@@ -0,0 +1,212 @@
+// Double Pendulum Chaos Map - Raw Data Grid Format
+// Sidecar, .npy and CSV encoding of a render's per-pixel data, shared by the
+// browser export and the headless Node renderer
+
+const RENDER_DATA_FORMAT = 'chaos-map-data';
+const RENDER_DATA_VERSION = 1;
+
+// Channel order of the exported .npy array (last axis); the first two are renamed
+// after the grid's metric and sample statistic
+const RENDER_DATA_CHANNELS = ['divergence_steps', 'diverged', 'x', 'y'];
+
+// Initial-condition values of the two mapped dimensions for each pixel column and row
+// Mirrors the coordinate mapping shared by the GPU and CPU paths: pixel centres,
+// top row at the layer maximum, log/symlog axis scaling, lengths and masses
+// clamped to 0.1.
+function computeAxisValues(res, shaderParams) {
+    const dims = shaderParams.layerDims || ['theta1', 'theta2'];
+    const fixed = shaderParams.fixedState || [0, 0, 0, 0];
+    const basis = {
+        theta1: fixed[0], theta2: fixed[1], omega1: fixed[2], omega2: fixed[3],
+        l1: shaderParams.l1, l2: shaderParams.l2, m1: shaderParams.m1, m2: shaderParams.m2,
+        g: shaderParams.g, damping1: shaderParams.damping1, damping2: shaderParams.damping2,
+        torqueAmp: shaderParams.torqueAmp, torqueFreq: shaderParams.torqueFreq
+    };
+    const isPhysical = (dim) => ['l1', 'l2', 'm1', 'm2'].includes(dim);
+    
+    const toState = (dim, out) => {
+        let value = shaderParams.deltaMode ? (basis[dim] ?? 0) + out : out;
+        if (isPhysical(dim)) value = Math.max(0.1, value);
+        return value;
+    };
+    
+    const [scale1, scale2] = shaderParams.axisScales || ['linear', 'linear'];
+    const [threshold1, threshold2] = shaderParams.symlogThresholds || [1, 1];
+    
+    const xValues = new Float64Array(res);
+    const yValues = new Float64Array(res);
+    
+    for (let i = 0; i < res; i++) {
+        const n = (i + 0.5) / res;
+        const outX = AxisScale.fromScaled(shaderParams.centerX + (n * 2.0 - 1.0) * shaderParams.scaleX, scale1, threshold1);
+        const outY = AxisScale.fromScaled(shaderParams.centerY + ((1.0 - n) * 2.0 - 1.0) * shaderParams.scaleY, scale2, threshold2);
+        xValues[i] = toState(dims[0], outX);
+        yValues[i] = toState(dims[1], outY);
+    }
+    
+    return { xValues, yValues };
+}
+
+// Channel names of an exported grid; the value and flag channels depend on the
+// metric, and the value channel also on the sample statistic
+function getRenderDataChannels(grid) {
+    const info = METRIC_INFO[grid.metric ?? 'divergence'];
+    const channels = RENDER_DATA_CHANNELS.slice();
+    const valueChannel = grid.adaptive && info.timeChannel ? info.timeChannel : info.channel;
+    channels[0] = grid.sampleStatistic === 'fraction' ? `${info.flag}_fraction` : valueChannel;
+    channels[1] = info.flag;
+    return channels;
+}
+
+// Sidecar description of the value channel of a grid
+function describeRenderDataValues(grid) {
+    const metric = grid.metric ?? 'divergence';
+    if (grid.sampleStatistic === 'fraction') {
+        return `fraction of the perturbed twins whose ${METRIC_INFO[metric].flag} flag is set (0..1)`;
+    }
+    // Adaptive integrators run for params.maxIter * params.dt seconds and report times in seconds
+    const span = grid.adaptive ? 'params.maxIter * params.dt seconds' : 'params.maxIter steps';
+    const time = grid.adaptive
+        ? 'seconds (adaptive params.integrator, params.tolerance)'
+        : 'integration steps';
+    const timeNote = grid.adaptive
+        ? 'equals params.maxIter * params.dt'
+        : 'multiply by params.dt for seconds. Equals params.maxIter';
+    switch (metric) {
+        case 'lyapunov':
+            return `finite-time Lyapunov exponent in 1/s: mean log growth rate of the twin separation, renormalised every ${CPUPhysics.LYAPUNOV_RENORM_STEPS} steps to ${CPUPhysics.LYAPUNOV_RENORM_FRACTION} × params.threshold, over ${span}`;
+        case 'flip': {
+            const arm = { arm1: 'arm 1', arm2: 'arm 2' }[grid.flipArm] || 'either arm';
+            return `${time} until ${arm} of the unperturbed pendulum first passed upright (±π); ${timeNote} where flipped = 0`;
+        }
+        case 'maxSeparation':
+            return `largest separation of the twins within ${span}, measured with params.divergenceMeasure`;
+        case 'finalSeparation':
+            return `separation of the twins after ${span}, measured with params.divergenceMeasure`;
+        default:
+            return `${time} until the pair separated past the threshold; ${timeNote} where diverged = 0`;
+    }
+}
+
+// JSON sidecar describing an exported data grid
+function buildRenderDataSidecar(grid, files) {
+    const scales = grid.axisScales || ['linear', 'linear'];
+    const axisInfo = (dim, i) => ({
+        dim,
+        label: DIM_INFO[dim]?.label || dim,
+        unit: DIM_INFO[dim]?.unit || '',
+        scale: scales[i]
+    });
+    
+    return {
+        format: RENDER_DATA_FORMAT,
+        version: RENDER_DATA_VERSION,
+        exportedAt: new Date().toISOString(),
+        files,
+        renderMode: grid.renderMode,
+        complete: grid.complete,
+        width: grid.width,
+        height: grid.height,
+        rowOrder: 'top-to-bottom',
+        channels: getRenderDataChannels(grid),
+        metric: grid.metric ?? 'divergence',
+        // Flip-time maps: which arm's flip counts (either, arm1 or arm2)
+        flipArm: grid.flipArm ?? null,
+        samplesPerPixel: grid.samplesPerPixel,
+        sampleStatistic: grid.sampleStatistic,
+        divergenceUnits: describeRenderDataValues(grid),
+        axes: {
+            x: axisInfo(grid.dims[0], 0),
+            y: axisInfo(grid.dims[1], 1),
+            deltaMode: grid.deltaMode,
+            // Oblique layers: x and y are plane coordinates u, v and the initial state is
+            // the basis plus u * dir1 + v * dir2 over these dimensions
+            plane: grid.obliqueDirs ? {
+                dims: OBLIQUE_DIMS,
+                dir1: grid.obliqueDirs[0],
+                dir2: grid.obliqueDirs[1]
+            } : null
+        },
+        // Fixed-energy layers: the solveFor velocity of each pixel's initial state gives it
+        // a total energy of exactly energy (J); pixels where that has no real solution are
+        // forbidden and hold NaN in the first channel
+        energyConstraint: grid.energyConstraint || null,
+        // Pixels whose adaptive integration could not meet its tolerance; they also hold NaN
+        toleranceFailures: grid.toleranceFailures ?? 0,
+        stack: grid.viewState.stack,
+        params: grid.viewState.params,
+        color: grid.viewState.color
+    };
+}
+
+// Build a NumPy .npy (format 1.0) file of shape (height, width, 4), little-endian float32
+// Returns its byte parts (preamble, header, body) for a Blob or Buffer.concat()
+function buildRenderDataNpyParts(grid) {
+    const { width, height } = grid;
+    const channels = RENDER_DATA_CHANNELS.length;
+    
+    let header = `{'descr': '<f4', 'fortran_order': False, 'shape': (${height}, ${width}, ${channels}), }`;
+    // Magic (6) + version (2) + header length (2) + header must be a multiple of 64
+    const preambleLength = 10;
+    const padding = 64 - ((preambleLength + header.length + 1) % 64);
+    header += ' '.repeat(padding % 64) + '\n';
+    
+    const preamble = new Uint8Array(preambleLength);
+    preamble.set([0x93, 0x4E, 0x55, 0x4D, 0x50, 0x59, 1, 0]); // \x93NUMPY v1.0
+    new DataView(preamble.buffer).setUint16(8, header.length, true);
+    
+    const body = new Float32Array(width * height * channels);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            const o = i * channels;
+            body[o] = grid.divergence[i];
+            body[o + 1] = grid.diverged[i];
+            body[o + 2] = grid.xValues[x];
+            body[o + 3] = grid.yValues[y];
+        }
+    }
+    
+    // Float32Array uses platform byte order; swap if this machine is big-endian
+    const littleEndian = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+    if (!littleEndian) {
+        const view = new DataView(body.buffer);
+        for (let i = 0; i < body.length; i++) view.setFloat32(i * 4, body[i], true);
+    }
+    
+    return [preamble, new TextEncoder().encode(header), new Uint8Array(body.buffer)];
+}
+
+// Build CSV text with one row per pixel, as chunks of rows
+function buildRenderDataCsvChunks(grid) {
+    const { width, height } = grid;
+    const channels = getRenderDataChannels(grid);
+    const chunks = [`px,py,x_${grid.dims[0]},y_${grid.dims[1]},${channels[0]},${channels[1]}\n`];
+    
+    for (let y = 0; y < height; y++) {
+        let rows = '';
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            rows += `${x},${y},${grid.xValues[x]},${grid.yValues[y]},${grid.divergence[i]},${grid.diverged[i]}\n`;
+        }
+        chunks.push(rows);
+    }
+    
+    return chunks;
+}
+
+// Export for Node (headless renderer)
+// buildRenderDataSidecar() reads the DIM_INFO, METRIC_INFO and CPUPhysics globals,
+// which the caller provides there
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RENDER_DATA_FORMAT,
+        RENDER_DATA_VERSION,
+        RENDER_DATA_CHANNELS,
+        computeAxisValues,
+        getRenderDataChannels,
+        buildRenderDataSidecar,
+        buildRenderDataNpyParts,
+        buildRenderDataCsvChunks
+    };
+}
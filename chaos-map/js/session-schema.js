@@ -0,0 +1,293 @@
+// Double Pendulum Chaos Map - Session Document Format
+// Shared by the session import/export methods and the headless Node renderer
+
+const SESSION_FORMAT = 'chaos-map-session';
+const SESSION_VERSION = 1;
+
+// Allowed ranges for imported values
+const SESSION_LIMITS = {
+    dt: { min: 1e-6, max: 1 },
+    maxIter: { min: 1, max: 100000 },      // Shader MAX_ITERATIONS
+    threshold: { min: 1e-12, max: 1e6 },
+    tolerance: { min: 1e-14, max: 1e-2 },  // Adaptive integrator error tolerance
+    resolution: { min: 16, max: 8192 },
+    samplesPerPixel: { min: 1, max: 256 },
+    perturbScale: { min: 0, max: 1e6 },
+    cyclePeriod: { min: 1, max: 1e9 },
+    colorMapping: { min: 0, max: 8 },      // colorMappingSelect options
+    hueMapping: { min: 0, max: 7 },        // hueMappingSelect options
+    clip: { min: 0, max: 100000 },         // Colour clip range in the metric's units (null = automatic)
+    signedClip: { min: -100000, max: 100000 }, // Clip range of metrics with negative values (Lyapunov exponent)
+    physicalMin: 0.1                       // Lower clamp for lengths and masses
+};
+
+const SESSION_INTEGRATORS = ['rk4', 'verlet', 'yoshida4', 'gauss2', 'rk45']; // CPUPhysics.INTEGRATORS
+const SESSION_PERTURB_MODES = ['fixed', 'random'];
+
+// Validate a parsed session document
+// Returns an array of human-readable problems (empty when valid)
+function validateSessionDocument(doc) {
+    const errors = [];
+    const isNum = (v) => typeof v === 'number' && isFinite(v);
+    const checkRange = (path, value, limits, integer = false) => {
+        if (!isNum(value)) {
+            errors.push(`${path} must be a number (got ${JSON.stringify(value)})`);
+        } else if (integer && !Number.isInteger(value)) {
+            errors.push(`${path} must be an integer (got ${value})`);
+        } else if (value < limits.min || value > limits.max) {
+            errors.push(`${path} = ${value} is out of range [${limits.min}, ${limits.max}]`);
+        }
+    };
+    const checkDim = (path, dim) => {
+        if (!DIM_INFO[dim]) {
+            errors.push(`${path}: unknown dimension "${dim}" (expected one of ${Object.keys(DIM_INFO).join(', ')})`);
+            return false;
+        }
+        return true;
+    };
+    const checkState = (path, state) => {
+        if (!state || typeof state !== 'object') {
+            errors.push(`${path} must be an object`);
+            return;
+        }
+        Object.keys(state).forEach(key => {
+            if (!checkDim(`${path}.${key}`, key)) return;
+            const value = state[key];
+            if (!isNum(value)) {
+                errors.push(`${path}.${key} must be a number (got ${JSON.stringify(value)})`);
+            } else if (['l1', 'l2', 'm1', 'm2'].includes(key) && value < SESSION_LIMITS.physicalMin) {
+                errors.push(`${path}.${key} = ${value} is below the minimum of ${SESSION_LIMITS.physicalMin}`);
+            }
+        });
+    };
+    // Oblique layer direction: numbers over OBLIQUE_DIMS, not all zero
+    const checkDirection = (path, dir) => {
+        if (!dir || typeof dir !== 'object') {
+            errors.push(`${path} must be an object`);
+            return;
+        }
+        Object.keys(dir).forEach(key => {
+            if (!OBLIQUE_DIMS.includes(key)) {
+                errors.push(`${path}: "${key}" cannot be a direction component (expected one of ${OBLIQUE_DIMS.join(', ')})`);
+            } else if (!isNum(dir[key])) {
+                errors.push(`${path}.${key} must be a number (got ${JSON.stringify(dir[key])})`);
+            }
+        });
+        if (!OBLIQUE_DIMS.some(key => isNum(dir[key]) && dir[key] !== 0)) {
+            errors.push(`${path} must have at least one non-zero component`);
+        }
+    };
+    
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+        return ['File does not contain a JSON object'];
+    }
+    if (doc.format !== SESSION_FORMAT) {
+        errors.push(`format must be "${SESSION_FORMAT}" (got ${JSON.stringify(doc.format)})`);
+    }
+    if (!Number.isInteger(doc.version) || doc.version < 1) {
+        errors.push(`version must be a positive integer (got ${JSON.stringify(doc.version)})`);
+    } else if (doc.version > SESSION_VERSION) {
+        errors.push(`version ${doc.version} was written by a newer release (this page reads up to ${SESSION_VERSION})`);
+    }
+    
+    // Transformation stack
+    if (!Array.isArray(doc.stack) || doc.stack.length === 0) {
+        errors.push('stack must be a non-empty array');
+    } else {
+        doc.stack.forEach((item, i) => {
+            const path = `stack[${i}]`;
+            if (!item || typeof item !== 'object') {
+                errors.push(`${path} must be an object`);
+            } else if (item.type === 'layer') {
+                if (item.kind === 'oblique') {
+                    checkDirection(`${path}.dir1`, item.dir1);
+                    checkDirection(`${path}.dir2`, item.dir2);
+                } else {
+                    checkDim(`${path}.dim1`, item.dim1);
+                    checkDim(`${path}.dim2`, item.dim2);
+                }
+                ['min1', 'max1', 'min2', 'max2'].forEach(key => {
+                    if (!isNum(item[key])) errors.push(`${path}.${key} must be a number (got ${JSON.stringify(item[key])})`);
+                });
+                if (isNum(item.min1) && isNum(item.max1) && item.min1 >= item.max1) {
+                    errors.push(`${path}: min1 (${item.min1}) must be less than max1 (${item.max1})`);
+                }
+                if (isNum(item.min2) && isNum(item.max2) && item.min2 >= item.max2) {
+                    errors.push(`${path}: min2 (${item.min2}) must be less than max2 (${item.max2})`);
+                }
+                // Axis scaling (optional; older sessions are linear)
+                [1, 2].forEach(axis => {
+                    const scale = item[`scale${axis}`];
+                    const threshold = item[`threshold${axis}`];
+                    if (scale !== undefined && !AxisScale.AXIS_SCALES.includes(scale)) {
+                        errors.push(`${path}.scale${axis} must be one of ${AxisScale.AXIS_SCALES.join(', ')} (got ${JSON.stringify(scale)})`);
+                    } else if (scale === 'log' && isNum(item[`min${axis}`]) && item[`min${axis}`] <= 0) {
+                        errors.push(`${path}: min${axis} (${item[`min${axis}`]}) must be above 0 on a log axis`);
+                    }
+                    if (threshold !== undefined && !(isNum(threshold) && threshold > 0)) {
+                        errors.push(`${path}.threshold${axis} must be a positive number (got ${JSON.stringify(threshold)})`);
+                    }
+                });
+                // Energy constraint (optional; null or absent when unconstrained)
+                if (item.energy !== undefined && item.energy !== null) {
+                    const solveDims = CPUPhysics.ENERGY_SOLVE_DIMS;
+                    if (!isNum(item.energy)) {
+                        errors.push(`${path}.energy must be a number or null (got ${JSON.stringify(item.energy)})`);
+                    }
+                    if (item.kind === 'oblique') {
+                        errors.push(`${path}: oblique layers cannot have an energy constraint`);
+                    } else if (!solveDims.includes(item.solveFor)) {
+                        errors.push(`${path}.solveFor must be one of ${solveDims.join(', ')} (got ${JSON.stringify(item.solveFor)})`);
+                    } else if (item.dim1 === item.solveFor || item.dim2 === item.solveFor) {
+                        errors.push(`${path}: solveFor (${item.solveFor}) cannot also be a mapped dimension`);
+                    }
+                }
+            } else if (item.type === 'sampled') {
+                checkState(`${path}.state`, item.state);
+            } else {
+                errors.push(`${path}.type must be "layer" or "sampled" (got ${JSON.stringify(item.type)})`);
+            }
+        });
+    }
+    
+    // Physics parameters
+    const params = doc.params;
+    if (!params || typeof params !== 'object') {
+        errors.push('params must be an object');
+    } else {
+        checkRange('params.dt', params.dt, SESSION_LIMITS.dt);
+        checkRange('params.maxIter', params.maxIter, SESSION_LIMITS.maxIter, true);
+        checkRange('params.threshold', params.threshold, SESSION_LIMITS.threshold);
+        checkRange('params.resolution', params.resolution, SESSION_LIMITS.resolution, true);
+        checkRange('params.perturbScale', params.perturbScale, SESSION_LIMITS.perturbScale);
+        if (!SESSION_INTEGRATORS.includes(params.integrator)) {
+            errors.push(`params.integrator must be one of ${SESSION_INTEGRATORS.join(', ')} (got ${JSON.stringify(params.integrator)})`);
+        }
+        if (params.tolerance !== undefined) {
+            checkRange('params.tolerance', params.tolerance, SESSION_LIMITS.tolerance);
+        }
+        if (!SESSION_PERTURB_MODES.includes(params.perturbMode)) {
+            errors.push(`params.perturbMode must be one of ${SESSION_PERTURB_MODES.join(', ')} (got ${JSON.stringify(params.perturbMode)})`);
+        }
+        if (params.metric !== undefined && !CPUPhysics.CHAOS_METRICS.includes(params.metric)) {
+            errors.push(`params.metric must be one of ${CPUPhysics.CHAOS_METRICS.join(', ')} (got ${JSON.stringify(params.metric)})`);
+        }
+        if (params.flipArm !== undefined && !CPUPhysics.FLIP_ARMS.includes(params.flipArm)) {
+            errors.push(`params.flipArm must be one of ${CPUPhysics.FLIP_ARMS.join(', ')} (got ${JSON.stringify(params.flipArm)})`);
+        }
+        if (params.divergenceMeasure !== undefined && !CPUPhysics.DIVERGENCE_MEASURES.includes(params.divergenceMeasure)) {
+            errors.push(`params.divergenceMeasure must be one of ${CPUPhysics.DIVERGENCE_MEASURES.join(', ')} (got ${JSON.stringify(params.divergenceMeasure)})`);
+        }
+        if (params.divergenceWeights !== undefined
+            && (!Array.isArray(params.divergenceWeights) || params.divergenceWeights.length !== 4
+                || !params.divergenceWeights.every(w => isNum(w) && w >= 0))) {
+            errors.push('params.divergenceWeights must be 4 non-negative numbers (theta1, theta2, omega1, omega2)');
+        }
+        if (params.samplesPerPixel !== undefined) {
+            checkRange('params.samplesPerPixel', params.samplesPerPixel, SESSION_LIMITS.samplesPerPixel, true);
+        }
+        if (params.sampleStatistic !== undefined && !CPUPhysics.SAMPLE_STATISTICS.includes(params.sampleStatistic)) {
+            errors.push(`params.sampleStatistic must be one of ${CPUPhysics.SAMPLE_STATISTICS.join(', ')} (got ${JSON.stringify(params.sampleStatistic)})`);
+        }
+        if (params.perturbFixed !== undefined) {
+            if (!params.perturbFixed || typeof params.perturbFixed !== 'object') {
+                errors.push('params.perturbFixed must be an object');
+            } else {
+                Object.keys(params.perturbFixed).forEach(dim => {
+                    if (!checkDim(`params.perturbFixed.${dim}`, dim)) return;
+                    if (!isNum(params.perturbFixed[dim])) errors.push(`params.perturbFixed.${dim} must be a number`);
+                });
+            }
+        }
+        if (params.perturbRandom !== undefined) {
+            if (!params.perturbRandom || typeof params.perturbRandom !== 'object') {
+                errors.push('params.perturbRandom must be an object');
+            } else {
+                Object.keys(params.perturbRandom).forEach(dim => {
+                    const path = `params.perturbRandom.${dim}`;
+                    if (!checkDim(path, dim)) return;
+                    const cfg = params.perturbRandom[dim];
+                    if (!cfg || !isNum(cfg.center) || !isNum(cfg.std)) {
+                        errors.push(`${path} must have numeric center and std`);
+                    } else if (cfg.std < 0) {
+                        errors.push(`${path}.std = ${cfg.std} must not be negative`);
+                    }
+                });
+            }
+        }
+    }
+    
+    // Colour settings
+    const color = doc.color;
+    if (!color || typeof color !== 'object') {
+        errors.push('color must be an object');
+    } else {
+        checkRange('color.colorMapping', color.colorMapping, SESSION_LIMITS.colorMapping, true);
+        checkRange('color.hueMapping', color.hueMapping, SESSION_LIMITS.hueMapping, true);
+        checkRange('color.cyclePeriod', color.cyclePeriod, SESSION_LIMITS.cyclePeriod);
+        const metric = params && CPUPhysics.CHAOS_METRICS.includes(params.metric) ? params.metric : 'divergence';
+        const clipLimits = CPUPhysics.getMetricValueMin(metric) < 0 ? SESSION_LIMITS.signedClip : SESSION_LIMITS.clip;
+        ['clipMin', 'clipMax'].forEach(key => {
+            if (color[key] !== undefined && color[key] !== null) {
+                checkRange(`color.${key}`, color[key], clipLimits);
+            }
+        });
+        if (isNum(color.clipMin) && isNum(color.clipMax) && color.clipMin >= color.clipMax) {
+            errors.push(`color.clipMin (${color.clipMin}) must be less than color.clipMax (${color.clipMax})`);
+        }
+        if (color.equalize !== undefined && typeof color.equalize !== 'boolean') {
+            errors.push(`color.equalize must be true or false (got ${JSON.stringify(color.equalize)})`);
+        }
+    }
+    
+    // Zoom history (optional)
+    if (doc.zoomHistory !== undefined) {
+        if (!Array.isArray(doc.zoomHistory)) {
+            errors.push('zoomHistory must be an array');
+        } else {
+            doc.zoomHistory.forEach((view, i) => {
+                ['min1', 'max1', 'min2', 'max2'].forEach(key => {
+                    if (!view || !isNum(view[key])) errors.push(`zoomHistory[${i}].${key} must be a number`);
+                });
+            });
+        }
+    }
+    
+    // Pinned simulations (optional)
+    if (doc.pinnedSimulations !== undefined) {
+        if (!Array.isArray(doc.pinnedSimulations)) {
+            errors.push('pinnedSimulations must be an array');
+        } else {
+            doc.pinnedSimulations.forEach((pin, i) => {
+                const path = `pinnedSimulations[${i}]`;
+                if (!pin || typeof pin !== 'object') {
+                    errors.push(`${path} must be an object`);
+                    return;
+                }
+                checkRange(`${path}.nx`, pin.nx, { min: 0, max: 1 });
+                checkRange(`${path}.ny`, pin.ny, { min: 0, max: 1 });
+                if (pin.name !== undefined && pin.name !== null && typeof pin.name !== 'string') {
+                    errors.push(`${path}.name must be a string`);
+                }
+                if (pin.state !== undefined) checkState(`${path}.state`, pin.state);
+                if (pin.perturbedState !== undefined) checkState(`${path}.perturbedState`, pin.perturbedState);
+            });
+        }
+    }
+    
+    return errors;
+}
+
+// Export for Node (headless renderer)
+// validateSessionDocument() reads the DIM_INFO, OBLIQUE_DIMS, CPUPhysics and AxisScale
+// globals, which the caller provides there as the browser does
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SESSION_FORMAT,
+        SESSION_VERSION,
+        SESSION_LIMITS,
+        SESSION_INTEGRATORS,
+        SESSION_PERTURB_MODES,
+        validateSessionDocument
+    };
+}
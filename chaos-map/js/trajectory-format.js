@@ -0,0 +1,184 @@
+// Double Pendulum Chaos Map - Trajectory Export Format
+// Integrates a reference/perturbed pair with the shared steppers and encodes the
+// sampled trajectory as CSV or JSON, with its initial conditions and integrator
+// settings in a header
+
+// The page loads cpu-physics.js as a global; Node requires it
+const TrajectoryPhysics = (typeof CPUPhysics !== 'undefined') ? CPUPhysics : require('./cpu-physics.js');
+
+const TRAJECTORY_FORMAT = 'pendulum-trajectory';
+const TRAJECTORY_VERSION = 1;
+
+// Per-twin columns, prefixed ref_ and pert_; positions have the pivot at the origin
+// and y pointing up, energies have zero potential at the pivot
+const TRAJECTORY_TWIN_COLUMNS = [
+    ['theta1', 'rad'], ['theta2', 'rad'], ['omega1', 'rad/s'], ['omega2', 'rad/s'],
+    ['x1', 'm'], ['y1', 'm'], ['x2', 'm'], ['y2', 'm'],
+    ['kinetic', 'J'], ['potential', 'J'], ['energy', 'J']
+];
+
+// Column names and units of an exported trajectory, in order
+const TRAJECTORY_COLUMNS = [
+    ['t', 's'],
+    ...TRAJECTORY_TWIN_COLUMNS.map(([name, unit]) => [`ref_${name}`, unit]),
+    ...TRAJECTORY_TWIN_COLUMNS.map(([name, unit]) => [`pert_${name}`, unit]),
+    ['separation', '']
+];
+
+// Most samples one export may hold
+const TRAJECTORY_MAX_SAMPLES = 200000;
+
+// Write a twin's TRAJECTORY_TWIN_COLUMNS values into row at offset
+function writeTwinSample(row, offset, state) {
+    const { theta1, theta2, omega1, omega2, l1, l2, m1, m2 } = state;
+    const g = state.g ?? 9.81;
+    const x1 = l1 * Math.sin(theta1);
+    const y1 = -l1 * Math.cos(theta1);
+    const x2 = x1 + l2 * Math.sin(theta2);
+    const y2 = y1 - l2 * Math.cos(theta2);
+    const kinetic = 0.5 * (m1 + m2) * l1 * l1 * omega1 * omega1
+                  + 0.5 * m2 * l2 * l2 * omega2 * omega2
+                  + m2 * l1 * l2 * omega1 * omega2 * Math.cos(theta1 - theta2);
+    const potential = m1 * g * y1 + m2 * g * y2;
+    
+    row[offset] = theta1;
+    row[offset + 1] = theta2;
+    row[offset + 2] = omega1;
+    row[offset + 3] = omega2;
+    row[offset + 4] = x1;
+    row[offset + 5] = y1;
+    row[offset + 6] = x2;
+    row[offset + 7] = y2;
+    row[offset + 8] = kinetic;
+    row[offset + 9] = potential;
+    row[offset + 10] = kinetic + potential;
+}
+
+// Integrate state1 (reference) and state2 (perturbed) for options.duration seconds
+// options: { duration, sampleInterval, dt, integrator, tolerance, threshold, divergenceMeasure }
+// Fixed-step integrators sample every round(sampleInterval / dt) steps (at least one);
+// adaptive ones shorten their steps to land on each sample time. Separation is that of
+// divergenceMeasure (see CPUPhysics.measureDivergence), checked after every step.
+// Returns { header, columns, samples, values }: values holds samples rows of
+// TRAJECTORY_COLUMNS, row-major. Throws a ToleranceError if an adaptive step cannot
+// meet the tolerance.
+function computeTrajectory(state1, state2, options) {
+    const integrator = options.integrator;
+    const dt = options.dt;
+    const tolerance = options.tolerance ?? TrajectoryPhysics.DEFAULT_TOLERANCE;
+    const measure = options.divergenceMeasure ?? null;
+    const threshold = options.threshold;
+    
+    const systems = [TrajectoryPhysics.toSystem(state1, 9.81), TrajectoryPhysics.toSystem(state2, 9.81)];
+    const clock = TrajectoryPhysics.createClock(integrator, dt, 0, tolerance);
+    clock.horizon = 0;
+    
+    const stepsPerSample = Math.max(1, Math.round(options.sampleInterval / dt));
+    const interval = clock.adaptive ? options.sampleInterval : stepsPerSample * dt;
+    const samples = Math.min(TRAJECTORY_MAX_SAMPLES, Math.floor(options.duration / interval + 1e-9) + 1);
+    
+    const width = TRAJECTORY_COLUMNS.length;
+    const twinWidth = TRAJECTORY_TWIN_COLUMNS.length;
+    const values = new Float64Array(samples * width);
+    let divergenceTime = null;
+    
+    for (let k = 0; k < samples; k++) {
+        if (k > 0) {
+            if (clock.adaptive) {
+                clock.horizon = k * interval;
+            } else {
+                clock.maxIter = k * stepsPerSample;
+            }
+            while (TrajectoryPhysics.advanceClock(clock, systems)) {
+                if (divergenceTime === null &&
+                    TrajectoryPhysics.measureDivergence(systems[0].state, systems[1].state, measure) > threshold) {
+                    divergenceTime = clock.adaptive ? clock.time : clock.steps * dt;
+                }
+            }
+        }
+        
+        const row = values.subarray(k * width, (k + 1) * width);
+        row[0] = clock.adaptive ? clock.time : clock.steps * dt;
+        writeTwinSample(row, 1, systems[0].state);
+        writeTwinSample(row, 1 + twinWidth, systems[1].state);
+        row[width - 1] = TrajectoryPhysics.measureDivergence(systems[0].state, systems[1].state, measure);
+    }
+    
+    const header = {
+        format: TRAJECTORY_FORMAT,
+        version: TRAJECTORY_VERSION,
+        exportedAt: new Date().toISOString(),
+        initialConditions: {
+            reference: { ...state1 },
+            perturbed: { ...state2 }
+        },
+        integrator: {
+            name: integrator,
+            adaptive: clock.adaptive,
+            // Fixed-step integrators: the step; adaptive ones: their first trial step
+            dt,
+            tolerance: clock.adaptive ? tolerance : null,
+            steps: clock.steps
+        },
+        duration: (samples - 1) * interval,
+        sampleInterval: interval,
+        samples,
+        separation: {
+            measure: measure || TrajectoryPhysics.DEFAULT_DIVERGENCE_MEASURE,
+            threshold,
+            // First time (s) the separation exceeded threshold, null if it never did
+            divergenceTime
+        },
+        units: Object.fromEntries(TRAJECTORY_COLUMNS)
+    };
+    
+    return { header, columns: TRAJECTORY_COLUMNS.map(([name]) => name), samples, values };
+}
+
+// Build CSV text of a trajectory, as chunks of rows
+// The header is pretty-printed JSON on lines starting with '# ' (pandas: comment='#')
+function buildTrajectoryCsvChunks(trajectory) {
+    const { columns, samples, values } = trajectory;
+    const width = columns.length;
+    const header = JSON.stringify(trajectory.header, null, 2).split('\n').map(line => `# ${line}\n`).join('');
+    const chunks = [header + columns.join(',') + '\n'];
+    
+    const rowsPerChunk = 1000;
+    for (let start = 0; start < samples; start += rowsPerChunk) {
+        let rows = '';
+        const end = Math.min(samples, start + rowsPerChunk);
+        for (let k = start; k < end; k++) {
+            rows += Array.from(values.subarray(k * width, (k + 1) * width)).join(',') + '\n';
+        }
+        chunks.push(rows);
+    }
+    
+    return chunks;
+}
+
+// Build the JSON form of a trajectory: the header plus one array per column
+function buildTrajectoryJson(trajectory) {
+    const { columns, samples, values } = trajectory;
+    const width = columns.length;
+    const data = {};
+    columns.forEach((name, c) => {
+        const column = new Array(samples);
+        for (let k = 0; k < samples; k++) column[k] = values[k * width + c];
+        data[name] = column;
+    });
+    
+    return JSON.stringify({ ...trajectory.header, columns, data });
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TRAJECTORY_FORMAT,
+        TRAJECTORY_VERSION,
+        TRAJECTORY_COLUMNS,
+        TRAJECTORY_MAX_SAMPLES,
+        computeTrajectory,
+        buildTrajectoryCsvChunks,
+        buildTrajectoryJson
+    };
+}
@@ -30,29 +30,49 @@ class TransformLayer {
             this.max2 = max2 !== undefined ? max2 : 3.14;
             this.deltaMode = deltaMode;
         }
+        
+        // Per-axis scaling (see axis-scale.js); threshold is symlog's linear range
+        this.scale1 = 'linear';
+        this.scale2 = 'linear';
+        this.threshold1 = AxisScale.DEFAULT_SYMLOG_THRESHOLD;
+        this.threshold2 = AxisScale.DEFAULT_SYMLOG_THRESHOLD;
+        
+        // Fixed-energy layers: target total energy in J (null when unconstrained) and
+        // the velocity solved from it at every pixel (see TransformationStack.computeState)
+        this.energy = null;
+        this.solveFor = 'omega2';
     }
     
     get name() {
         const dim1Info = DIM_INFO[this.dim1];
         const dim2Info = DIM_INFO[this.dim2];
-        return `${dim1Info?.label || this.dim1} × ${dim2Info?.label || this.dim2}`;
+        const name = `${dim1Info?.label || this.dim1} × ${dim2Info?.label || this.dim2}`;
+        return this.energy === null ? name : `${name} @ E=${+this.energy.toFixed(3)}`;
+    }
+    
+    // Whether the energy constraint can be used with the mapped dimensions
+    // (the solved velocity must not be one of them)
+    static canSolveFor(dim1, dim2, solveFor) {
+        return CPUPhysics.ENERGY_SOLVE_DIMS.includes(solveFor) && dim1 !== solveFor && dim2 !== solveFor;
     }
     
     // Compute output for a given viewport position (nx, ny in [0,1])
     // MUST be numerically identical to the shader's coordinate mapping:
-    //   outX = centerX + (nx * 2.0 - 1.0) * scaleX
-    // where centerX = (min + max) / 2, scaleX = (max - min) / 2
+    //   outX = fromScaled(centerX + (nx * 2.0 - 1.0) * scaleX)
+    // where centerX and scaleX are the centre and half-span of the scaled range
+    // (see getView(); for linear axes centerX = (min + max) / 2, scaleX = (max - min) / 2)
     // 
     // basisState is required when deltaMode is true - it provides the base values to add to
     computeOutput(nx, ny, basisState = null) {
         // Use exact same math as shader for numerical consistency
-        const centerX = (this.min1 + this.max1) / 2;
-        const scaleX = (this.max1 - this.min1) / 2;
-        const centerY = (this.min2 + this.max2) / 2;
-        const scaleY = (this.max2 - this.min2) / 2;
+        const view = this.getView();
+        const centerX = view.center1;
+        const scaleX = view.span1 / 2;
+        const centerY = view.center2;
+        const scaleY = view.span2 / 2;
         
-        let val1 = centerX + (nx * 2.0 - 1.0) * scaleX;
-        let val2 = centerY + (ny * 2.0 - 1.0) * scaleY;
+        let val1 = AxisScale.fromScaled(centerX + (nx * 2.0 - 1.0) * scaleX, this.scale1, this.threshold1);
+        let val2 = AxisScale.fromScaled(centerY + (ny * 2.0 - 1.0) * scaleY, this.scale2, this.threshold2);
         
         // In delta mode, add to basis state values
         if (this.deltaMode && basisState) {
@@ -70,6 +90,40 @@ class TransformLayer {
         };
     }
     
+    // State at viewport position (nx, ny): basisState with the two mapped dimensions
+    // replaced (or offset, in delta mode)
+    applyToState(nx, ny, basisState) {
+        const output = this.computeOutput(nx, ny, basisState);
+        const result = { ...basisState };
+        result[output.dim1] = output[output.dim1];
+        result[output.dim2] = output[output.dim2];
+        return result;
+    }
+    
+    // View centre and span of each axis, in scaled coordinates (see axis-scale.js),
+    // where the screen mapping is linear. Layers without scales are linear.
+    // Kept in float64; the GPU receives offsets from the centre (see getShaderParams)
+    getView() {
+        const lo1 = AxisScale.toScaled(this.min1, this.scale1, this.threshold1);
+        const hi1 = AxisScale.toScaled(this.max1, this.scale1, this.threshold1);
+        const lo2 = AxisScale.toScaled(this.min2, this.scale2, this.threshold2);
+        const hi2 = AxisScale.toScaled(this.max2, this.scale2, this.threshold2);
+        return {
+            center1: (lo1 + hi1) / 2,
+            span1: hi1 - lo1,
+            center2: (lo2 + hi2) / 2,
+            span2: hi2 - lo2
+        };
+    }
+    
+    // Set the ranges from a view centre and span in scaled coordinates
+    setView(view) {
+        this.min1 = AxisScale.fromScaled(view.center1 - view.span1 / 2, this.scale1, this.threshold1);
+        this.max1 = AxisScale.fromScaled(view.center1 + view.span1 / 2, this.scale1, this.threshold1);
+        this.min2 = AxisScale.fromScaled(view.center2 - view.span2 / 2, this.scale2, this.threshold2);
+        this.max2 = AxisScale.fromScaled(view.center2 + view.span2 / 2, this.scale2, this.threshold2);
+    }
+    
     serialize() {
         return {
             type: 'layer',
@@ -79,16 +133,163 @@ class TransformLayer {
             max1: this.max1,
             min2: this.min2,
             max2: this.max2,
-            deltaMode: this.deltaMode
+            deltaMode: this.deltaMode,
+            scale1: this.scale1,
+            scale2: this.scale2,
+            threshold1: this.threshold1,
+            threshold2: this.threshold2,
+            energy: this.energy,
+            solveFor: this.solveFor
         };
     }
     
     static deserialize(data) {
-        if (data.dim1 && data.dim2) {
-            return new TransformLayer(data.dim1, data.dim2, data.min1, data.max1, data.min2, data.max2, data.deltaMode);
+        const layer = (data.dim1 && data.dim2)
+            ? new TransformLayer(data.dim1, data.dim2, data.min1, data.max1, data.min2, data.max2, data.deltaMode)
+            // Legacy support
+            : new TransformLayer(data.layerType, data.min1, data.max1, data.min2, data.max2, data.deltaMode);
+        
+        // Layers saved before axis scaling existed are linear
+        if (AxisScale.AXIS_SCALES.includes(data.scale1)) layer.scale1 = data.scale1;
+        if (AxisScale.AXIS_SCALES.includes(data.scale2)) layer.scale2 = data.scale2;
+        if (data.threshold1 > 0) layer.threshold1 = data.threshold1;
+        if (data.threshold2 > 0) layer.threshold2 = data.threshold2;
+        
+        // Unconstrained unless a usable energy constraint was saved
+        if (typeof data.energy === 'number' && isFinite(data.energy) &&
+            TransformLayer.canSolveFor(layer.dim1, layer.dim2, data.solveFor)) {
+            layer.energy = data.energy;
+            layer.solveFor = data.solveFor;
         }
-        // Legacy support
-        return new TransformLayer(data.layerType, data.min1, data.max1, data.min2, data.max2, data.deltaMode);
+        return layer;
+    }
+}
+
+// An ObliqueLayer maps (x,y) onto a plane through the basis state:
+//   state = basis + u * dir1 + v * dir2
+// where u and v run over [min1, max1] and [min2, max2]. dir1 and dir2 are vectors
+// over OBLIQUE_DIMS; the sampled point before the layer is the plane's origin.
+class ObliqueLayer {
+    constructor(dir1, dir2, min1, max1, min2, max2) {
+        this.id = Date.now() + Math.random().toString(36).substr(2, 9);
+        this.type = 'layer';
+        this.kind = 'oblique';
+        
+        // Screen axes are the plane coordinates, not state dimensions
+        this.dim1 = 'u';
+        this.dim2 = 'v';
+        this.layerType = 'oblique';
+        
+        const defaults = ObliqueLayer.defaultDirections();
+        this.dir1 = ObliqueLayer.normalizeDirection(dir1 || defaults.dir1);
+        this.dir2 = ObliqueLayer.normalizeDirection(dir2 || defaults.dir2);
+        this.min1 = min1 !== undefined ? min1 : -3.14;
+        this.max1 = max1 !== undefined ? max1 : 3.14;
+        this.min2 = min2 !== undefined ? min2 : -3.14;
+        this.max2 = max2 !== undefined ? max2 : 3.14;
+        
+        // Oblique layers always offset the basis state
+        this.deltaMode = false;
+    }
+    
+    // Default plane: the θ₁ = θ₂ diagonal and its perpendicular
+    static defaultDirections() {
+        return {
+            dir1: ObliqueLayer.normalizeDirection({ theta1: 1, theta2: 1 }),
+            dir2: ObliqueLayer.normalizeDirection({ theta1: 1, theta2: -1 })
+        };
+    }
+    
+    // Fill in every OBLIQUE_DIMS component (missing ones are zero)
+    static normalizeDirection(dir) {
+        const result = {};
+        OBLIQUE_DIMS.forEach(dim => {
+            const value = dir[dim];
+            result[dim] = (typeof value === 'number' && isFinite(value)) ? value : 0;
+        });
+        return result;
+    }
+    
+    // Compact "θ₁+θ₂" style description of a direction vector
+    static describeDirection(dir) {
+        const terms = OBLIQUE_DIMS.filter(dim => dir[dim] !== 0).map(dim => {
+            const c = dir[dim];
+            const label = DIM_INFO[dim].label;
+            const coeff = Math.abs(c) === 1 ? '' : +Math.abs(c).toFixed(3);
+            return `${c < 0 ? '−' : '+'}${coeff}${label}`;
+        });
+        if (terms.length === 0) return '0';
+        const text = terms.join('');
+        return text.startsWith('+') ? text.slice(1) : text;
+    }
+    
+    get name() {
+        return `Plane u·(${ObliqueLayer.describeDirection(this.dir1)}), v·(${ObliqueLayer.describeDirection(this.dir2)})`;
+    }
+    
+    // Plane coordinates (u, v) at viewport position (nx, ny in [0,1])
+    // Same mapping as TransformLayer.computeOutput() and the shader
+    computeOutput(nx, ny) {
+        const centerX = (this.min1 + this.max1) / 2;
+        const scaleX = (this.max1 - this.min1) / 2;
+        const centerY = (this.min2 + this.max2) / 2;
+        const scaleY = (this.max2 - this.min2) / 2;
+        
+        const u = centerX + (nx * 2.0 - 1.0) * scaleX;
+        const v = centerY + (ny * 2.0 - 1.0) * scaleY;
+        
+        return { u, v, dim1: 'u', dim2: 'v' };
+    }
+    
+    // State at viewport position (nx, ny) on the plane through basisState
+    applyToState(nx, ny, basisState) {
+        const { u, v } = this.computeOutput(nx, ny);
+        const result = { ...basisState };
+        OBLIQUE_DIMS.forEach(dim => {
+            result[dim] = basisState[dim] + u * this.dir1[dim] + v * this.dir2[dim];
+        });
+        return result;
+    }
+    
+    getView() {
+        return TransformLayer.prototype.getView.call(this);
+    }
+    
+    setView(view) {
+        TransformLayer.prototype.setView.call(this, view);
+    }
+    
+    serialize() {
+        return {
+            type: 'layer',
+            kind: 'oblique',
+            dir1: { ...this.dir1 },
+            dir2: { ...this.dir2 },
+            min1: this.min1,
+            max1: this.max1,
+            min2: this.min2,
+            max2: this.max2
+        };
+    }
+    
+    static deserialize(data) {
+        return new ObliqueLayer(data.dir1, data.dir2, data.min1, data.max1, data.min2, data.max2);
+    }
+    
+    // Remove the component of dir along the energy gradient at state, so that moving
+    // along the result keeps the total energy constant to first order
+    static projectOntoEnergyLevel(dir, state) {
+        const grad = CPUPhysics.computeEnergyGradient(state);
+        
+        const gradNorm2 = OBLIQUE_DIMS.reduce((sum, dim) => sum + grad[dim] * grad[dim], 0);
+        if (gradNorm2 === 0) return { ...dir };
+        
+        const along = OBLIQUE_DIMS.reduce((sum, dim) => sum + dir[dim] * grad[dim], 0) / gradNorm2;
+        const result = {};
+        OBLIQUE_DIMS.forEach(dim => {
+            result[dim] = dir[dim] - along * grad[dim];
+        });
+        return result;
     }
 }
 
@@ -107,7 +308,7 @@ class SampledPoint {
     // Format state for display (compact 2-line version for UI)
     getStateDisplay() {
         const s = this.state;
-        return `θ₁=${s.theta1.toFixed(2)} θ₂=${s.theta2.toFixed(2)} ω₁=${s.omega1.toFixed(2)} ω₂=${s.omega2.toFixed(2)} | L₁=${s.l1.toFixed(2)} L₂=${s.l2.toFixed(2)} m₁=${s.m1.toFixed(2)} m₂=${s.m2.toFixed(2)}`;
+        return `θ₁=${s.theta1.toFixed(2)} θ₂=${s.theta2.toFixed(2)} ω₁=${s.omega1.toFixed(2)} ω₂=${s.omega2.toFixed(2)} | L₁=${s.l1.toFixed(2)} L₂=${s.l2.toFixed(2)} m₁=${s.m1.toFixed(2)} m₂=${s.m2.toFixed(2)} | g=${s.g.toFixed(2)} b₁=${s.damping1.toFixed(2)} b₂=${s.damping2.toFixed(2)} τ₀=${s.torqueAmp.toFixed(2)} Ω=${s.torqueFreq.toFixed(2)}`;
     }
     
     // Get a shorter display for the stack list
@@ -124,7 +325,8 @@ class SampledPoint {
     }
     
     static deserialize(data) {
-        return new SampledPoint(data.state);
+        // Fill in dimensions missing from older serialized states
+        return new SampledPoint({ ...NULL_STATE, ...data.state });
     }
 }
 
@@ -231,13 +433,7 @@ class TransformationStack {
         
         if (!layer) return { ...basis };
         
-        // Pass basis state for delta mode calculation
-        const output = layer.computeOutput(nx, ny, basis);
-        if (!output) return { ...basis };
-        
-        const result = { ...basis };
-        result[output.dim1] = output[output.dim1];
-        result[output.dim2] = output[output.dim2];
+        const result = layer.applyToState(nx, ny, basis);
         
         // Clamp physical values
         if (result.l1 < 0.1) result.l1 = 0.1;
@@ -245,6 +441,12 @@ class TransformationStack {
         if (result.m1 < 0.1) result.m1 = 0.1;
         if (result.m2 < 0.1) result.m2 = 0.1;
         
+        // Fixed-energy layers solve the remaining velocity last, as the shader does;
+        // it is NaN where no real solution exists (CPUPhysics.isForbiddenState)
+        if (layer.energy !== null && layer.energy !== undefined) {
+            result[layer.solveFor] = CPUPhysics.solveVelocityForEnergy(result, layer.energy, layer.solveFor);
+        }
+        
         return result;
     }
     
@@ -277,7 +479,6 @@ class TransformationStack {
         if (!layer || !layer.dim1) {
             // Default to position map
             return {
-                mode: 0,
                 fixedState: [0, 0, 0, 0],
                 scaleX: 3.14,  // Default theta range is -PI to PI
                 scaleY: 3.14,
@@ -287,6 +488,11 @@ class TransformationStack {
                 l2: basis.l2,
                 m1: basis.m1,
                 m2: basis.m2,
+                g: basis.g ?? NULL_STATE.g,
+                damping1: basis.damping1 ?? 0,
+                damping2: basis.damping2 ?? 0,
+                torqueAmp: basis.torqueAmp ?? 0,
+                torqueFreq: basis.torqueFreq ?? NULL_STATE.torqueFreq,
                 layerDims: ['theta1', 'theta2']
             };
         }
@@ -294,63 +500,49 @@ class TransformationStack {
         const dim1 = layer.dim1;
         const dim2 = layer.dim2;
         
-        // Determine mode and parameters based on which dimensions are being mapped
-        let mode = 0; // 0 = position (theta), 1 = velocity, 2 = length, 3 = mass
-        let fixedState = [0, 0, 0, 0];
-        let outL1 = basis.l1;
-        let outL2 = basis.l2;
-        let outM1 = basis.m1;
-        let outM2 = basis.m2;
-        
-        // Check if we're mapping angles
-        const hasTheta1 = dim1 === 'theta1' || dim2 === 'theta1';
-        const hasTheta2 = dim1 === 'theta2' || dim2 === 'theta2';
-        const hasOmega1 = dim1 === 'omega1' || dim2 === 'omega1';
-        const hasOmega2 = dim1 === 'omega2' || dim2 === 'omega2';
-        const hasL1 = dim1 === 'l1' || dim2 === 'l1';
-        const hasL2 = dim1 === 'l2' || dim2 === 'l2';
-        const hasM1 = dim1 === 'm1' || dim2 === 'm1';
-        const hasM2 = dim1 === 'm2' || dim2 === 'm2';
-        
         // Calculate scale factors based on min/max ranges
-        // The shader expects scaleX/Y as half-ranges (delta from center)
-        const scaleX = (layer.max1 - layer.min1) / 2;
-        const scaleY = (layer.max2 - layer.min2) / 2;
-        
-        // Always populate fixedState with the full basis state (theta1, theta2, omega1, omega2)
-        // The shader uses these as the base values before applying layer transformations
-        fixedState[0] = basis.theta1;
-        fixedState[1] = basis.theta2;
-        fixedState[2] = basis.omega1;
-        fixedState[3] = basis.omega2;
-        
-        if (hasTheta1 || hasTheta2) {
-            mode = 0; // Position mode
-        } else if (hasOmega1 || hasOmega2) {
-            mode = 1; // Velocity mode
-        } else if (hasL1 || hasL2) {
-            mode = 2; // Length mode
-            if (hasL1) outL1 = basis.l1;
-            if (hasL2) outL2 = basis.l2;
-        } else if (hasM1 || hasM2) {
-            mode = 3; // Mass mode
-            if (hasM1) outM1 = basis.m1;
-            if (hasM2) outM2 = basis.m2;
-        }
+        // The shader expects scaleX/Y as half-ranges (delta from center), in the
+        // axes' scaled coordinates; it maps them back with axisScales/symlogThresholds
+        const view = layer.getView();
+        const scaleX = view.span1 / 2;
+        const scaleY = view.span2 / 2;
+        
+        // fixedState and the physical values are the full basis state; the shader (and
+        // the CPU tile loop) overwrite or, in delta mode, offset whichever two dimensions
+        // the layer maps, in either order
+        const fixedState = [basis.theta1, basis.theta2, basis.omega1, basis.omega2];
         
         return {
-            mode,
             fixedState,
             scaleX,
             scaleY,
-            centerX: (layer.min1 + layer.max1) / 2,
-            centerY: (layer.min2 + layer.max2) / 2,
-            l1: outL1,
-            l2: outL2,
-            m1: outM1,
-            m2: outM2,
+            centerX: view.center1,
+            centerY: view.center2,
+            l1: basis.l1,
+            l2: basis.l2,
+            m1: basis.m1,
+            m2: basis.m2,
+            g: basis.g ?? NULL_STATE.g,
+            damping1: basis.damping1 ?? 0,
+            damping2: basis.damping2 ?? 0,
+            torqueAmp: basis.torqueAmp ?? 0,
+            torqueFreq: basis.torqueFreq ?? NULL_STATE.torqueFreq,
             layerDims: [dim1, dim2],
-            deltaMode: layer.deltaMode
+            deltaMode: layer.deltaMode,
+            // Oblique layers have no scales and are linear
+            axisScales: [layer.scale1 || 'linear', layer.scale2 || 'linear'],
+            symlogThresholds: [
+                layer.threshold1 ?? AxisScale.DEFAULT_SYMLOG_THRESHOLD,
+                layer.threshold2 ?? AxisScale.DEFAULT_SYMLOG_THRESHOLD
+            ],
+            // Direction vectors in OBLIQUE_DIMS order for oblique layers, else null
+            obliqueDirs: layer.kind === 'oblique'
+                ? [OBLIQUE_DIMS.map(dim => layer.dir1[dim]), OBLIQUE_DIMS.map(dim => layer.dir2[dim])]
+                : null,
+            // { energy, solveFor } for fixed-energy layers, else null
+            energyConstraint: (layer.energy !== null && layer.energy !== undefined)
+                ? { energy: layer.energy, solveFor: layer.solveFor }
+                : null
         };
     }
     
@@ -361,6 +553,7 @@ class TransformationStack {
     static deserialize(data) {
         const stack = new TransformationStack();
         stack.items = data.map(item => {
+            if (item.type === 'layer' && item.kind === 'oblique') return ObliqueLayer.deserialize(item);
             if (item.type === 'layer') return TransformLayer.deserialize(item);
             if (item.type === 'sampled') return SampledPoint.deserialize(item);
             return null;
@@ -369,3 +562,9 @@ class TransformationStack {
         return stack;
     }
 }
+
+// Export for Node (headless renderer)
+// These classes read the constants.js, CPUPhysics and AxisScale globals, which the caller provides there
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TransformLayer, ObliqueLayer, SampledPoint, TransformationStack };
+}